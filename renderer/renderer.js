@@ -1,24 +1,37 @@
 const { ipcRenderer } = require('electron');
 
+// An agent that has been navigating, extracting etc. this long without any activity is highlighted in the agent table
+const AGENT_STALL_THRESHOLD = 60000;
+
 class WFMScannerUI {
     constructor() {
         this.isScanning = false;
+        this.isPaused = false;
         this.scanStartTime = null;
         this.elapsedTimeInterval = null;
+        this.agentTelemetry = [];
         this.storeMappingFile = null;
         this.itemListFile = null;
+        this.previousResultsFile = null;
+        this.resumeCheckpointDir = null;
         this.scanResults = [];
         this.logMessages = [];
         this.screenDimensions = null;
         this.savedConfig = null;
         this.filteredResults = [];
-        this.currentMode = 'item'; // 'item' or 'merchandising'
+        this.currentMode = 'item'; // 'item', 'merchandising' or 'competitive'
+        this.scheduleOutputDir = null;
+        this.selectedProfileId = 'wfm-default';
+        this.profiles = [];
         
         this.initializeUI();
         this.setupEventListeners();
         this.setupIpcListeners();
         this.getScreenDimensions();
         this.loadSavedConfig();
+        this.loadHistory();
+        this.loadSchedule();
+        this.loadProfiles();
     }
 
     async getScreenDimensions() {
@@ -52,17 +65,17 @@ class WFMScannerUI {
                 this.log(`📊 Restored item list file: ${fileName}`, 'info');
             }
             
+            if (this.savedConfig.lastPreviousResultsFile) {
+                this.previousResultsFile = this.savedConfig.lastPreviousResultsFile;
+                const fileName = this.savedConfig.lastPreviousResultsFile.split(/[\\/]/).pop();
+                this.elements.previousResultsFile.textContent = fileName;
+                this.elements.previousResultsFile.classList.add('selected');
+                this.log(`⏭️ Restored previous results file: ${fileName}`, 'info');
+            }
+            
             // Apply saved settings
             if (this.savedConfig.lastSettings) {
-                const settings = this.savedConfig.lastSettings;
-                this.elements.delayBetweenItems.value = settings.delayBetweenItems || 2000;
-                this.elements.delayBetweenStores.value = settings.delayBetweenStores || 5000;
-                this.elements.pageTimeout.value = settings.pageTimeout || 30000;
-                this.elements.maxRetries.value = settings.maxRetries || 3;
-                this.elements.headlessMode.checked = settings.headlessMode || false;
-                this.elements.captureScreenshots.checked = settings.captureScreenshots || false;
-                this.elements.skipExistingResults.checked = settings.skipExistingResults || false;
-                this.elements.maxConcurrentAgents.value = settings.maxConcurrentAgents || 3;
+                this.applySettings(this.savedConfig.lastSettings);
                 this.log('⚙️ Restored previous settings', 'info');
             }
             
@@ -73,6 +86,24 @@ class WFMScannerUI {
         }
     }
 
+    applySettings(settings) {
+        this.elements.delayBetweenItems.value = settings.delayBetweenItems || 2000;
+        this.elements.delayBetweenStores.value = settings.delayBetweenStores || 5000;
+        this.elements.pageTimeout.value = settings.pageTimeout || 30000;
+        this.elements.maxRetries.value = settings.maxRetries || 3;
+        this.elements.headlessMode.checked = settings.headlessMode || false;
+        this.elements.captureScreenshots.checked = settings.captureScreenshots || false;
+        this.elements.screenshotAllItems.checked = settings.screenshotAllItems || false;
+        this.elements.skipExistingResults.checked = settings.skipExistingResults || false;
+        this.elements.deepScanVariations.checked = settings.deepScanVariations || false;
+        this.elements.scanBundleComponents.checked = settings.scanBundleComponents || false;
+        this.elements.downloadImages.checked = settings.downloadImages || false;
+        this.elements.adaptiveRateControl.checked = settings.adaptiveRateControl !== false;
+        this.elements.maxConcurrentAgents.value = settings.maxConcurrentAgents || 3;
+        this.selectedProfileId = settings.extractionProfileId || 'wfm-default';
+        this.elements.extractionProfileSelect.value = this.selectedProfileId;
+    }
+
     initializeUI() {
         // Get DOM elements with new IDs
         this.elements = {
@@ -95,6 +126,8 @@ class WFMScannerUI {
             storeMappingFile: document.getElementById('storeMappingFile'),
             selectItemListBtn: document.getElementById('selectItemListBtn'),
             itemListFile: document.getElementById('itemListFile'),
+            selectPreviousResultsBtn: document.getElementById('selectPreviousResultsBtn'),
+            previousResultsFile: document.getElementById('previousResultsFile'),
             
             // Settings
             delayBetweenItems: document.getElementById('delayBetweenItems'),
@@ -103,17 +136,38 @@ class WFMScannerUI {
             maxRetries: document.getElementById('maxRetries'),
             headlessMode: document.getElementById('headlessMode'),
             captureScreenshots: document.getElementById('captureScreenshots'),
+            screenshotAllItems: document.getElementById('screenshotAllItems'),
             skipExistingResults: document.getElementById('skipExistingResults'),
+            deepScanVariations: document.getElementById('deepScanVariations'),
+            scanBundleComponents: document.getElementById('scanBundleComponents'),
+            downloadImages: document.getElementById('downloadImages'),
+            adaptiveRateControl: document.getElementById('adaptiveRateControl'),
             maxConcurrentAgents: document.getElementById('maxConcurrentAgents'),
             
+            // Extraction profiles
+            extractionProfileSelect: document.getElementById('extractionProfileSelect'),
+            extractionProfileDesc: document.getElementById('extractionProfileDesc'),
+            editProfileBtn: document.getElementById('editProfileBtn'),
+            importProfileBtn: document.getElementById('importProfileBtn'),
+            exportProfileBtn: document.getElementById('exportProfileBtn'),
+            deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+            profileEditorSection: document.getElementById('profileEditorSection'),
+            profileEditorText: document.getElementById('profileEditorText'),
+            saveProfileBtn: document.getElementById('saveProfileBtn'),
+            cancelProfileEditBtn: document.getElementById('cancelProfileEditBtn'),
+            
             // Controls
             startScanBtn: document.getElementById('startScanBtn'),
             stopScanBtn: document.getElementById('stopScanBtn'),
+            pauseScanBtn: document.getElementById('pauseScanBtn'),
+            scanStatus: document.getElementById('scanStatus'),
             exportResultsBtn: document.getElementById('exportResultsBtn'),
             
             // Progress
             progressFill: document.getElementById('progressFill'),
             progressText: document.getElementById('progressText'),
+            selectorHealthPanel: document.getElementById('selectorHealthPanel'),
+            agentTelemetryPanel: document.getElementById('agentTelemetryPanel'),
             currentStore: document.getElementById('currentStore'),
             itemsProcessed: document.getElementById('itemsProcessed'),
             totalItems: document.getElementById('totalItems'),
@@ -125,6 +179,26 @@ class WFMScannerUI {
             resultsBody: document.getElementById('resultsBody'),
             searchFilter: document.getElementById('searchFilter'),
             statusFilter: document.getElementById('statusFilter'),
+            compareScansBtn: document.getElementById('compareScansBtn'),
+            
+            // Scheduled scans
+            scheduleNameInput: document.getElementById('scheduleNameInput'),
+            scheduleCronInput: document.getElementById('scheduleCronInput'),
+            selectOutputFolderBtn: document.getElementById('selectOutputFolderBtn'),
+            scheduleOutputFolder: document.getElementById('scheduleOutputFolder'),
+            scheduleRunMissed: document.getElementById('scheduleRunMissed'),
+            saveScheduleBtn: document.getElementById('saveScheduleBtn'),
+            refreshScheduleBtn: document.getElementById('refreshScheduleBtn'),
+            scheduleList: document.getElementById('scheduleList'),
+            scheduleRunLog: document.getElementById('scheduleRunLog'),
+            
+            // History
+            historyList: document.getElementById('historyList'),
+            historyTimeline: document.getElementById('historyTimeline'),
+            historyAsinInput: document.getElementById('historyAsinInput'),
+            historyStoreInput: document.getElementById('historyStoreInput'),
+            historyTimelineBtn: document.getElementById('historyTimelineBtn'),
+            refreshHistoryBtn: document.getElementById('refreshHistoryBtn'),
             
             // Log
             logOutput: document.getElementById('logOutput'),
@@ -162,6 +236,10 @@ class WFMScannerUI {
             this.selectItemListFile();
         });
 
+        this.elements.selectPreviousResultsBtn.addEventListener('click', () => {
+            this.selectPreviousResultsFile();
+        });
+
         // Control buttons
         this.elements.startScanBtn.addEventListener('click', () => {
             this.startScan();
@@ -171,6 +249,14 @@ class WFMScannerUI {
             this.stopScan();
         });
 
+        this.elements.pauseScanBtn.addEventListener('click', () => {
+            if (this.isPaused) {
+                this.resumePausedScan();
+            } else {
+                this.pauseScan();
+            }
+        });
+
         this.elements.exportResultsBtn.addEventListener('click', () => {
             this.exportResults();
         });
@@ -193,6 +279,90 @@ class WFMScannerUI {
             this.filterResults();
         });
 
+        this.elements.compareScansBtn.addEventListener('click', () => {
+            this.compareScans();
+        });
+
+        // Extraction profiles
+        this.elements.extractionProfileSelect.addEventListener('change', () => {
+            this.selectedProfileId = this.elements.extractionProfileSelect.value;
+            this.updateProfileDescription();
+            this.saveCurrentSettings();
+            this.log(`🧩 Extraction profile selected: ${this.selectedProfileId}`, 'info');
+        });
+
+        this.elements.editProfileBtn.addEventListener('click', () => {
+            this.editProfile();
+        });
+
+        this.elements.importProfileBtn.addEventListener('click', () => {
+            this.importProfile();
+        });
+
+        this.elements.exportProfileBtn.addEventListener('click', () => {
+            this.exportProfile();
+        });
+
+        this.elements.deleteProfileBtn.addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        this.elements.saveProfileBtn.addEventListener('click', () => {
+            this.saveProfile();
+        });
+
+        this.elements.cancelProfileEditBtn.addEventListener('click', () => {
+            this.elements.profileEditorSection.classList.add('hidden');
+        });
+
+        // Scheduled scans
+        this.elements.selectOutputFolderBtn.addEventListener('click', () => {
+            this.selectOutputFolder();
+        });
+
+        this.elements.saveScheduleBtn.addEventListener('click', () => {
+            this.saveScheduledJob();
+        });
+
+        this.elements.refreshScheduleBtn.addEventListener('click', () => {
+            this.loadSchedule();
+        });
+
+        this.elements.scheduleList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-schedule-action]');
+            if (button) {
+                this.handleScheduleAction(button.dataset.scheduleAction, button.dataset.jobId);
+            }
+        });
+
+        this.elements.scheduleList.addEventListener('change', (event) => {
+            if (event.target.matches('input[data-schedule-toggle]')) {
+                this.setScheduledJobEnabled(event.target.dataset.jobId, event.target.checked);
+            }
+        });
+
+        // Scan history
+        this.elements.refreshHistoryBtn.addEventListener('click', () => {
+            this.loadHistory();
+        });
+
+        this.elements.historyTimelineBtn.addEventListener('click', () => {
+            this.showItemTimeline();
+        });
+
+        this.elements.historyAsinInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.showItemTimeline();
+            }
+        });
+
+        this.elements.historyList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-history-action]');
+            if (button) {
+                this.handleHistoryAction(button.dataset.historyAction, button.dataset.runId);
+            }
+        });
+
         // Settings change validation
         const settingsInputs = [
             this.elements.delayBetweenItems,
@@ -211,12 +381,49 @@ class WFMScannerUI {
         });
         
         // Save settings when checkboxes change
-        [this.elements.headlessMode, this.elements.captureScreenshots, this.elements.skipExistingResults].forEach(checkbox => {
+        [this.elements.headlessMode, this.elements.captureScreenshots, this.elements.screenshotAllItems, this.elements.skipExistingResults, this.elements.deepScanVariations, this.elements.scanBundleComponents, this.elements.downloadImages, this.elements.adaptiveRateControl].forEach(checkbox => {
             checkbox.addEventListener('change', () => {
                 this.saveCurrentSettings();
             });
         });
 
+        // Screenshot mode hint
+        this.elements.captureScreenshots.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.log('📸 Screenshots enabled - failed items will be saved to a WFM_Scan_Evidence folder', 'info');
+            }
+        });
+
+        // Deep variation scan hint
+        this.elements.deepScanVariations.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.log('🔀 Deep variation scan enabled - each size/flavor option is clicked for its own price (slower)', 'info');
+            }
+        });
+
+        // Bundle component scan hint
+        this.elements.scanBundleComponents.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.log('🧺 Bundle component scan enabled - each "What\'s Included" part is loaded to check availability (slower)', 'info');
+            }
+        });
+
+        // Image download hint
+        this.elements.downloadImages.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.log('🖼️ Image download enabled - product images will be saved to a WFM_Scan_Images folder', 'info');
+            }
+        });
+
+        // Adaptive rate control hint
+        this.elements.adaptiveRateControl.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.log('🐢 Adaptive rate control enabled - agents and delays are adjusted when the site throttles the scan', 'info');
+            } else {
+                this.log('⚙️ Adaptive rate control disabled - agents and delays stay at the configured values', 'info');
+            }
+        });
+
         // Headless mode warning
         this.elements.headlessMode.addEventListener('change', (e) => {
             if (e.target.checked) {
@@ -246,6 +453,71 @@ class WFMScannerUI {
             this.addResult(result);
         });
 
+        // Messages from the main process (checkpoint recovery etc.)
+        ipcRenderer.on('app-message', (event, { message, type }) => {
+            this.log(message, type);
+        });
+
+        // Live per-agent state (idle, navigating, extracting, retrying, ...)
+        ipcRenderer.on('agent-telemetry', (event, snapshot) => {
+            this.agentTelemetry = snapshot;
+            this.renderAgentTelemetry();
+        });
+
+        // Live and final selector hit rates (site layout drift)
+        ipcRenderer.on('selector-health', (event, { report, newWarnings, final }) => {
+            this.renderSelectorHealth(report);
+            newWarnings.forEach(warning => this.log(`⚠️ Selector health: ${warning.message}`, 'warning'));
+            
+            if (final) {
+                if (report.healthy) {
+                    this.log(`🩺 Selector health OK across ${report.itemCount} item pages`, 'success');
+                } else {
+                    this.log(`🩺 Possible site layout change: ${report.warnings.length} selector warning(s) - check the Selector Health sheet before trusting this report`, 'warning');
+                }
+            }
+        });
+
+        // A finished scan was saved to history
+        ipcRenderer.on('history-updated', () => {
+            this.loadHistory();
+        });
+
+        // Scheduled jobs or their run log changed
+        ipcRenderer.on('schedule-updated', () => {
+            this.loadSchedule();
+        });
+
+        // A scheduled job started scanning; progress and results stream in like a manual scan
+        ipcRenderer.on('scheduled-scan-started', (event, { job }) => {
+            this.isScanning = true;
+            this.scanStartTime = Date.now();
+            this.startElapsedTimer();
+            this.clearResults();
+            this.updateUI();
+            this.log(`⏰ Scheduled scan "${job.name}" started (${job.mode} mode)`, 'info');
+        });
+
+        ipcRenderer.on('scheduled-scan-finished', (event, result) => {
+            this.isScanning = false;
+            this.isPaused = false;
+            this.stopElapsedTimer();
+            this.updateUI();
+            
+            if (!result.success) {
+                this.log(`❌ Scheduled scan "${result.job.name}" failed: ${result.error}`, 'error');
+            } else if (result.stopped) {
+                this.log(`🛑 Scheduled scan "${result.job.name}" stopped - partial results exported to ${result.exportPath}`, 'warning');
+            } else {
+                this.log(`✅ Scheduled scan "${result.job.name}" finished: ${result.successCount}/${result.resultsCount} successful, exported to ${result.exportPath}`, 'success');
+            }
+        });
+
+        // Unfinished scan the user chose to resume on startup
+        ipcRenderer.on('resume-scan', (event, payload) => {
+            this.resumeScan(payload);
+        });
+
         // Auto-updater events
         ipcRenderer.on('updater-message', (event, message) => {
             this.showUpdateMessage(message);
@@ -288,6 +560,21 @@ class WFMScannerUI {
         }
     }
 
+    async selectPreviousResultsFile() {
+        try {
+            const filePath = await ipcRenderer.invoke('select-previous-results-file');
+            if (filePath) {
+                this.previousResultsFile = filePath;
+                const fileName = filePath.split(/[\\/]/).pop();
+                this.elements.previousResultsFile.textContent = fileName;
+                this.elements.previousResultsFile.classList.add('selected');
+                this.log(`⏭️ Previous results file selected: ${fileName}`, 'success');
+            }
+        } catch (error) {
+            this.log(`❌ Error selecting previous results file: ${error.message}`, 'error');
+        }
+    }
+
     validateSettings() {
         const settings = this.getSettings();
         let isValid = true;
@@ -346,8 +633,14 @@ class WFMScannerUI {
             maxRetries: parseInt(this.elements.maxRetries.value),
             headlessMode: this.elements.headlessMode.checked,
             captureScreenshots: this.elements.captureScreenshots.checked,
+            screenshotAllItems: this.elements.screenshotAllItems.checked,
             skipExistingResults: this.elements.skipExistingResults.checked,
-            maxConcurrentAgents: parseInt(this.elements.maxConcurrentAgents.value)
+            deepScanVariations: this.elements.deepScanVariations.checked,
+            scanBundleComponents: this.elements.scanBundleComponents.checked,
+            downloadImages: this.elements.downloadImages.checked,
+            adaptiveRateControl: this.elements.adaptiveRateControl.checked,
+            maxConcurrentAgents: parseInt(this.elements.maxConcurrentAgents.value),
+            extractionProfileId: this.selectedProfileId
         };
     }
 
@@ -384,7 +677,7 @@ class WFMScannerUI {
 
         // Show/hide item list group based on mode with null check
         if (this.elements.itemListGroup) {
-            this.elements.itemListGroup.classList.toggle('hidden', !isItemMode);
+            this.elements.itemListGroup.classList.toggle('hidden', !this.needsItemList());
         }
 
         // Update selector value with null check
@@ -393,6 +686,11 @@ class WFMScannerUI {
         }
     }
 
+    // Item and competitive modes both work from the item list
+    needsItemList() {
+        return this.currentMode === 'item' || this.currentMode === 'competitive';
+    }
+
     async startScan() {
         try {
             // Validation based on mode
@@ -401,8 +699,9 @@ class WFMScannerUI {
                 return;
             }
 
-            if (this.currentMode === 'item' && !this.itemListFile) {
-                this.log('❌ Please select item list file for Item Mode', 'error');
+            if (this.needsItemList() && !this.itemListFile) {
+                const modeName = this.currentMode === 'competitive' ? 'Competitive Mode' : 'Item Mode';
+                this.log(`❌ Please select item list file for ${modeName}`, 'error');
                 return;
             }
 
@@ -413,10 +712,13 @@ class WFMScannerUI {
 
             const config = {
                 storeMappingFile: this.storeMappingFile,
-                itemListFile: this.currentMode === 'item' ? this.itemListFile : null,
+                itemListFile: this.needsItemList() ? this.itemListFile : null,
+                previousResultsFile: this.previousResultsFile,
+                resumeCheckpointDir: this.resumeCheckpointDir,
                 settings: this.getSettings(),
                 mode: this.currentMode
             };
+            this.resumeCheckpointDir = null;
 
             // Log window positioning info
             if (!config.settings.headlessMode && this.screenDimensions) {
@@ -427,12 +729,24 @@ class WFMScannerUI {
             if (this.currentMode === 'item') {
                 this.log('🚀 Starting Item Mode scan with multi-agent processing...', 'info');
                 this.log(`🤖 Using ${config.settings.maxConcurrentAgents} concurrent agents for parallel processing`, 'info');
+            } else if (this.currentMode === 'competitive') {
+                this.log('🚀 Starting Competitive Mode scan...', 'info');
+                this.log('🏆 Checking every ASIN in every mapped store for price and availability', 'info');
+                this.log(`🤖 Using ${config.settings.maxConcurrentAgents} concurrent agents for parallel processing`, 'info');
             } else {
                 this.log('🚀 Starting Merchandising Mode scan...', 'info');
                 this.log('🎠 Analyzing shoveler carousels on catering pages for each store', 'info');
             }
             
             // Add guidance for manual store selection if needed
+            if (config.settings.skipExistingResults) {
+                if (this.previousResultsFile) {
+                    this.log(`⏭️ Skipping items that already succeeded in ${this.previousResultsFile.split(/[\\/]/).pop()}`, 'info');
+                } else {
+                    this.log('⚠️ Skip Existing Results is on, but no previous results file is selected - scanning everything', 'warning');
+                }
+            }
+            
             if (!config.settings.headlessMode) {
                 this.log('💡 If no CSRF token is found, you may need to manually select a store in the browser window', 'info');
                 this.log('👆 Watch for the browser window to appear and follow any prompts for manual store selection', 'info');
@@ -447,7 +761,17 @@ class WFMScannerUI {
             const result = await ipcRenderer.invoke('start-scan', config);
             
             if (result.success) {
-                this.log(`✅ Scan completed successfully! Processed ${result.totalResults} items`, 'success');
+                // Final results include anything carried over from a previous run
+                if (Array.isArray(result.results) && result.results.length !== this.scanResults.length) {
+                    this.scanResults = result.results;
+                    this.filterResults();
+                }
+                if (result.stopped) {
+                    this.log(`🛑 Scan stopped - partial results exported to ${result.exportPath}`, 'warning');
+                    this.log(`⏭️ Not attempted: ${result.unattemptedStores} stores, ${result.unattemptedItems} items`, 'info');
+                } else {
+                    this.log(`✅ Scan completed successfully! Processed ${result.totalResults} items`, 'success');
+                }
                 this.log(`📊 Final statistics: ${this.scanResults.filter(r => r.success).length} successful, ${this.scanResults.filter(r => !r.success).length} failed`, 'info');
             } else {
                 this.log(`❌ Scan failed: ${result.error}`, 'error');
@@ -457,11 +781,42 @@ class WFMScannerUI {
             this.log(`❌ Error starting scan: ${error.message}`, 'error');
         } finally {
             this.isScanning = false;
+            this.isPaused = false;
             this.stopElapsedTimer();
             this.updateUI();
         }
     }
 
+    resumeScan({ checkpointDir, config }) {
+        if (this.isScanning) {
+            this.log('⚠️ Cannot resume unfinished scan while another scan is running', 'warning');
+            return;
+        }
+        
+        // Restore the unfinished scan's mode, files and settings
+        this.currentMode = config.mode || 'item';
+        this.updateModeUI();
+        
+        if (config.storeMappingFile) {
+            this.storeMappingFile = config.storeMappingFile;
+            this.elements.storeMappingFile.textContent = config.storeMappingFile.split(/[\\/]/).pop();
+            this.elements.storeMappingFile.classList.add('selected');
+        }
+        if (config.itemListFile) {
+            this.itemListFile = config.itemListFile;
+            this.elements.itemListFile.textContent = config.itemListFile.split(/[\\/]/).pop();
+            this.elements.itemListFile.classList.add('selected');
+        }
+        if (config.settings) {
+            this.applySettings(config.settings);
+        }
+        
+        this.resumeCheckpointDir = checkpointDir;
+        this.log('♻️ Resuming unfinished scan from checkpoint...', 'info');
+        this.updateUI();
+        this.startScan();
+    }
+
     async stopScan() {
         try {
             this.log('🛑 Stopping scan...', 'info');
@@ -477,11 +832,46 @@ class WFMScannerUI {
             this.log(`❌ Error stopping scan: ${error.message}`, 'error');
         } finally {
             this.isScanning = false;
+            this.isPaused = false;
             this.stopElapsedTimer();
             this.updateUI();
         }
     }
 
+    async pauseScan() {
+        try {
+            const result = await ipcRenderer.invoke('pause-scan');
+            
+            if (result.success) {
+                this.isPaused = true;
+                this.log('⏸️ Scan paused - items in progress will finish, then the scan waits (browser and store sessions stay open)', 'warning');
+            } else {
+                this.log(`❌ Error pausing scan: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log(`❌ Error pausing scan: ${error.message}`, 'error');
+        } finally {
+            this.updateUI();
+        }
+    }
+
+    async resumePausedScan() {
+        try {
+            const result = await ipcRenderer.invoke('resume-paused-scan');
+            
+            if (result.success) {
+                this.isPaused = false;
+                this.log('▶️ Scan resumed', 'success');
+            } else {
+                this.log(`❌ Error resuming scan: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log(`❌ Error resuming scan: ${error.message}`, 'error');
+        } finally {
+            this.updateUI();
+        }
+    }
+
     async exportResults() {
         try {
             if (this.scanResults.length === 0) {
@@ -507,21 +897,502 @@ class WFMScannerUI {
         }
     }
 
+    async compareScans() {
+        try {
+            const baselineFile = await ipcRenderer.invoke('select-comparison-file', 'Select Baseline (Older) Scan Results');
+            if (!baselineFile) return;
+            
+            const currentFile = await ipcRenderer.invoke('select-comparison-file', 'Select Current (Newer) Scan Results');
+            if (!currentFile) return;
+            
+            this.log(`🔀 Comparing ${baselineFile.split(/[\\/]/).pop()} -> ${currentFile.split(/[\\/]/).pop()}...`, 'info');
+            const result = await ipcRenderer.invoke('compare-scans', { baselineFile, currentFile });
+            
+            if (result.success) {
+                this.log(`✅ Changes report exported to: ${result.exportPath}`, 'success');
+                const unit = result.mode === 'merchandising' ? 'stores' : 'items';
+                this.log(`📊 ${result.changeCount} changes across ${result.changedCount} ${unit}, ${result.unchangedCount} ${unit} unchanged`, 'info');
+            } else {
+                this.log(`❌ Comparison failed: ${result.error}`, 'error');
+            }
+            
+        } catch (error) {
+            this.log(`❌ Error comparing scans: ${error.message}`, 'error');
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await ipcRenderer.invoke('profile-list');
+            if (!result.success) {
+                this.log(`❌ Failed to load extraction profiles: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.profiles = result.profiles;
+            this.elements.extractionProfileSelect.innerHTML = this.profiles.map(profile => `
+                <option value="${profile.id}">${profile.builtIn ? '🔒 ' : ''}${profile.name} (v${profile.version})</option>
+            `).join('');
+            
+            // Fall back to the built-in default when the saved profile no longer exists
+            if (!this.profiles.some(profile => profile.id === this.selectedProfileId)) {
+                this.selectedProfileId = 'wfm-default';
+            }
+            this.elements.extractionProfileSelect.value = this.selectedProfileId;
+            this.updateProfileDescription();
+        } catch (error) {
+            this.log(`❌ Error loading extraction profiles: ${error.message}`, 'error');
+        }
+    }
+
+    updateProfileDescription() {
+        const profile = this.profiles.find(p => p.id === this.selectedProfileId);
+        this.elements.extractionProfileDesc.textContent = profile
+            ? `${profile.id} v${profile.version}${profile.builtIn ? ' (built-in)' : ''}${profile.description ? ` - ${profile.description}` : ''}`
+            : 'Selectors used to read product pages.';
+        this.elements.deleteProfileBtn.disabled = !profile || profile.builtIn;
+    }
+
+    async editProfile() {
+        try {
+            const result = await ipcRenderer.invoke('profile-get', this.selectedProfileId);
+            if (!result.success) {
+                this.log(`❌ Failed to open extraction profile: ${result.error}`, 'error');
+                return;
+            }
+            
+            const { builtIn, ...profile } = result.profile;
+            if (builtIn) {
+                // Start from a copy so the built-in profile stays untouched
+                profile.id = `${profile.id}-custom`;
+                profile.name = `${profile.name} (custom)`;
+                this.log('🔒 Built-in profiles are read-only - editing a copy', 'info');
+            }
+            
+            this.elements.profileEditorText.value = JSON.stringify(profile, null, 2);
+            this.elements.profileEditorSection.classList.remove('hidden');
+            this.elements.profileEditorText.focus();
+        } catch (error) {
+            this.log(`❌ Error opening extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    async saveProfile() {
+        let profile;
+        try {
+            profile = JSON.parse(this.elements.profileEditorText.value);
+        } catch (error) {
+            this.log(`❌ Profile is not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+        
+        try {
+            const result = await ipcRenderer.invoke('profile-save', profile);
+            if (!result.success) {
+                this.log(`❌ Could not save extraction profile: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.elements.profileEditorSection.classList.add('hidden');
+            this.selectedProfileId = result.profile.id;
+            await this.loadProfiles();
+            this.saveCurrentSettings();
+            this.log(`💾 Extraction profile saved: ${result.profile.name} (v${result.profile.version})`, 'success');
+        } catch (error) {
+            this.log(`❌ Error saving extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    async importProfile() {
+        try {
+            const result = await ipcRenderer.invoke('profile-import');
+            if (result.canceled) return;
+            if (!result.success) {
+                this.log(`❌ Could not import extraction profile: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.selectedProfileId = result.profile.id;
+            await this.loadProfiles();
+            this.saveCurrentSettings();
+            this.log(`📥 Extraction profile imported: ${result.profile.name} (v${result.profile.version})`, 'success');
+        } catch (error) {
+            this.log(`❌ Error importing extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    async exportProfile() {
+        try {
+            const result = await ipcRenderer.invoke('profile-export', this.selectedProfileId);
+            if (result.canceled) return;
+            if (result.success) {
+                this.log(`📤 Extraction profile exported to: ${result.filePath}`, 'success');
+            } else {
+                this.log(`❌ Could not export extraction profile: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.log(`❌ Error exporting extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteProfile() {
+        if (!window.confirm(`Delete extraction profile "${this.selectedProfileId}"?`)) return;
+        
+        try {
+            const result = await ipcRenderer.invoke('profile-delete', this.selectedProfileId);
+            if (!result.success) {
+                this.log(`❌ Could not delete extraction profile: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.log(`🗑️ Extraction profile deleted: ${this.selectedProfileId}`, 'info');
+            this.selectedProfileId = 'wfm-default';
+            await this.loadProfiles();
+            this.saveCurrentSettings();
+        } catch (error) {
+            this.log(`❌ Error deleting extraction profile: ${error.message}`, 'error');
+        }
+    }
+
+    async selectOutputFolder() {
+        try {
+            const folderPath = await ipcRenderer.invoke('select-output-folder');
+            if (folderPath) {
+                this.scheduleOutputDir = folderPath;
+                this.elements.scheduleOutputFolder.textContent = folderPath;
+                this.elements.scheduleOutputFolder.classList.add('selected');
+            }
+        } catch (error) {
+            this.log(`❌ Error selecting output folder: ${error.message}`, 'error');
+        }
+    }
+
+    // Saves the current mode, files and settings as a recurring job
+    async saveScheduledJob() {
+        try {
+            if (!this.validateSettings()) {
+                this.log('❌ Please fix settings validation errors', 'error');
+                return;
+            }
+            
+            const job = {
+                name: this.elements.scheduleNameInput.value,
+                schedule: this.elements.scheduleCronInput.value,
+                runMissed: this.elements.scheduleRunMissed.checked,
+                mode: this.currentMode,
+                storeMappingFile: this.storeMappingFile,
+                itemListFile: this.needsItemList() ? this.itemListFile : null,
+                settings: this.getSettings(),
+                outputDir: this.scheduleOutputDir
+            };
+            
+            const result = await ipcRenderer.invoke('schedule-save-job', job);
+            if (!result.success) {
+                this.log(`❌ Could not save scheduled scan: ${result.error}`, 'error');
+                return;
+            }
+            
+            this.elements.scheduleNameInput.value = '';
+            this.elements.scheduleCronInput.value = '';
+            this.log(`⏰ Scheduled scan "${result.job.name}" saved (${result.job.schedule})`, 'success');
+            await this.loadSchedule();
+        } catch (error) {
+            this.log(`❌ Error saving scheduled scan: ${error.message}`, 'error');
+        }
+    }
+
+    async loadSchedule() {
+        try {
+            const { jobs, runLog } = await ipcRenderer.invoke('schedule-list');
+            this.renderSchedule(jobs, runLog);
+        } catch (error) {
+            this.log(`❌ Error loading scheduled scans: ${error.message}`, 'error');
+        }
+    }
+
+    renderSchedule(jobs, runLog) {
+        const modeNames = { item: 'Item', merchandising: 'Merchandising', competitive: 'Competitive' };
+        const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+        
+        if (jobs.length === 0) {
+            this.elements.scheduleList.innerHTML = '<div class="history-empty">No scheduled scans</div>';
+        } else {
+            const rows = jobs.map(job => {
+                let nextRun = job.enabled ? formatTime(job.nextRunAt) : 'Paused';
+                if (job.running) nextRun = 'Running now';
+                else if (job.queued) nextRun = 'Queued';
+                
+                return `
+                    <div class="history-row">
+                        <span title="${job.outputDir}">${job.name}</span>
+                        <span title="${modeNames[job.mode] || job.mode}">${job.schedule}</span>
+                        <span class="history-status-${job.lastStatus || 'none'}">${job.lastStatus || 'never run'}</span>
+                        <span>${nextRun}</span>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-schedule-toggle data-job-id="${job.id}" ${job.enabled ? 'checked' : ''}>
+                            <span class="checkmark"></span>
+                            Enabled
+                        </label>
+                        <span class="history-actions">
+                            <button class="btn btn-small" data-schedule-action="run" data-job-id="${job.id}">▶️ Run Now</button>
+                            <button class="btn btn-small" data-schedule-action="delete" data-job-id="${job.id}">🗑️ Delete</button>
+                        </span>
+                    </div>
+                `;
+            });
+            
+            this.elements.scheduleList.innerHTML = `
+                <div class="history-row history-row-header">
+                    <span>Job</span><span>Schedule</span><span>Last Status</span><span>Next Run</span><span></span><span></span>
+                </div>
+                ${rows.join('')}
+            `;
+        }
+        
+        if (runLog.length === 0) {
+            this.elements.scheduleRunLog.innerHTML = '<div class="history-empty">No scheduled runs yet</div>';
+            return;
+        }
+        
+        const logRows = runLog.map(entry => {
+            const results = entry.status === 'completed' || entry.status === 'stopped'
+                ? `${entry.successCount}/${entry.resultsCount} ok`
+                : '-';
+            const output = entry.exportPath ? entry.exportPath.split(/[\\/]/).pop() : '';
+            const detail = entry.error || (entry.warning ? `⚠️ ${entry.warning}${output ? ` - ${output}` : ''}` : output);
+            return `
+                <div class="history-row">
+                    <span>${entry.jobName}</span>
+                    <span>${formatTime(entry.startedAt)}</span>
+                    <span>${entry.trigger}</span>
+                    <span class="history-status-${entry.status}">${entry.status}</span>
+                    <span>${results}</span>
+                    <span title="${entry.warning || entry.exportPath || ''}">${detail}</span>
+                </div>
+            `;
+        });
+        
+        this.elements.scheduleRunLog.innerHTML = `
+            <div class="history-row history-row-header">
+                <span>Job</span><span>Started</span><span>Trigger</span><span>Status</span><span>Results</span><span>Output</span>
+            </div>
+            ${logRows.join('')}
+        `;
+    }
+
+    async handleScheduleAction(action, jobId) {
+        try {
+            if (action === 'run') {
+                await ipcRenderer.invoke('schedule-run-now', jobId);
+                this.log(this.isScanning
+                    ? '⏰ Scheduled scan queued - it will start when the current scan finishes'
+                    : '⏰ Scheduled scan starting now', 'info');
+            } else if (action === 'delete') {
+                if (!window.confirm('Delete this scheduled scan?')) return;
+                
+                await ipcRenderer.invoke('schedule-delete-job', jobId);
+                this.log('🗑️ Scheduled scan deleted', 'info');
+            }
+            await this.loadSchedule();
+        } catch (error) {
+            this.log(`❌ Scheduled scan error: ${error.message}`, 'error');
+        }
+    }
+
+    async setScheduledJobEnabled(jobId, enabled) {
+        try {
+            await ipcRenderer.invoke('schedule-set-enabled', { jobId, enabled });
+            this.log(enabled ? '⏰ Scheduled scan resumed' : '⏸️ Scheduled scan paused', 'info');
+        } catch (error) {
+            this.log(`❌ Scheduled scan error: ${error.message}`, 'error');
+        }
+    }
+
+    async loadHistory() {
+        try {
+            const result = await ipcRenderer.invoke('history-list');
+            if (!result.success) {
+                this.log(`❌ Failed to load scan history: ${result.error}`, 'error');
+                return;
+            }
+            this.renderHistory(result.runs);
+        } catch (error) {
+            this.log(`❌ Error loading scan history: ${error.message}`, 'error');
+        }
+    }
+
+    renderHistory(runs) {
+        const list = this.elements.historyList;
+        
+        if (runs.length === 0) {
+            list.innerHTML = '<div class="history-empty">No past scans recorded yet</div>';
+            return;
+        }
+        
+        const modeNames = { item: 'Item', merchandising: 'Merchandising', competitive: 'Competitive' };
+        const rows = runs.map(run => {
+            const duration = run.durationMs ? `${Math.round(run.durationMs / 60000)} min` : '-';
+            return `
+                <div class="history-row">
+                    <span title="${run.itemListFile || run.storeMappingFile || ''}">${new Date(run.startedAt).toLocaleString()}</span>
+                    <span>${modeNames[run.mode] || run.mode}</span>
+                    <span class="history-status-${run.status}">${run.status}</span>
+                    <span>${run.successCount}/${run.resultCount} ok</span>
+                    <span>${run.storeCount} stores</span>
+                    <span>${duration}</span>
+                    <span class="history-actions">
+                        <button class="btn btn-small" data-history-action="open" data-run-id="${run.runId}">📂 Open</button>
+                        <button class="btn btn-small" data-history-action="export" data-run-id="${run.runId}">📊 Export</button>
+                        <button class="btn btn-small" data-history-action="delete" data-run-id="${run.runId}">🗑️ Delete</button>
+                    </span>
+                </div>
+            `;
+        });
+        
+        list.innerHTML = `
+            <div class="history-row history-row-header">
+                <span>Started</span><span>Mode</span><span>Status</span><span>Results</span><span>Stores</span><span>Duration</span><span></span>
+            </div>
+            ${rows.join('')}
+        `;
+    }
+
+    async handleHistoryAction(action, runId) {
+        try {
+            if (action === 'open') {
+                if (this.isScanning) {
+                    this.log('⚠️ Cannot open a past scan while a scan is running', 'warning');
+                    return;
+                }
+                
+                const result = await ipcRenderer.invoke('history-load', runId);
+                if (!result.success) {
+                    this.log(`❌ Failed to open past scan: ${result.error}`, 'error');
+                    return;
+                }
+                
+                // Same path as live results so filtering and Export Results work on it
+                this.scanResults = result.run.results;
+                window.scannerUI = this;
+                this.filterResults();
+                this.updateUI();
+                this.log(`📂 Opened ${result.run.mode} scan from ${new Date(result.run.startedAt).toLocaleString()} (${result.run.results.length} results)`, 'info');
+                
+            } else if (action === 'export') {
+                const exportPath = await ipcRenderer.invoke('select-export-location');
+                if (!exportPath) return;
+                
+                const result = await ipcRenderer.invoke('history-export', { runId, exportPath });
+                if (result.success) {
+                    this.log(`✅ Past scan exported to: ${result.filePath}`, 'success');
+                } else {
+                    this.log(`❌ Export failed: ${result.error}`, 'error');
+                }
+                
+            } else if (action === 'delete') {
+                if (!window.confirm('Delete this scan from history? This cannot be undone.')) return;
+                
+                const result = await ipcRenderer.invoke('history-delete', runId);
+                if (result.success) {
+                    this.log('🗑️ Scan removed from history', 'info');
+                    await this.loadHistory();
+                } else {
+                    this.log(`❌ Delete failed: ${result.error}`, 'error');
+                }
+            }
+        } catch (error) {
+            this.log(`❌ Scan history error: ${error.message}`, 'error');
+        }
+    }
+
+    async showItemTimeline() {
+        const asin = this.elements.historyAsinInput.value.trim().toUpperCase();
+        const store = this.elements.historyStoreInput.value.trim().toUpperCase() || null;
+        const container = this.elements.historyTimeline;
+        
+        if (!asin) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        try {
+            const result = await ipcRenderer.invoke('history-item-timeline', { asin, store });
+            if (!result.success) {
+                this.log(`❌ Failed to build timeline: ${result.error}`, 'error');
+                return;
+            }
+            
+            container.classList.remove('hidden');
+            if (result.timeline.length === 0) {
+                container.innerHTML = `<div class="history-empty">${asin} does not appear in any stored scan</div>`;
+                return;
+            }
+            
+            // Highlight the scans where something changed since the previous scan of the same store
+            const previousByStore = new Map();
+            const rows = result.timeline.map(entry => {
+                const previous = previousByStore.get(entry.store);
+                const changed = previous && (
+                    previous.price !== entry.price ||
+                    previous.isAvailable !== entry.isAvailable ||
+                    previous.hasAddToCart !== entry.hasAddToCart ||
+                    previous.success !== entry.success
+                );
+                previousByStore.set(entry.store, entry);
+                
+                return `
+                    <div class="history-row ${changed ? 'changed' : ''}">
+                        <span>${new Date(entry.startedAt).toLocaleString()}</span>
+                        <span>${entry.store}</span>
+                        <span title="${entry.error || ''}">${entry.success ? '✅ Success' : '❌ Error'}</span>
+                        <span>${entry.price || '-'}</span>
+                        <span>${entry.isAvailable ? '✅' : '❌'} Avail</span>
+                        <span>${entry.hasAddToCart ? '✅' : '❌'} Cart</span>
+                        <span>${entry.hasNutritionFacts ? '✅' : '❌'} Nutrition</span>
+                        <span>${entry.hasIngredients ? '✅' : '❌'} Ingred.</span>
+                    </div>
+                `;
+            });
+            
+            container.innerHTML = `
+                <div class="history-row history-row-header">
+                    <span>Scan</span><span>Store</span><span>Status</span><span>Price</span><span>Available</span><span>Cart</span><span>Nutrition</span><span>Ingredients</span>
+                </div>
+                ${rows.join('')}
+            `;
+            this.log(`📈 ${asin}: ${result.timeline.length} entries across stored scans`, 'info');
+            
+        } catch (error) {
+            this.log(`❌ Error building timeline: ${error.message}`, 'error');
+        }
+    }
+
     updateProgress(progress) {
-        const { currentStore, itemsProcessed, totalItems, successCount, errorCount, activeAgents } = progress;
+        const { currentStore, itemsProcessed, totalItems, successCount, errorCount, activeAgents, agentLimit, rateAdjustment, paused } = progress;
+        
+        // The scanner's pause state wins (e.g. a scheduled scan, or a stop while paused)
+        if (paused !== undefined && paused !== this.isPaused) {
+            this.isPaused = paused;
+            this.updateUI();
+        }
         
         // Update progress bar
         const percentage = totalItems > 0 ? Math.round((itemsProcessed / totalItems) * 100) : 0;
         this.elements.progressFill.style.width = `${percentage}%`;
         
         // Update progress text
-        this.elements.progressText.textContent = `Processing ${currentStore || 'Unknown Store'}... (${percentage}%)`;
+        this.elements.progressText.textContent = paused
+            ? `Paused - ${currentStore || 'no store'} (${percentage}%)`
+            : `Processing ${currentStore || 'Unknown Store'}... (${percentage}%)`;
         
         // Update stats
         this.elements.currentStore.textContent = currentStore || '-';
         this.elements.itemsProcessed.textContent = itemsProcessed.toLocaleString();
         this.elements.totalItems.textContent = totalItems.toLocaleString();
-        this.elements.activeAgents.textContent = activeAgents || 0;
+        
+        // Working agents out of the number the rate controller currently allows
+        this.elements.activeAgents.textContent = agentLimit ? `${activeAgents || 0}/${agentLimit}` : (activeAgents || 0);
+        this.elements.activeAgents.title = rateAdjustment || '';
         
         // Update success rate
         const successRate = itemsProcessed > 0 ? Math.round((successCount / itemsProcessed) * 100) : 0;
@@ -575,7 +1446,7 @@ class WFMScannerUI {
             // Search filter
             const matchesSearch = !searchTerm || 
                 result.store.toLowerCase().includes(searchTerm) ||
-                result.asin.toLowerCase().includes(searchTerm) ||
+                (result.asin && result.asin.toLowerCase().includes(searchTerm)) ||
                 (result.name && result.name.toLowerCase().includes(searchTerm)) ||
                 (result.extractedName && result.extractedName.toLowerCase().includes(searchTerm));
             
@@ -637,7 +1508,7 @@ class WFMScannerUI {
         
         row.innerHTML = `
             <div class="table-cell col-store">${result.store}</div>
-            <div class="table-cell col-asin">${result.asin}</div>
+            <div class="table-cell col-asin">${result.asin || '-'}</div>
             <div class="table-cell col-name" title="${result.name || ''}">${result.name || '-'}</div>
             <div class="table-cell col-extracted" title="${extractedName}">${extractedName}</div>
             <div class="table-cell col-price">${price}</div>
@@ -660,6 +1531,61 @@ class WFMScannerUI {
         this.scanResults = [];
         this.filteredResults = [];
         this.renderResults();
+        this.elements.selectorHealthPanel.classList.add('hidden');
+        this.agentTelemetry = [];
+        this.renderAgentTelemetry();
+    }
+
+    renderSelectorHealth(report) {
+        const panel = this.elements.selectorHealthPanel;
+        const warnedFields = new Set(report.warnings.map(warning => warning.field));
+        const fields = report.fields.map(field => {
+            const previous = field.baselineRate !== null ? ` (prev ${Math.round(field.baselineRate * 100)}%)` : '';
+            const title = field.primarySelector
+                ? `Primary selector matched ${Math.round(field.primaryRate * 100)}%, fallbacks ${field.fallbackHits}`
+                : 'Section match';
+            return `<span class="selector-health-field${warnedFields.has(field.field) ? ' warning' : ''}" title="${title.replace(/"/g, '&quot;')}">${field.label}: ${Math.round(field.rate * 100)}%${previous}</span>`;
+        });
+        const warnings = report.warnings.length > 0
+            ? `<ul class="selector-health-warnings">${report.warnings.map(warning => `<li>${warning.message}</li>`).join('')}</ul>`
+            : '';
+        
+        panel.innerHTML = `<strong>🩺 Selectors (${report.itemCount} pages):</strong> ${fields.join('')}${warnings}`;
+        panel.classList.remove('hidden');
+    }
+
+    renderAgentTelemetry() {
+        const panel = this.elements.agentTelemetryPanel;
+        if (this.agentTelemetry.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const now = Date.now();
+        const rows = this.agentTelemetry.map(agent => {
+            const inState = now - agent.stateSince;
+            const working = !['idle', 'paused', 'finished'].includes(agent.state);
+            const stalled = working && now - agent.lastActivity >= AGENT_STALL_THRESHOLD;
+            const state = agent.state === 'retrying' && agent.attempt ? `retrying (attempt ${agent.attempt})` : agent.state;
+            const lastError = agent.lastError ? ` title="${agent.lastError.replace(/"/g, '&quot;')}"` : '';
+            
+            return `<tr class="agent-state-${agent.state}${stalled ? ' stalled' : ''}">
+                <td>${agent.id}</td>
+                <td>${state}</td>
+                <td>${agent.store || '-'}</td>
+                <td>${agent.asin || '-'}</td>
+                <td>${working ? `${Math.floor(inState / 1000)}s` : '-'}</td>
+                <td>${agent.itemsDone}</td>
+                <td>${agent.averageLoadTime !== null ? `${agent.averageLoadTime}ms` : '-'}</td>
+                <td${lastError}>${agent.errorCount}</td>
+            </tr>`;
+        });
+        
+        panel.innerHTML = `<table class="agent-telemetry-table">
+            <thead><tr><th>Agent</th><th>State</th><th>Store</th><th>ASIN</th><th>In State</th><th>Done</th><th>Avg Load</th><th>Errors</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>`;
+        panel.classList.remove('hidden');
     }
 
     startElapsedTimer() {
@@ -673,6 +1599,11 @@ class WFMScannerUI {
                 const timeString = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
                 this.elements.elapsedTime.textContent = timeString;
             }
+            
+            // Keeps the agent table's time-in-state ticking between updates so a stuck agent stands out
+            if (this.agentTelemetry.length > 0) {
+                this.renderAgentTelemetry();
+            }
         }, 1000);
     }
 
@@ -685,7 +1616,7 @@ class WFMScannerUI {
 
     updateUI() {
         // Check required files based on mode
-        const hasRequiredFiles = this.currentMode === 'item'
+        const hasRequiredFiles = this.needsItemList()
             ? (this.storeMappingFile && this.itemListFile)
             : this.storeMappingFile;
         const hasResults = this.scanResults.length > 0;
@@ -693,14 +1624,29 @@ class WFMScannerUI {
         // Enable/disable buttons based on state and mode
         this.elements.startScanBtn.disabled = this.isScanning || !hasRequiredFiles;
         this.elements.stopScanBtn.disabled = !this.isScanning;
+        this.elements.pauseScanBtn.disabled = !this.isScanning;
+        this.elements.pauseScanBtn.innerHTML = this.isPaused
+            ? '<span class="btn-icon">▶️</span>Resume Scan'
+            : '<span class="btn-icon">⏸️</span>Pause Scan';
+        
+        this.elements.scanStatus.textContent = this.isPaused ? 'Paused' : (this.isScanning ? 'Scanning' : 'Ready');
+        this.elements.scanStatus.classList.toggle('paused', this.isPaused);
         this.elements.exportResultsBtn.disabled = !hasResults || this.isScanning;
         
         // Update button text based on state and mode
         if (this.isScanning) {
-            const modeText = this.currentMode === 'item' ? 'Item Scanning...' : 'Merchandising Scanning...';
+            const modeText = {
+                item: 'Item Scanning...',
+                merchandising: 'Merchandising Scanning...',
+                competitive: 'Competitive Scanning...'
+            }[this.currentMode];
             this.elements.startScanBtn.innerHTML = `<span class="btn-icon">🔄</span>${modeText}`;
         } else {
-            const modeText = this.currentMode === 'item' ? 'Start Item Scan' : 'Start Merchandising Scan';
+            const modeText = {
+                item: 'Start Item Scan',
+                merchandising: 'Start Merchandising Scan',
+                competitive: 'Start Competitive Scan'
+            }[this.currentMode];
             this.elements.startScanBtn.innerHTML = `<span class="btn-icon">▶️</span>${modeText}`;
         }
     }
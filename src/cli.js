@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+// Headless command-line runner: drives ScannerService and ExcelExporter without an Electron window.
+// stdout carries one JSON object per line (progress, results, summary); human-readable logs go to stderr.
+const path = require('path');
+const util = require('util');
+
+// Exit codes let a task scheduler tell a bad night from a broken setup
+const EXIT_CODES = {
+    OK: 0,
+    LOW_SUCCESS_RATE: 1,
+    SCAN_FAILED: 2,
+    INTERRUPTED: 3,
+    USAGE: 64
+};
+
+// Mirrors the app's default settings in main.js, except the browser always runs headless
+const DEFAULT_SETTINGS = {
+    delayBetweenItems: 2000,
+    delayBetweenStores: 5000,
+    pageTimeout: 30000,
+    maxRetries: 3,
+    headlessMode: true,
+    captureScreenshots: false,
+    screenshotAllItems: false,
+    skipExistingResults: false,
+    deepScanVariations: false,
+    scanBundleComponents: false,
+    downloadImages: false,
+    adaptiveRateControl: true,
+    maxConcurrentAgents: 3
+};
+
+// --flag value options: [config path, parser]
+const VALUE_OPTIONS = {
+    '--mode': ['mode', String],
+    '--stores': ['storeMappingFile', resolvePath],
+    '--items': ['itemListFile', resolvePath],
+    '--out': ['out', resolvePath],
+    '--previous': ['previousResultsFile', resolvePath],
+    '--profile': ['profileFile', resolvePath],
+    '--checkpoint-dir': ['checkpointDir', resolvePath],
+    '--evidence-dir': ['evidenceDir', resolvePath],
+    '--image-dir': ['imageDir', resolvePath],
+    '--min-success-rate': ['minSuccessRate', Number],
+    '--agents': ['settings.maxConcurrentAgents', Number],
+    '--retries': ['settings.maxRetries', Number],
+    '--timeout': ['settings.pageTimeout', Number],
+    '--delay-items': ['settings.delayBetweenItems', Number],
+    '--delay-stores': ['settings.delayBetweenStores', Number]
+};
+
+// --flag switches: [config path, value]
+const SWITCH_OPTIONS = {
+    '--screenshots': ['settings.captureScreenshots', true],
+    '--screenshot-all': ['settings.screenshotAllItems', true],
+    '--skip-existing': ['settings.skipExistingResults', true],
+    '--deep-variations': ['settings.deepScanVariations', true],
+    '--bundle-components': ['settings.scanBundleComponents', true],
+    '--download-images': ['settings.downloadImages', true],
+    '--fixed-rate': ['settings.adaptiveRateControl', false],
+    '--headed': ['settings.headlessMode', false],
+    '--quiet': ['quiet', true]
+};
+
+const USAGE = `Usage: wfm-scanner scan --stores <stores.csv> [--items <items.xlsx|csv>] [options]
+
+Options:
+  --mode <item|merchandising|competitive>  Scan mode (default: item)
+  --stores <file>             Store mapping CSV (StoreCode, StoreId)
+  --items <file>              Item list, required for item and competitive modes
+  --out <file>                Export path (default: ./WFM_Scan_Results_<timestamp>.xlsx)
+  --min-success-rate <pct>    Exit with ${EXIT_CODES.LOW_SUCCESS_RATE} when fewer results succeed (default: 90)
+  --agents <n>                Concurrent agents (default: ${DEFAULT_SETTINGS.maxConcurrentAgents})
+  --retries <n>               Retries per item (default: ${DEFAULT_SETTINGS.maxRetries})
+  --timeout <ms>              Page timeout (default: ${DEFAULT_SETTINGS.pageTimeout})
+  --delay-items <ms>          Delay between items (default: ${DEFAULT_SETTINGS.delayBetweenItems})
+  --delay-stores <ms>         Delay between stores (default: ${DEFAULT_SETTINGS.delayBetweenStores})
+  --fixed-rate                Keep --agents and the delays fixed instead of adapting them to throttling
+  --skip-existing             Skip items that already succeeded in --previous
+  --previous <file>           Previous results for --skip-existing
+  --profile <file>            Extraction profile JSON (default: built-in wfm-default)
+  --deep-variations           Click each size/flavor option to record its own price and availability
+  --bundle-components         Load each bundle component's own page to check it is available
+  --screenshots               Capture screenshot evidence for failed items
+  --screenshot-all            Capture screenshots for every item (with --screenshots)
+  --evidence-dir <dir>        Screenshot folder
+  --download-images           Save each item's product images to a per-scan folder
+  --image-dir <dir>           Image folder (with --download-images)
+  --checkpoint-dir <dir>      Write a crash-safe checkpoint while scanning
+  --headed                    Show the browser window
+  --quiet                     Don't write scanner logs to stderr
+
+Exit codes:
+  ${EXIT_CODES.OK}   success rate at or above --min-success-rate
+  ${EXIT_CODES.LOW_SUCCESS_RATE}   success rate below --min-success-rate
+  ${EXIT_CODES.SCAN_FAILED}   scan or export failed
+  ${EXIT_CODES.INTERRUPTED}   interrupted (SIGINT/SIGTERM); partial results exported
+  ${EXIT_CODES.USAGE}  invalid arguments`;
+
+function resolvePath(value) {
+    return path.resolve(value);
+}
+
+function setOption(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj[key], target);
+    parent[last] = value;
+}
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    if (command !== 'scan') {
+        throw new Error(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    
+    const options = {
+        mode: 'item',
+        minSuccessRate: 90,
+        quiet: false,
+        settings: { ...DEFAULT_SETTINGS }
+    };
+    
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (VALUE_OPTIONS[flag]) {
+            const [keyPath, parse] = VALUE_OPTIONS[flag];
+            const raw = rest[++i];
+            if (raw === undefined || raw.startsWith('--')) {
+                throw new Error(`${flag} needs a value`);
+            }
+            const value = parse(raw);
+            if (typeof value === 'number' && isNaN(value)) {
+                throw new Error(`${flag} must be a number`);
+            }
+            setOption(options, keyPath, value);
+        } else if (SWITCH_OPTIONS[flag]) {
+            const [keyPath, value] = SWITCH_OPTIONS[flag];
+            setOption(options, keyPath, value);
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    
+    if (!['item', 'merchandising', 'competitive'].includes(options.mode)) {
+        throw new Error(`Unknown mode: ${options.mode}`);
+    }
+    if (!options.storeMappingFile) {
+        throw new Error('--stores is required');
+    }
+    if (options.mode !== 'merchandising' && !options.itemListFile) {
+        throw new Error(`--items is required for ${options.mode} mode`);
+    }
+    
+    return options;
+}
+
+function emit(type, data = {}) {
+    process.stdout.write(JSON.stringify({ type, timestamp: new Date().toISOString(), ...data }) + '\n');
+}
+
+// Scanner logs are meant for people; keep stdout clean for the JSON lines
+function redirectConsole(quiet) {
+    const toStderr = (...args) => {
+        if (!quiet) {
+            process.stderr.write(util.format(...args) + '\n');
+        }
+    };
+    console.log = toStderr;
+    console.info = toStderr;
+    console.warn = toStderr;
+    console.error = (...args) => process.stderr.write(util.format(...args) + '\n');
+}
+
+function getExportPath(options, stopped) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = stopped ? '_PARTIAL' : '';
+    if (!options.out) {
+        return path.join(process.cwd(), `WFM_Scan_Results_${timestamp}${suffix}.xlsx`);
+    }
+    
+    const ext = path.extname(options.out) || '.xlsx';
+    return path.join(path.dirname(options.out), `${path.basename(options.out, path.extname(options.out))}${suffix}${ext}`);
+}
+
+async function runScan(options) {
+    const { ScannerService } = require('./services/scannerService');
+    const { ExcelExporter } = require('./services/excelExporter');
+    const { ExtractionProfileStore } = require('./services/extractionProfiles');
+    const { version } = require('../package.json');
+    
+    const extractionProfile = options.profileFile
+        ? await ExtractionProfileStore.readProfileFile(options.profileFile)
+        : null;
+    
+    const scanner = new ScannerService({
+        mode: options.mode,
+        storeMappingFile: options.storeMappingFile,
+        itemListFile: options.itemListFile || null,
+        previousResultsFile: options.previousResultsFile || null,
+        checkpointDir: options.checkpointDir || null,
+        evidenceDir: options.evidenceDir || null,
+        imageDir: options.imageDir || null,
+        extractionProfile: extractionProfile,
+        settings: options.settings,
+        appVersion: version
+    });
+    
+    scanner.onProgress = (progress) => emit('progress', progress);
+    scanner.onSelectorHealth = (report, newWarnings) => {
+        newWarnings.forEach(warning => emit('selector-warning', warning));
+    };
+    scanner.onRateAdjustment = (adjustment) => emit('rate-adjustment', adjustment);
+    scanner.onResult = (result) => emit('result', {
+        store: result.store,
+        asin: result.asin || null,
+        success: result.success,
+        attempts: result.attempts || 1,
+        loadTime: result.loadTime || null,
+        error: result.error || null
+    });
+    
+    // Ctrl+C or a scheduler timeout stops the scan but still exports what was collected
+    let interrupted = false;
+    const stop = (signal) => {
+        if (interrupted) return;
+        interrupted = true;
+        emit('interrupted', { signal });
+        scanner.stopScan();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    
+    emit('started', {
+        mode: options.mode,
+        storeMappingFile: options.storeMappingFile,
+        itemListFile: options.itemListFile || null,
+        extractionProfile: extractionProfile ? `${extractionProfile.id}@${extractionProfile.version}` : null,
+        settings: options.settings
+    });
+    
+    const results = await scanner.startScan();
+    const stopped = scanner.outcome === 'stopped';
+    const partial = stopped ? {
+        stoppedAt: scanner.stoppedAt,
+        unattempted: scanner.getUnattemptedWork()
+    } : null;
+    
+    const selectorHealth = scanner.selectorHealth ? scanner.selectorHealth.getReport() : null;
+    if (selectorHealth) {
+        emit('selector-health', selectorHealth);
+    }
+    
+    const exporter = new ExcelExporter();
+    const exportPath = await exporter.exportResults(results, getExportPath(options, stopped), { partial, selectorHealth });
+    
+    if (scanner.checkpoint && ['completed', 'stopped'].includes(scanner.checkpoint.manifest.status)) {
+        scanner.checkpoint.discard();
+    }
+    
+    const succeeded = results.filter(result => result.success).length;
+    const successRate = results.length > 0 ? (succeeded / results.length) * 100 : 0;
+    
+    let exitCode = EXIT_CODES.OK;
+    if (stopped) {
+        exitCode = EXIT_CODES.INTERRUPTED;
+    } else if (successRate < options.minSuccessRate) {
+        exitCode = EXIT_CODES.LOW_SUCCESS_RATE;
+    }
+    
+    emit('finished', {
+        outcome: scanner.outcome,
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        successRate: Math.round(successRate * 100) / 100,
+        minSuccessRate: options.minSuccessRate,
+        notAttemptedStores: partial ? partial.unattempted.stores.length : 0,
+        notAttemptedItems: partial ? partial.unattempted.items.length : 0,
+        durationMs: new Date(scanner.finishedAt) - new Date(scanner.startedAt),
+        exportPath: exportPath,
+        exitCode: exitCode
+    });
+    
+    return exitCode;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+        process.stderr.write(USAGE + '\n');
+        return argv.length === 0 ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+    }
+    
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`❌ ${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+    
+    redirectConsole(options.quiet);
+    
+    try {
+        return await runScan(options);
+    } catch (error) {
+        emit('error', { message: error.message });
+        console.error('❌ Scan failed:', error);
+        return EXIT_CODES.SCAN_FAILED;
+    }
+}
+
+// Set exitCode rather than calling process.exit so buffered stdout lines are flushed first
+main().then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -6,8 +6,20 @@ const fs = require('fs');
 // File to store last used files
 const configPath = path.join(app.getPath('userData'), 'scanner-config.json');
 
+// Folder holding crash-safe checkpoints of running scans
+const checkpointDir = path.join(app.getPath('userData'), 'checkpoints');
+
+// Folder holding the history of finished scans
+const historyDir = path.join(app.getPath('userData'), 'scan-history');
+
+// Folder holding user-created and imported extraction profiles
+const profilesDir = path.join(app.getPath('userData'), 'extraction-profiles');
+
 let mainWindow;
 let currentScanner = null; // Track the current scanner instance
+let scanInProgress = false; // True from scan start until export and history are done
+let activeScanner = null; // Scanner of the scan in progress, kept until its export and checkpoint cleanup are done
+let scheduler = null; // Runs scheduled scan jobs
 
 // Helper functions for configuration persistence
 function loadConfig() {
@@ -22,6 +34,7 @@ function loadConfig() {
     return {
         lastStoreMappingFile: null,
         lastItemListFile: null,
+        lastPreviousResultsFile: null,
         lastSettings: {
             delayBetweenItems: 2000,
             delayBetweenStores: 5000,
@@ -29,9 +42,16 @@ function loadConfig() {
             maxRetries: 3,
             headlessMode: false,
             captureScreenshots: false,
+            screenshotAllItems: false,
             skipExistingResults: false,
+            deepScanVariations: false,
+            scanBundleComponents: false,
+            downloadImages: false,
+            adaptiveRateControl: true,
             maxConcurrentAgents: 3 // Multi-agent support
-        }
+        },
+        scheduledJobs: [],
+        scheduleRunLog: []
     };
 }
 
@@ -44,6 +64,309 @@ function saveConfig(config) {
     }
 }
 
+function sendAppMessage(message, type = 'info') {
+    if (mainWindow) {
+        mainWindow.webContents.send('app-message', { message, type });
+    }
+}
+
+// The running scan's checkpoint, or the one it is resuming from, isn't unfinished
+function isActiveCheckpoint(dir) {
+    if (!activeScanner) return false;
+    return (activeScanner.checkpoint && activeScanner.checkpoint.dir === dir) ||
+        activeScanner.config.resumeCheckpointDir === dir;
+}
+
+// Offer to resume or export scans that crashed, were stopped, or never got exported
+async function checkForUnfinishedScans() {
+    const { ScanCheckpoint } = require('./services/scanCheckpoint');
+    const unfinished = ScanCheckpoint.findUnfinished(checkpointDir);
+    
+    for (const { dir, manifest } of unfinished) {
+        // Checked per folder since a scan may have started while a dialog was open
+        if (isActiveCheckpoint(dir)) continue;
+        
+        const savedResults = ScanCheckpoint.readResults(dir).length;
+        const { response } = await dialog.showMessageBox(mainWindow, {
+            type: 'question',
+            title: 'Unfinished Scan Found',
+            message: `An unfinished ${manifest.mode} scan from ${new Date(manifest.startedAt).toLocaleString()} was found.`,
+            detail: `Status: ${manifest.status}\n` +
+                `Results saved: ${savedResults} of ${manifest.totalItems}\n` +
+                `Stores completed: ${manifest.completedStores.length} of ${manifest.storeCodes.length}`,
+            buttons: ['Resume Scan', 'Export Results', 'Discard', 'Decide Later'],
+            defaultId: 0,
+            cancelId: 3
+        });
+        
+        if (response === 0) {
+            console.log('Resuming unfinished scan:', dir);
+            mainWindow.webContents.send('resume-scan', { checkpointDir: dir, config: manifest.config });
+            break; // Only one scan can run at a time
+        } else if (response === 1) {
+            await exportCheckpoint(dir);
+        } else if (response === 2) {
+            ScanCheckpoint.remove(dir);
+            sendAppMessage('🗑️ Discarded unfinished scan checkpoint', 'info');
+        }
+    }
+}
+
+async function exportCheckpoint(dir) {
+    const { ScanCheckpoint } = require('./services/scanCheckpoint');
+    const { ExcelExporter } = require('./services/excelExporter');
+    
+    try {
+        const results = ScanCheckpoint.readResults(dir);
+        if (results.length === 0) {
+            sendAppMessage('⚠️ Unfinished scan has no saved results to export', 'warning');
+            ScanCheckpoint.remove(dir);
+            return;
+        }
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const exportPath = path.join(process.cwd(), `WFM_Scan_Results_${timestamp}_RECOVERED.xlsx`);
+        const exporter = new ExcelExporter();
+        await exporter.exportResults(results, exportPath);
+        
+        ScanCheckpoint.remove(dir);
+        sendAppMessage(`✅ Recovered ${results.length} results exported to: ${exportPath}`, 'success');
+    } catch (error) {
+        console.error('Failed to export checkpoint:', error);
+        sendAppMessage(`❌ Failed to export unfinished scan: ${error.message}`, 'error');
+    }
+}
+
+// Keep every finished scan, since exports get cleaned up after a few runs
+async function saveScanToHistory(scanner, config, results, exportPath, selectorHealth) {
+    const { ScanHistory } = require('./services/scanHistory');
+    
+    try {
+        const summary = await new ScanHistory(historyDir).saveRun({
+            mode: scanner.mode,
+            status: scanner.outcome,
+            startedAt: scanner.startedAt,
+            finishedAt: scanner.finishedAt,
+            appVersion: app.getVersion(),
+            config: config,
+            results: results,
+            exportPath: exportPath,
+            selectorHealth: selectorHealth
+        });
+        if (mainWindow) {
+            mainWindow.webContents.send('history-updated', summary);
+        }
+    } catch (error) {
+        console.error('Failed to save scan to history:', error);
+        sendAppMessage(`⚠️ Scan could not be saved to history: ${error.message}`, 'warning');
+    }
+}
+
+// Extraction rates of the previous completed scan in this mode; selector health warnings compare against it
+async function loadSelectorHealthBaseline(mode) {
+    const { ScanHistory } = require('./services/scanHistory');
+    
+    try {
+        return await new ScanHistory(historyDir).getSelectorHealthBaseline(mode);
+    } catch (error) {
+        console.warn('Could not load selector health baseline:', error.message);
+        return null;
+    }
+}
+
+// The extraction profile chosen for a scan. A profile deleted after a scheduled job was saved falls back
+// to the built-in default, as the settings panel does, instead of failing every run of the job.
+async function resolveExtractionProfile(profileId, warnings) {
+    const { ExtractionProfileStore, DEFAULT_PROFILE_ID } = require('./services/extractionProfiles');
+    const store = new ExtractionProfileStore(profilesDir);
+    
+    try {
+        return await store.getProfile(profileId);
+    } catch (error) {
+        if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+            throw error;
+        }
+        
+        const warning = `Extraction profile "${profileId}" could not be loaded (${error.message}), used the built-in default`;
+        console.warn(warning);
+        sendAppMessage(`⚠️ ${warning}`, 'warning');
+        warnings.push(warning);
+        return store.getProfile(DEFAULT_PROFILE_ID);
+    }
+}
+
+// Run a scan end to end: scan, export, checkpoint cleanup and history.
+// Shared by the Start button and scheduled jobs so both behave the same.
+async function runScan(config, options = {}) {
+    if (scanInProgress) {
+        return {
+            success: false,
+            error: 'Another scan is already running'
+        };
+    }
+    scanInProgress = true;
+    
+    try {
+        // Dynamically import the scanner service to avoid startup issues
+        const { ScannerService } = require('./services/scannerService');
+        const { ExcelExporter } = require('./services/excelExporter');
+        
+        // Resolve the extraction profile chosen for this scan (built-in default when none is set)
+        const warnings = [];
+        const extractionProfile = await resolveExtractionProfile(config.settings && config.settings.extractionProfileId, warnings);
+        const selectorHealthBaseline = await loadSelectorHealthBaseline(config.mode || 'item');
+        
+        // Get screen dimensions for Playwright positioning
+        const primaryDisplay = screen.getPrimaryDisplay();
+        const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
+        
+        // Calculate dimensions for side-by-side layout
+        const electronWidth = Math.floor(screenWidth / 2);
+        const playwrightWidth = screenWidth - electronWidth;
+        
+        const screenDimensions = {
+            screenWidth,
+            screenHeight,
+            electronX: 0,
+            electronY: 0,
+            electronWidth,
+            electronHeight: screenHeight,
+            playwrightX: electronWidth,
+            playwrightY: 0,
+            playwrightWidth,
+            playwrightHeight: screenHeight
+        };
+        
+        // Create scanner configuration
+        const scannerConfig = {
+            ...config,
+            screenDimensions,
+            checkpointDir,
+            extractionProfile,
+            selectorHealthBaseline,
+            appVersion: app.getVersion()
+        };
+        
+        console.log('Starting scanner service...');
+        const scanner = new ScannerService(scannerConfig);
+        currentScanner = scanner; // Store reference for stopping
+        activeScanner = scanner;
+        
+        // Set up progress callback
+        scanner.onProgress = (progress) => {
+            if (mainWindow) {
+                mainWindow.webContents.send('scan-progress', progress);
+            }
+        };
+        
+        // Set up result callback
+        scanner.onResult = (result) => {
+            if (mainWindow) {
+                mainWindow.webContents.send('scan-result', result);
+            }
+        };
+        
+        // Live per-agent state for the agent table
+        scanner.onAgentTelemetry = (snapshot) => {
+            if (mainWindow) {
+                mainWindow.webContents.send('agent-telemetry', snapshot);
+            }
+        };
+        
+        // Agent count and delay changes made by the adaptive rate controller
+        scanner.onRateAdjustment = (adjustment) => {
+            sendAppMessage(adjustment.message, adjustment.direction === 'down' ? 'warning' : 'info');
+        };
+        
+        // Live selector health (every few items and whenever a new layout-drift warning appears)
+        scanner.onSelectorHealth = (report, newWarnings) => {
+            if (mainWindow) {
+                mainWindow.webContents.send('selector-health', { report, newWarnings, final: false });
+            }
+        };
+        
+        // Start the scan
+        const results = await scanner.startScan();
+        currentScanner = null; // Clear reference when done
+        
+        // Export results to Excel
+        console.log('Exporting results to Excel...');
+        const exporter = new ExcelExporter();
+        
+        // A stopped scan still exports what it has, clearly marked as partial
+        const stopped = scanner.outcome === 'stopped';
+        const partial = stopped ? {
+            stoppedAt: scanner.stoppedAt,
+            unattempted: scanner.getUnattemptedWork()
+        } : null;
+        
+        // Generate export file path
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const suffix = stopped ? '_PARTIAL' : '';
+        const exportDir = options.exportDir || process.cwd();
+        fs.mkdirSync(exportDir, { recursive: true });
+        const exportPath = path.join(exportDir, `WFM_Scan_Results_${timestamp}${suffix}.xlsx`);
+        
+        const selectorHealth = scanner.selectorHealth ? scanner.selectorHealth.getReport() : null;
+        if (selectorHealth && mainWindow) {
+            mainWindow.webContents.send('selector-health', { report: selectorHealth, newWarnings: [], final: true });
+        }
+        
+        const finalExportPath = await exporter.exportResults(results, exportPath, {
+            partial,
+            selectorHealth,
+            cleanupOldFiles: options.cleanupOldFiles
+        });
+        
+        // Results are safely exported, so the checkpoint is no longer needed
+        if (scanner.checkpoint && ['completed', 'stopped'].includes(scanner.checkpoint.manifest.status)) {
+            scanner.checkpoint.discard();
+        }
+        
+        await saveScanToHistory(scanner, config, results, finalExportPath, selectorHealth);
+        
+        const successCount = results.filter(result => result.success).length;
+        
+        if (stopped) {
+            console.log(`Scan stopped - partial results exported (${partial.unattempted.items.length} items not attempted)`);
+            return {
+                success: true,
+                stopped: true,
+                message: 'Scan stopped - partial results exported',
+                resultsCount: results.length,
+                successCount: successCount,
+                unattemptedStores: partial.unattempted.stores.length,
+                unattemptedItems: partial.unattempted.items.length,
+                exportPath: finalExportPath,
+                warnings: warnings,
+                results: results
+            };
+        }
+        
+        console.log('Scan completed successfully');
+        return {
+            success: true,
+            message: 'Scan completed successfully',
+            resultsCount: results.length,
+            successCount: successCount,
+            exportPath: finalExportPath,
+            warnings: warnings,
+            results: results
+        };
+        
+    } catch (error) {
+        console.error('Scan failed:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    } finally {
+        currentScanner = null;
+        activeScanner = null;
+        scanInProgress = false;
+    }
+}
+
 function createWindow() {
     console.log('Creating main window...');
     
@@ -80,6 +403,15 @@ function createWindow() {
         if (process.argv.includes('--dev')) {
             mainWindow.webContents.openDevTools();
         }
+        
+        // Scheduled jobs (and their missed-run catch-up) wait until the unfinished scans have been dealt with
+        checkForUnfinishedScans().catch(error => {
+            console.error('Error checking for unfinished scans:', error);
+        }).finally(() => {
+            if (scheduler) {
+                scheduler.start();
+            }
+        });
     }).catch(err => {
         console.error('Failed to load HTML:', err);
     });
@@ -106,7 +438,13 @@ function setupIpcHandlers() {
     // Handle saving configuration
     ipcMain.handle('save-config', (event, config) => {
         console.log('Saving configuration...');
-        saveConfig(config);
+        // Scheduled jobs and their run log are owned by the scheduler, not the renderer
+        const current = loadConfig();
+        saveConfig({
+            ...config,
+            scheduledJobs: current.scheduledJobs || [],
+            scheduleRunLog: current.scheduleRunLog || []
+        });
         return true;
     });
 
@@ -184,81 +522,103 @@ function setupIpcHandlers() {
         return null;
     });
 
-    // Handle scan start
-    ipcMain.handle('start-scan', async (event, config) => {
-        console.log('Scan start requested with config:', config);
+    // Handle previous results file selection (used by Skip Existing Results)
+    ipcMain.handle('select-previous-results-file', async () => {
+        console.log('Previous results file selection requested');
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Previous Scan Results',
+            filters: [
+                { name: 'Scan Results', extensions: ['xlsx', 'json', 'jsonl'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            const filePath = result.filePaths[0];
+            console.log('Previous results file selected:', filePath);
+            
+            // Save to config
+            const config = loadConfig();
+            config.lastPreviousResultsFile = filePath;
+            saveConfig(config);
+            
+            return filePath;
+        }
+        return null;
+    });
+
+    // Handle result set selection for scan-to-scan comparison
+    ipcMain.handle('select-comparison-file', async (event, title) => {
+        console.log('Comparison file selection requested:', title);
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: title || 'Select Scan Results',
+            filters: [
+                { name: 'Scan Results', extensions: ['xlsx', 'json', 'jsonl'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            console.log('Comparison file selected:', result.filePaths[0]);
+            return result.filePaths[0];
+        }
+        return null;
+    });
+
+    // Handle scan-to-scan comparison of two item or merchandising result sets
+    ipcMain.handle('compare-scans', async (event, { baselineFile, currentFile }) => {
+        console.log('Scan comparison requested:', baselineFile, '->', currentFile);
         
         try {
-            // Dynamically import the scanner service to avoid startup issues
-            const { ScannerService } = require('./services/scannerService');
+            const { ResultImporter } = require('./services/resultImporter');
+            const { ResultDiff } = require('./services/resultDiff');
             const { ExcelExporter } = require('./services/excelExporter');
             
-            // Get screen dimensions for Playwright positioning
-            const primaryDisplay = screen.getPrimaryDisplay();
-            const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
-            
-            // Calculate dimensions for side-by-side layout
-            const electronWidth = Math.floor(screenWidth / 2);
-            const playwrightWidth = screenWidth - electronWidth;
-            
-            const screenDimensions = {
-                screenWidth,
-                screenHeight,
-                electronX: 0,
-                electronY: 0,
-                electronWidth,
-                electronHeight: screenHeight,
-                playwrightX: electronWidth,
-                playwrightY: 0,
-                playwrightWidth,
-                playwrightHeight: screenHeight
-            };
-            
-            // Create scanner configuration
-            const scannerConfig = {
-                ...config,
-                screenDimensions
-            };
-            
-            console.log('Starting scanner service...');
-            const scanner = new ScannerService(scannerConfig);
-            currentScanner = scanner; // Store reference for stopping
-            
-            // Set up progress callback
-            scanner.onProgress = (progress) => {
-                mainWindow.webContents.send('scan-progress', progress);
-            };
+            const importer = new ResultImporter();
+            const baselineResults = await importer.load(baselineFile);
+            const currentResults = await importer.load(currentFile);
             
-            // Set up result callback
-            scanner.onResult = (result) => {
-                mainWindow.webContents.send('scan-result', result);
-            };
-            
-            // Start the scan
-            const results = await scanner.startScan();
-            currentScanner = null; // Clear reference when done
+            // Merchandising runs are compared by shoveler placement, everything else per (store, ASIN)
+            const isMerchandising = (results) => results.length > 0 && results.every(result => result.mode === 'merchandising');
+            const merchandising = isMerchandising(baselineResults) && isMerchandising(currentResults);
+            if (!merchandising && (isMerchandising(baselineResults) || isMerchandising(currentResults))) {
+                return {
+                    success: false,
+                    error: 'Cannot compare a merchandising scan with an item scan'
+                };
+            }
             
-            // Export results to Excel
-            console.log('Exporting results to Excel...');
-            const exporter = new ExcelExporter();
+            const differ = new ResultDiff();
+            const diff = merchandising
+                ? differ.compareMerchandising(baselineResults, currentResults)
+                : differ.compare(baselineResults, currentResults);
+            if (diff.baselineCount === 0 || diff.currentCount === 0) {
+                return {
+                    success: false,
+                    error: 'Both files must contain item or merchandising mode results'
+                };
+            }
             
-            // Generate export file path
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const exportPath = path.join(process.cwd(), `WFM_Scan_Results_${timestamp}.xlsx`);
-            
-            const finalExportPath = await exporter.exportResults(results, exportPath);
+            const exportPath = path.join(process.cwd(), `WFM_Scan_Changes_${timestamp}.xlsx`);
+            const exporter = new ExcelExporter();
+            await exporter.exportChanges(diff, exportPath, {
+                baseline: path.basename(baselineFile),
+                current: path.basename(currentFile)
+            });
             
-            console.log('Scan completed successfully');
+            console.log('Scan comparison completed');
             return {
                 success: true,
-                message: 'Scan completed successfully',
-                resultsCount: results.length,
-                exportPath: finalExportPath,
-                results: results
+                mode: diff.mode,
+                exportPath: exportPath,
+                changeCount: diff.changes.length,
+                changedCount: merchandising ? diff.changedStoreCount : diff.changedItemCount,
+                unchangedCount: merchandising ? diff.unchangedStores.length : diff.unchangedCount
             };
             
         } catch (error) {
-            console.error('Scan failed:', error);
+            console.error('Scan comparison failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -266,6 +626,231 @@ function setupIpcHandlers() {
         }
     });
 
+    // Handle scan start
+    ipcMain.handle('start-scan', async (event, config) => {
+        console.log('Scan start requested with config:', config);
+        const result = await runScan(config);
+        
+        // Scheduled jobs that came due during a manual scan wait for it to finish
+        if (scheduler) {
+            scheduler.drain();
+        }
+        return result;
+    });
+
+    // Handle scan history listing
+    ipcMain.handle('history-list', async () => {
+        try {
+            const { ScanHistory } = require('./services/scanHistory');
+            return { success: true, runs: await new ScanHistory(historyDir).listRuns() };
+        } catch (error) {
+            console.error('Failed to list scan history:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle reopening a past scan
+    ipcMain.handle('history-load', async (event, runId) => {
+        console.log('History run load requested:', runId);
+        
+        try {
+            const { ScanHistory } = require('./services/scanHistory');
+            return { success: true, run: await new ScanHistory(historyDir).getRun(runId) };
+        } catch (error) {
+            console.error('Failed to load history run:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle re-exporting a past scan
+    ipcMain.handle('history-export', async (event, { runId, exportPath }) => {
+        console.log('History run export requested:', runId, '->', exportPath);
+        
+        try {
+            const { ScanHistory } = require('./services/scanHistory');
+            const { ExcelExporter } = require('./services/excelExporter');
+            
+            const run = await new ScanHistory(historyDir).getRun(runId);
+            const exporter = new ExcelExporter();
+            const filePath = await exporter.exportResults(run.results, exportPath, {
+                selectorHealth: run.selectorHealth || null
+            });
+            
+            return { success: true, filePath: filePath, resultsCount: run.results.length };
+        } catch (error) {
+            console.error('Failed to export history run:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle deleting a past scan
+    ipcMain.handle('history-delete', async (event, runId) => {
+        console.log('History run delete requested:', runId);
+        
+        try {
+            const { ScanHistory } = require('./services/scanHistory');
+            await new ScanHistory(historyDir).deleteRun(runId);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to delete history run:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle ASIN lookups across every stored scan
+    ipcMain.handle('history-item-timeline', async (event, { asin, store }) => {
+        console.log('History timeline requested:', asin, store || '(all stores)');
+        
+        try {
+            const { ScanHistory } = require('./services/scanHistory');
+            return { success: true, timeline: await new ScanHistory(historyDir).getItemTimeline(asin, store) };
+        } catch (error) {
+            console.error('Failed to build item timeline:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle extraction profile listing
+    ipcMain.handle('profile-list', async () => {
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            return { success: true, profiles: await new ExtractionProfileStore(profilesDir).listProfiles() };
+        } catch (error) {
+            console.error('Failed to list extraction profiles:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle loading a profile into the editor
+    ipcMain.handle('profile-get', async (event, profileId) => {
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            return { success: true, profile: await new ExtractionProfileStore(profilesDir).getProfile(profileId) };
+        } catch (error) {
+            console.error('Failed to load extraction profile:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle saving a profile from the editor
+    ipcMain.handle('profile-save', async (event, profile) => {
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            return { success: true, profile: await new ExtractionProfileStore(profilesDir).saveProfile(profile) };
+        } catch (error) {
+            console.error('Failed to save extraction profile:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle deleting a user profile
+    ipcMain.handle('profile-delete', async (event, profileId) => {
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            await new ExtractionProfileStore(profilesDir).deleteProfile(profileId);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to delete extraction profile:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle importing a profile from a JSON file
+    ipcMain.handle('profile-import', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Import Extraction Profile',
+            filters: [
+                { name: 'Extraction Profile', extensions: ['json'] }
+            ],
+            properties: ['openFile']
+        });
+        
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+        
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            const profile = await new ExtractionProfileStore(profilesDir).importProfile(result.filePaths[0]);
+            return { success: true, profile: profile };
+        } catch (error) {
+            console.error('Failed to import extraction profile:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle exporting a profile to a JSON file
+    ipcMain.handle('profile-export', async (event, profileId) => {
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Extraction Profile',
+            defaultPath: `${path.basename(String(profileId))}.json`,
+            filters: [
+                { name: 'Extraction Profile', extensions: ['json'] }
+            ]
+        });
+        
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+        
+        try {
+            const { ExtractionProfileStore } = require('./services/extractionProfiles');
+            const filePath = await new ExtractionProfileStore(profilesDir).exportProfile(profileId, result.filePath);
+            return { success: true, filePath: filePath };
+        } catch (error) {
+            console.error('Failed to export extraction profile:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle scheduled job listing (jobs with their next run, plus the run log)
+    ipcMain.handle('schedule-list', () => {
+        return scheduler ? scheduler.listJobs() : { jobs: [], runLog: [] };
+    });
+
+    // Handle creating or updating a scheduled job
+    ipcMain.handle('schedule-save-job', (event, job) => {
+        try {
+            const saved = scheduler.saveJob(job);
+            return { success: true, job: saved };
+        } catch (error) {
+            console.error('Error saving scheduled job:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handle deleting a scheduled job
+    ipcMain.handle('schedule-delete-job', (event, jobId) => {
+        scheduler.deleteJob(jobId);
+        return { success: true };
+    });
+
+    // Handle pausing or resuming a scheduled job
+    ipcMain.handle('schedule-set-enabled', (event, { jobId, enabled }) => {
+        scheduler.setJobEnabled(jobId, enabled);
+        return { success: true };
+    });
+
+    // Handle running a scheduled job immediately
+    ipcMain.handle('schedule-run-now', (event, jobId) => {
+        scheduler.runNow(jobId);
+        return { success: true };
+    });
+
+    // Handle output folder selection for scheduled jobs
+    ipcMain.handle('select-output-folder', async () => {
+        console.log('Output folder selection requested');
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Output Folder for Scheduled Scans',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        
+        if (!result.canceled && result.filePaths.length > 0) {
+            return result.filePaths[0];
+        }
+        return null;
+    });
+
     // Handle scan stop
     ipcMain.handle('stop-scan', async () => {
         console.log('Scan stop requested');
@@ -286,6 +871,30 @@ function setupIpcHandlers() {
         }
     });
 
+    // Handle pausing a running scan (the browser, store sessions and CSRF token stay as they are)
+    ipcMain.handle('pause-scan', async () => {
+        if (!currentScanner) {
+            return { success: false, error: 'No active scan to pause' };
+        }
+        
+        console.log('Scan pause requested');
+        return currentScanner.pauseScan()
+            ? { success: true }
+            : { success: false, error: 'Scan is already paused or stopping' };
+    });
+
+    // Handle resuming a paused scan
+    ipcMain.handle('resume-paused-scan', async () => {
+        if (!currentScanner) {
+            return { success: false, error: 'No active scan to resume' };
+        }
+        
+        console.log('Scan resume requested');
+        return currentScanner.resumeScan()
+            ? { success: true }
+            : { success: false, error: 'Scan is not paused' };
+    });
+
     // Handle export location selection
     ipcMain.handle('select-export-location', async () => {
         console.log('Export location selection requested');
@@ -423,11 +1032,65 @@ function setupAutoUpdater() {
     });
 }
 
+// Set up the scheduler for recurring scans; jobs and the run log persist in the config file.
+// It is started once the window has checked for unfinished scans.
+function setupScheduler() {
+    const { ScanScheduler } = require('./services/scanScheduler');
+    
+    scheduler = new ScanScheduler({
+        loadState: () => {
+            const config = loadConfig();
+            return {
+                jobs: config.scheduledJobs || [],
+                runLog: config.scheduleRunLog || []
+            };
+        },
+        saveState: ({ jobs, runLog }) => {
+            saveConfig({ ...loadConfig(), scheduledJobs: jobs, scheduleRunLog: runLog });
+        },
+        runJob: async (job) => {
+            if (mainWindow) {
+                mainWindow.webContents.send('scheduled-scan-started', { job });
+            }
+            
+            const result = await runScan({
+                mode: job.mode,
+                storeMappingFile: job.storeMappingFile,
+                itemListFile: job.itemListFile,
+                settings: job.settings
+            }, {
+                exportDir: job.outputDir,
+                cleanupOldFiles: false
+            });
+            
+            if (mainWindow) {
+                mainWindow.webContents.send('scheduled-scan-finished', {
+                    job,
+                    success: result.success,
+                    stopped: !!result.stopped,
+                    resultsCount: result.resultsCount || 0,
+                    successCount: result.successCount || 0,
+                    exportPath: result.exportPath || null,
+                    error: result.error || null
+                });
+            }
+            return result;
+        },
+        isBusy: () => scanInProgress,
+        onChange: () => {
+            if (mainWindow) {
+                mainWindow.webContents.send('schedule-updated');
+            }
+        }
+    });
+}
+
 // App event handlers
 app.whenReady().then(() => {
     console.log('Electron app ready');
     createWindow();
     setupIpcHandlers();
+    setupScheduler();
     
     // Set up auto-updater after a short delay to ensure window is ready
     setTimeout(() => {
@@ -0,0 +1,122 @@
+// States an agent reports while it works, in the order an item usually goes through them
+const AGENT_STATES = ['idle', 'switching', 'navigating', 'extracting', 'retrying', 'paused', 'recovering', 'finished'];
+
+// State changes come in bursts (several per item, per agent); listeners get at most one snapshot per interval
+const NOTIFY_INTERVAL = 250;
+
+// Live per-agent status for the UI: what each agent (or the main page in a single-agent scan) is doing,
+// since when, and how its items have gone so far
+class AgentTelemetry {
+    constructor() {
+        this.agents = new Map();
+        this.onChange = null; // (snapshot) => void
+        this.notifyTimer = null;
+    }
+
+    register(agentId) {
+        if (!this.agents.has(agentId)) {
+            this.agents.set(agentId, {
+                id: agentId,
+                state: 'idle',
+                stateSince: Date.now(),
+                lastActivity: Date.now(),
+                store: null,
+                asin: null,
+                attempt: null,
+                itemsDone: 0,
+                errorCount: 0,
+                totalLoadTime: 0,
+                loadCount: 0,
+                lastError: null
+            });
+            this.notify();
+        }
+        return this.agents.get(agentId);
+    }
+
+    // details: { store, asin, attempt } - only the given fields change
+    setState(agentId, state, details = {}) {
+        const agent = this.register(agentId);
+        if (!AGENT_STATES.includes(state)) {
+            throw new Error(`Unknown agent state: ${state}`);
+        }
+        
+        if (agent.state !== state) {
+            agent.state = state;
+            agent.stateSince = Date.now();
+        }
+        agent.lastActivity = Date.now();
+        ['store', 'asin', 'attempt'].forEach(field => {
+            if (details[field] !== undefined) {
+                agent[field] = details[field];
+            }
+        });
+        
+        // An idle, paused or finished agent isn't working on an item any more
+        if (state === 'idle' || state === 'finished' || state === 'paused') {
+            agent.asin = null;
+            agent.attempt = null;
+        }
+        this.notify();
+    }
+
+    // Progress within one state, e.g. each page a deep variation or bundle scan loads while 'extracting'
+    touch(agentId) {
+        this.register(agentId).lastActivity = Date.now();
+        this.notify();
+    }
+
+    recordItem(agentId, result) {
+        const agent = this.register(agentId);
+        agent.itemsDone++;
+        if (result.loadTime) {
+            agent.totalLoadTime += result.loadTime;
+            agent.loadCount++;
+        }
+        if (!result.success) {
+            agent.errorCount++;
+            agent.lastError = result.error || null;
+        }
+        this.notify();
+    }
+
+    getSnapshot() {
+        return Array.from(this.agents.values()).map(agent => ({
+            id: agent.id,
+            state: agent.state,
+            stateSince: agent.stateSince,
+            lastActivity: agent.lastActivity,
+            store: agent.store,
+            asin: agent.asin,
+            attempt: agent.attempt,
+            itemsDone: agent.itemsDone,
+            errorCount: agent.errorCount,
+            averageLoadTime: agent.loadCount > 0 ? Math.round(agent.totalLoadTime / agent.loadCount) : null,
+            lastError: agent.lastError
+        }));
+    }
+
+    notify() {
+        if (!this.onChange || this.notifyTimer) {
+            return;
+        }
+        
+        this.notifyTimer = setTimeout(() => {
+            this.notifyTimer = null;
+            this.onChange(this.getSnapshot());
+        }, NOTIFY_INTERVAL);
+    }
+
+    // Sends the final snapshot right away (end of scan)
+    flush() {
+        if (this.notifyTimer) {
+            clearTimeout(this.notifyTimer);
+            this.notifyTimer = null;
+        }
+        if (this.onChange) {
+            this.onChange(this.getSnapshot());
+        }
+    }
+}
+
+module.exports = { AgentTelemetry, AGENT_STATES };
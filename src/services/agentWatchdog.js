@@ -0,0 +1,76 @@
+// How often the watchdog looks for agents stuck in one state
+const CHECK_INTERVAL = 5000;
+
+// States in which an agent is waiting on the browser; idle, paused and finished agents can't be stuck
+const WORKING_STATES = new Set(['switching', 'navigating', 'extracting', 'retrying']);
+
+// Spots agents that can't make progress any more - a crashed page, a browser that went away, or an agent
+// that has gone far longer than a page load can take without any activity in a working state - and reports each one once
+// through onFailure(agent, reason). Recovering the agent is up to the caller.
+class AgentWatchdog {
+    constructor(telemetry, { stallTimeout }) {
+        this.telemetry = telemetry;
+        this.stallTimeout = stallTimeout;
+        this.agents = new Set();
+        this.reported = new WeakSet();
+        this.timer = null;
+        this.running = false;
+        this.onFailure = null; // (agent, reason) => void
+    }
+
+    start() {
+        this.running = true;
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.agents.clear();
+    }
+
+    // A dead browser takes every agent's context with it
+    watchBrowser(browser) {
+        browser.on('disconnected', () => {
+            Array.from(this.agents).forEach(agent => this.report(agent, 'browser disconnected'));
+        });
+    }
+
+    watchAgent(agent) {
+        this.agents.add(agent);
+        agent.page.on('crash', () => this.report(agent, 'page crashed'));
+    }
+
+    unwatchAgent(agent) {
+        this.agents.delete(agent);
+    }
+
+    check() {
+        const now = Date.now();
+        const states = new Map(this.telemetry.getSnapshot().map(entry => [entry.id, entry]));
+        
+        this.agents.forEach(agent => {
+            const entry = states.get(agent.id);
+            if (entry && WORKING_STATES.has(entry.state) && now - entry.lastActivity >= this.stallTimeout) {
+                this.report(agent, `stuck ${entry.state} for ${Math.round((now - entry.lastActivity) / 1000)}s`);
+            }
+        });
+    }
+
+    report(agent, reason) {
+        if (!this.running || !this.agents.has(agent) || this.reported.has(agent)) {
+            return;
+        }
+        
+        this.reported.add(agent);
+        console.warn(`🐕 Watchdog: ${agent.id} ${reason}`);
+        if (this.onFailure) {
+            this.onFailure(agent, reason);
+        }
+    }
+}
+
+module.exports = { AgentWatchdog };
@@ -0,0 +1,56 @@
+// Dietary attributes and certifications shown as badges/icons on product pages, in report column order
+const DIETARY_ATTRIBUTES = [
+    { key: 'organic', label: 'Organic', pattern: /\borganic\b/i },
+    { key: 'local', label: 'Local', pattern: /\blocal(?:ly)?\b/i },
+    { key: 'vegan', label: 'Vegan', pattern: /\bvegan\b/i },
+    { key: 'vegetarian', label: 'Vegetarian', pattern: /\bvegetarian\b/i },
+    { key: 'glutenFree', label: 'Gluten-Free', pattern: /\bgluten[\s-]*free\b/i },
+    { key: 'dairyFree', label: 'Dairy-Free', pattern: /\bdairy[\s-]*free\b/i },
+    { key: 'ketoFriendly', label: 'Keto-Friendly', pattern: /\bketo\b/i },
+    { key: 'paleoFriendly', label: 'Paleo-Friendly', pattern: /\bpaleo\b/i },
+    { key: 'kosher', label: 'Kosher', pattern: /\bkosher\b/i },
+    { key: 'nonGmo', label: 'Non-GMO', pattern: /\bnon[\s-]*gmo\b/i },
+    { key: 'sugarConscious', label: 'Sugar-Conscious', pattern: /\bsugar[\s-]*conscious\b|\blow[\s-]*sugar\b/i },
+    { key: 'lowSodium', label: 'Low Sodium', pattern: /\blow[\s-]*sodium\b/i }
+];
+
+// Turns the scraped rating, review count and badge labels of a product page into values
+class BadgeParser {
+    // { badges: ['USDA Organic', ...], dietaryAttributes: ['organic', ...] }
+    static parse(labels) {
+        const badges = [];
+        (labels || []).forEach(label => {
+            const text = String(label).replace(/\s+/g, ' ').trim();
+            if (text && !badges.some(badge => badge.toLowerCase() === text.toLowerCase())) {
+                badges.push(text);
+            }
+        });
+        
+        const dietaryAttributes = DIETARY_ATTRIBUTES
+            .filter(attribute => badges.some(badge => attribute.pattern.test(badge)))
+            .map(attribute => attribute.key);
+        return { badges, dietaryAttributes };
+    }
+
+    // "4.5 out of 5 stars" -> 4.5, scaled to 5 when the page rates out of something else
+    static parseRating(text) {
+        if (text === null || text === undefined) return null;
+        const match = String(text).match(/(\d+(?:\.\d+)?)(?:\s*(?:out of|\/)\s*(\d+))?/i);
+        if (!match) return null;
+        
+        const value = parseFloat(match[1]);
+        const scale = match[2] ? parseFloat(match[2]) : 5;
+        if (scale <= 0 || value > scale) return null;
+        return Math.round((value / scale) * 5 * 10) / 10;
+    }
+
+    // "1,234 ratings" / "(87)" / "2.3K reviews" -> number of reviews
+    static parseReviewCount(text) {
+        if (text === null || text === undefined) return null;
+        const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/i);
+        if (!match) return null;
+        return Math.round(parseFloat(match[1]) * (match[2] ? 1000 : 1));
+    }
+}
+
+module.exports = { BadgeParser, DIETARY_ATTRIBUTES };
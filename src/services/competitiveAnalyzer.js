@@ -0,0 +1,112 @@
+const { PriceParser } = require('./priceParser');
+
+// Cell states in the ASIN x store matrix
+const CELL_STATUS = {
+    AVAILABLE: 'available',
+    UNAVAILABLE: 'unavailable',
+    ERROR: 'error',
+    NOT_SCANNED: 'not_scanned'
+};
+
+class CompetitiveAnalyzer {
+    constructor(options = {}) {
+        // A price this far from the cross-store median (as a fraction) is flagged as an outlier
+        this.outlierThreshold = options.outlierThreshold || 0.2;
+        // Outliers and availability gaps need enough stores to compare against
+        this.minStoresForComparison = options.minStoresForComparison || 3;
+    }
+
+    // The extractor treats an item as available exactly when it has an add to cart button
+    getCellStatus(result) {
+        if (!result) return CELL_STATUS.NOT_SCANNED;
+        if (!result.success) return CELL_STATUS.ERROR;
+        if (!result.isAvailable) return CELL_STATUS.UNAVAILABLE;
+        return CELL_STATUS.AVAILABLE;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    // Build one row per ASIN with a cell per store, plus price and availability flags
+    buildMatrix(results) {
+        const stores = Array.from(new Set(results.map(r => r.store))).sort();
+        const byAsin = new Map();
+        
+        results.forEach(result => {
+            if (!byAsin.has(result.asin)) {
+                byAsin.set(result.asin, { asin: result.asin, name: null, results: new Map() });
+            }
+            const entry = byAsin.get(result.asin);
+            entry.name = entry.name || result.extractedName || result.name;
+            entry.results.set(result.store, result);
+        });
+        
+        const rows = Array.from(byAsin.values()).map(entry => this.analyzeAsin(entry, stores));
+        rows.sort((a, b) => b.flags.length - a.flags.length || a.asin.localeCompare(b.asin));
+        
+        return { stores, rows };
+    }
+
+    analyzeAsin(entry, stores) {
+        const cells = {};
+        stores.forEach(store => {
+            const result = entry.results.get(store);
+            cells[store] = {
+                status: this.getCellStatus(result),
+                price: result && result.success ? PriceParser.fromResult(result) : null,
+                priceText: result && result.success ? result.price : null,
+                isOutlier: false,
+                isAvailabilityGap: false
+            };
+        });
+        
+        const scannedStores = stores.filter(store => ![CELL_STATUS.ERROR, CELL_STATUS.NOT_SCANNED].includes(cells[store].status));
+        const availableStores = scannedStores.filter(store => cells[store].status === CELL_STATUS.AVAILABLE);
+        const prices = scannedStores.map(store => cells[store].price).filter(price => price !== null);
+        const medianPrice = prices.length > 0 ? this.median(prices) : null;
+        const flags = [];
+        
+        // Price outliers: compared against the median of every store that showed a price
+        if (prices.length >= this.minStoresForComparison && medianPrice > 0) {
+            scannedStores.forEach(store => {
+                const cell = cells[store];
+                if (cell.price === null) return;
+                
+                const deviation = (cell.price - medianPrice) / medianPrice;
+                if (Math.abs(deviation) > this.outlierThreshold) {
+                    cell.isOutlier = true;
+                    const direction = deviation > 0 ? 'above' : 'below';
+                    flags.push(`${store}: $${cell.price.toFixed(2)} is ${Math.round(Math.abs(deviation) * 100)}% ${direction} median`);
+                }
+            });
+        }
+        
+        // Availability gaps: not purchasable here while most other scanned stores sell it
+        if (scannedStores.length >= this.minStoresForComparison && availableStores.length > scannedStores.length / 2) {
+            scannedStores.forEach(store => {
+                const cell = cells[store];
+                if (cell.status === CELL_STATUS.UNAVAILABLE) {
+                    cell.isAvailabilityGap = true;
+                    flags.push(`${store}: unavailable while ${availableStores.length} of ${scannedStores.length} stores have it`);
+                }
+            });
+        }
+        
+        return {
+            asin: entry.asin,
+            name: entry.name,
+            cells: cells,
+            storesScanned: scannedStores.length,
+            storesAvailable: availableStores.length,
+            minPrice: prices.length > 0 ? Math.min(...prices) : null,
+            maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+            medianPrice: medianPrice,
+            flags: flags
+        };
+    }
+}
+
+module.exports = { CompetitiveAnalyzer, CELL_STATUS };
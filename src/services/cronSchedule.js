@@ -0,0 +1,117 @@
+// Allowed range per cron field, in order: minute hour day-of-month month day-of-week
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Common shorthands so nobody has to remember the five fields for the usual cases
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@weekdays': '0 0 * * 1-5'
+};
+
+// Longest stretch searched for the next match; a valid expression always matches within a few years
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Standard five-field cron expression ("0 7 * * 1-5" = 07:00 on weekdays), evaluated in local time
+class CronSchedule {
+    constructor(expression) {
+        this.expression = expression;
+        const normalized = ALIASES[expression.trim()] || expression.trim();
+        const parts = normalized.split(/\s+/);
+        
+        if (parts.length !== 5) {
+            throw new Error(`Invalid schedule "${expression}": expected 5 fields (minute hour day month weekday)`);
+        }
+        
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+            parts.map((part, index) => this.parseField(part, FIELDS[index], expression));
+        
+        // 7 is Sunday too
+        if (this.daysOfWeek.has(7)) {
+            this.daysOfWeek.add(0);
+            this.daysOfWeek.delete(7);
+        }
+        
+        // Cron rule: when both day fields are restricted, a day matching either one counts
+        this.domRestricted = !parts[2].startsWith('*');
+        this.dowRestricted = !parts[4].startsWith('*');
+    }
+
+    parseField(part, field, expression) {
+        const values = new Set();
+        
+        for (const item of part.split(',')) {
+            const [range, stepText] = item.split('/');
+            const step = stepText === undefined ? 1 : parseInt(stepText);
+            let start;
+            let end;
+            
+            if (range === '*') {
+                start = field.min;
+                end = field.max;
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(value => parseInt(value));
+            } else {
+                start = parseInt(range);
+                end = stepText === undefined ? start : field.max;
+            }
+            
+            if ([start, end, step].some(value => isNaN(value)) || step < 1 ||
+                start < field.min || end > field.max || start > end) {
+                throw new Error(`Invalid schedule "${expression}": bad ${field.name} value "${item}"`);
+            }
+            
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        
+        return values;
+    }
+
+    matchesDay(date) {
+        const domMatch = this.daysOfMonth.has(date.getDate());
+        const dowMatch = this.daysOfWeek.has(date.getDay());
+        
+        if (this.domRestricted && this.dowRestricted) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    // First matching minute strictly after `after`
+    next(after = new Date()) {
+        const start = new Date(after);
+        start.setSeconds(0, 0);
+        start.setMinutes(start.getMinutes() + 1);
+        
+        const hours = Array.from(this.hours).sort((a, b) => a - b);
+        const minutes = Array.from(this.minutes).sort((a, b) => a - b);
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        
+        for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+            if (this.months.has(day.getMonth() + 1) && this.matchesDay(day)) {
+                for (const hour of hours) {
+                    for (const minute of minutes) {
+                        const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                        if (candidate >= start) {
+                            return candidate;
+                        }
+                    }
+                }
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        
+        return null;
+    }
+}
+
+module.exports = { CronSchedule };
@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class EvidenceArchive {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.entries = [];
+    }
+
+    async initialize() {
+        await fs.mkdir(this.rootDir, { recursive: true });
+        console.log(`📸 Evidence archive ready: ${this.rootDir}`);
+    }
+
+    // Screenshots are grouped per store: <rootDir>/<STORE>/<ASIN>.png
+    getScreenshotPath(storeCode, asin) {
+        return path.join(this.rootDir, this.sanitize(storeCode), `${this.sanitize(asin)}.png`);
+    }
+
+    sanitize(value) {
+        return String(value || 'UNKNOWN').replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    async captureItem(page, result) {
+        const filePath = this.getScreenshotPath(result.store, result.asin);
+
+        try {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await page.screenshot({ path: filePath, fullPage: true, timeout: 15000 });
+
+            this.entries.push({
+                store: result.store,
+                asin: result.asin,
+                success: result.success,
+                error: result.error,
+                path: path.relative(this.rootDir, filePath),
+                capturedAt: new Date().toISOString()
+            });
+
+            console.log(`📸 Screenshot saved: ${filePath}`);
+            return filePath;
+
+        } catch (error) {
+            // A crashed or closed page can't be captured - don't let that fail the item
+            console.warn(`⚠️ Failed to capture screenshot for ${result.store} - ${result.asin}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async writeIndex() {
+        try {
+            const indexPath = path.join(this.rootDir, 'index.json');
+            await fs.writeFile(indexPath, JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                screenshots: this.entries
+            }, null, 2));
+            console.log(`📸 Evidence index written with ${this.entries.length} screenshots`);
+        } catch (error) {
+            console.error('❌ Failed to write evidence index:', error.message);
+        }
+    }
+}
+
+module.exports = { EvidenceArchive };
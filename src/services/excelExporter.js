@@ -1,6 +1,10 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs').promises;
+const { CompetitiveAnalyzer, CELL_STATUS } = require('./competitiveAnalyzer');
+const { CHANGE_TYPES, PLACEMENT_CHANGE_TYPES } = require('./resultDiff');
+const { PriceParser } = require('./priceParser');
+const { DIETARY_ATTRIBUTES } = require('./badgeParser');
 
 class ExcelExporter {
     constructor() {
@@ -8,10 +12,13 @@ class ExcelExporter {
         this.maxFiles = 3; // Keep only 3 most recent files
     }
 
-    async exportResults(results, filePath) {
+    async exportResults(results, filePath, options = {}) {
         try {
             console.log('📤 Starting Excel export...');
             
+            // Set when the scan was stopped early: { stoppedAt, unattempted: { stores, items } }
+            const partial = options.partial || null;
+            
             this.workbook = new ExcelJS.Workbook();
             
             // Set workbook properties
@@ -22,29 +29,62 @@ class ExcelExporter {
             
             // Detect data type based on first result
             const isMerchandisingMode = results.length > 0 && results[0].mode === 'merchandising';
+            const isCompetitiveMode = results.some(result => result.mode === 'competitive');
             
             if (isMerchandisingMode) {
                 console.log('📊 Detected merchandising mode data, creating merchandising worksheets...');
                 
                 // Create merchandising-specific worksheets
                 await this.createMerchandisingResultsWorksheet(results);
-                await this.createMerchandisingSummaryWorksheet(results);
+                await this.createMerchandisingSummaryWorksheet(results, partial);
                 await this.createShovelerDetailsWorksheet(results);
                 
             } else {
                 console.log('📊 Detected item mode data, creating item worksheets...');
                 
                 // Create item mode worksheets (existing functionality)
-                await this.createResultsWorksheet(results);
-                await this.createSummaryWorksheet(results);
+                await this.createResultsWorksheet(results, filePath);
+                await this.createSummaryWorksheet(results, partial);
                 await this.createStoreBreakdownWorksheet(results);
+                
+                // Competitive scans add the cross-store ASIN x store comparison
+                if (isCompetitiveMode) {
+                    await this.createCompetitiveMatrixWorksheet(results);
+                }
+                
+                // One child row per size/flavor option, with per-option prices from a deep variation scan
+                if (results.some(result => result.variations && result.variations.length > 0)) {
+                    await this.createVariationsWorksheet(results);
+                }
+                
+                // Bundle parent ASIN -> component rows, with availability when components were scanned
+                if (results.some(result => result.isBundle && result.bundleParts && result.bundleParts.length > 0)) {
+                    await this.createBundleComponentsWorksheet(results);
+                }
+                
+                // Parsed nutrition panel and ingredient statement, one row per item page that had either
+                if (results.some(result => result.nutrition || result.ingredients)) {
+                    await this.createNutritionDetailWorksheet(results);
+                }
+            }
+            
+            // List everything a stopped scan never got to
+            if (partial) {
+                await this.createNotAttemptedWorksheet(partial);
+            }
+            
+            // Selector hit rates, so a site layout change is caught before the numbers are trusted
+            if (options.selectorHealth && options.selectorHealth.itemCount > 0) {
+                await this.createSelectorHealthWorksheet(options.selectorHealth);
             }
             
             // Save the workbook
             await this.workbook.xlsx.writeFile(filePath);
             
-            // Clean up old files after successful export
-            await this.cleanupOldFiles(filePath);
+            // Clean up old files after successful export; scheduled runs keep every file in their folder
+            if (options.cleanupOldFiles !== false) {
+                await this.cleanupOldFiles(filePath);
+            }
             
             console.log(`✅ Excel export completed: ${filePath}`);
             return filePath;
@@ -55,7 +95,144 @@ class ExcelExporter {
         }
     }
 
-    async createResultsWorksheet(results) {
+    // Export a scan-to-scan comparison (see ResultDiff.compare) as a standalone workbook
+    async exportChanges(diff, filePath, labels = {}) {
+        try {
+            console.log('📤 Starting changes export...');
+            
+            this.workbook = new ExcelJS.Workbook();
+            this.workbook.creator = 'WFM Scanner App';
+            this.workbook.lastModifiedBy = 'WFM Scanner App';
+            this.workbook.created = new Date();
+            this.workbook.modified = new Date();
+            
+            if (diff.mode === 'merchandising') {
+                await this.createPlacementChangesWorksheet(diff, labels);
+            } else {
+                await this.createChangesWorksheet(diff, labels);
+            }
+            await this.workbook.xlsx.writeFile(filePath);
+            
+            console.log(`✅ Changes export completed: ${filePath}`);
+            return filePath;
+            
+        } catch (error) {
+            console.error('❌ Changes export failed:', error);
+            throw error;
+        }
+    }
+
+    async createChangesWorksheet(diff, labels = {}) {
+        const worksheet = this.workbook.addWorksheet('Changes');
+        
+        // Comparison details above the table
+        const summaryRows = [
+            ['Scan Comparison', ''],
+            ['Baseline', labels.baseline || 'N/A'],
+            ['Current', labels.current || 'N/A'],
+            ['Items In Baseline', diff.baselineCount],
+            ['Items In Current', diff.currentCount],
+            ['Items Changed', diff.changedItemCount],
+            ['Items Unchanged', diff.unchangedCount],
+            ['', '']
+        ];
+        summaryRows.forEach((row, index) => {
+            const wsRow = worksheet.addRow(row);
+            if (index === 0) {
+                wsRow.font = { bold: true, size: 16, color: { argb: '366092' } };
+            } else if (row[0]) {
+                wsRow.getCell(1).font = { bold: true };
+            }
+        });
+        
+        const headerRowNumber = summaryRows.length + 1;
+        const headers = ['Store Code', 'ASIN', 'Item Name', 'Change', 'Before', 'After', 'Difference', '% Change'];
+        const headerRow = worksheet.addRow(headers);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        [12, 15, 40, 26, 20, 20, 12, 11].forEach((width, index) => {
+            worksheet.getColumn(index + 1).width = width;
+        });
+        
+        // Losses in red, gains in green, everything else (price, counts) in yellow
+        const lossTypes = [
+            CHANGE_TYPES.BECAME_UNAVAILABLE,
+            CHANGE_TYPES.ADD_TO_CART_REMOVED,
+            CHANGE_TYPES.NUTRITION_REMOVED,
+            CHANGE_TYPES.INGREDIENTS_REMOVED,
+            CHANGE_TYPES.SCAN_FAILED,
+            CHANGE_TYPES.MISSING_ITEM
+        ];
+        const gainTypes = [
+            CHANGE_TYPES.BECAME_AVAILABLE,
+            CHANGE_TYPES.ADD_TO_CART_ADDED,
+            CHANGE_TYPES.NUTRITION_ADDED,
+            CHANGE_TYPES.INGREDIENTS_ADDED,
+            CHANGE_TYPES.SCAN_RECOVERED,
+            CHANGE_TYPES.NEW_ITEM
+        ];
+        
+        diff.changes.forEach(change => {
+            const row = worksheet.addRow([
+                change.store,
+                change.asin,
+                change.name,
+                change.changeType,
+                change.before,
+                change.after,
+                change.difference,
+                change.percentChange
+            ]);
+            
+            row.getCell(8).numFmt = '0.0%';
+            if (change.changeType === CHANGE_TYPES.PRICE_CHANGED) {
+                row.getCell(7).numFmt = '$#,##0.00';
+            }
+            
+            let colors = { fill: 'FFEB9C', font: '9C5700' };
+            if (lossTypes.includes(change.changeType)) {
+                colors = { fill: 'FFC7CE', font: '9C0006' };
+            } else if (gainTypes.includes(change.changeType)) {
+                colors = { fill: 'C6EFCE', font: '006100' };
+            }
+            row.getCell(4).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: colors.fill }
+            };
+            row.getCell(4).font = { color: { argb: colors.font } };
+        });
+        
+        // Add borders to the table
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber < headerRowNumber) return;
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Filter by change type is how the weekly review usually starts
+        worksheet.autoFilter = {
+            from: { row: headerRowNumber, column: 1 },
+            to: { row: headerRowNumber, column: headers.length }
+        };
+        worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+        
+        console.log(`✅ Changes worksheet created with ${diff.changes.length} changes across ${diff.changedItemCount} items`);
+    }
+
+    async createResultsWorksheet(results, filePath = null) {
         const worksheet = this.workbook.addWorksheet('Scan Results');
         
         // Define columns with enhanced data fields including variations and bundle data
@@ -65,6 +242,15 @@ class ExcelExporter {
             { header: 'Item Name', key: 'name', width: 30 },
             { header: 'Extracted Name', key: 'extractedName', width: 40 },
             { header: 'Price', key: 'price', width: 12 },
+            { header: 'Price Amount', key: 'priceAmount', width: 13 },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: 'Price Unit', key: 'priceUnit', width: 11 },
+            { header: 'Regular Price', key: 'regularPrice', width: 13 },
+            { header: 'Sale Price', key: 'salePrice', width: 12 },
+            { header: 'Prime Price', key: 'primePrice', width: 12 },
+            { header: 'On Sale', key: 'isOnSale', width: 10 },
+            { header: 'Unit Price', key: 'unitPrice', width: 12 },
+            { header: 'Unit Price Per', key: 'unitPriceUnit', width: 14 },
             { header: 'Has Nutrition Facts', key: 'hasNutritionFacts', width: 18 },
             { header: 'Has Ingredients', key: 'hasIngredients', width: 16 },
             { header: 'Has Add to Cart', key: 'hasAddToCart', width: 16 },
@@ -72,11 +258,23 @@ class ExcelExporter {
             { header: 'Variations', key: 'variationCount', width: 12 },
             { header: 'Is Bundle', key: 'isBundle', width: 12 },
             { header: 'Bundle Parts', key: 'bundlePartsCount', width: 14 },
+            { header: 'Unavailable Components', key: 'bundleUnavailableCount', width: 14 },
+            { header: 'Rating', key: 'rating', width: 9 },
+            { header: 'Review Count', key: 'reviewCount', width: 13 },
+            { header: 'Dietary Attributes', key: 'dietaryAttributes', width: 30 },
+            { header: 'Badges', key: 'badges', width: 40 },
+            { header: 'Image Status', key: 'imageStatus', width: 13 },
+            { header: 'Image Count', key: 'imageCount', width: 12 },
+            { header: 'Primary Image Alt', key: 'primaryImageAlt', width: 30 },
+            { header: 'Primary Image', key: 'primaryImage', width: 40 },
+            { header: 'Image File', key: 'imageFile', width: 30 },
             { header: 'Status', key: 'status', width: 12 },
+            { header: 'Attempts', key: 'attempts', width: 10 },
             { header: 'Load Time (ms)', key: 'loadTime', width: 15 },
             { header: 'Error Message', key: 'error', width: 50 },
             { header: 'Timestamp', key: 'timestamp', width: 20 },
-            { header: 'Item URL', key: 'url', width: 60 }
+            { header: 'Item URL', key: 'url', width: 60 },
+            { header: 'Screenshot', key: 'screenshot', width: 40 }
         ];
         
         // Style the header row
@@ -91,12 +289,22 @@ class ExcelExporter {
         
         // Add data rows
         results.forEach((result, index) => {
+            const priceDetails = result.priceDetails || {};
             const row = worksheet.addRow({
                 store: result.store,
                 asin: result.asin,
                 name: result.name,
                 extractedName: result.extractedName || 'N/A',
                 price: result.price || 'N/A',
+                priceAmount: this.numberOrNull(priceDetails.amount),
+                currency: priceDetails.currency || '',
+                priceUnit: priceDetails.unit || '',
+                regularPrice: this.numberOrNull(priceDetails.regularPrice),
+                salePrice: this.numberOrNull(priceDetails.salePrice),
+                primePrice: this.numberOrNull(priceDetails.primePrice),
+                isOnSale: result.priceDetails ? (priceDetails.isOnSale ? 'YES' : 'NO') : '',
+                unitPrice: priceDetails.pricePerUnit ? priceDetails.pricePerUnit.amount : null,
+                unitPriceUnit: priceDetails.pricePerUnit ? priceDetails.pricePerUnit.unit : '',
                 hasNutritionFacts: result.hasNutritionFacts ? 'YES' : 'NO',
                 hasIngredients: result.hasIngredients ? 'YES' : 'NO',
                 hasAddToCart: result.hasAddToCart ? 'YES' : 'NO',
@@ -104,13 +312,36 @@ class ExcelExporter {
                 variationCount: result.variationCount || 0,
                 isBundle: result.isBundle ? 'YES' : 'NO',
                 bundlePartsCount: result.bundlePartsCount || 0,
+                bundleUnavailableCount: typeof result.bundleUnavailableCount === 'number' ? result.bundleUnavailableCount : '',
+                rating: typeof result.rating === 'number' ? result.rating : null,
+                reviewCount: typeof result.reviewCount === 'number' ? result.reviewCount : null,
+                dietaryAttributes: this.getDietaryLabels(result.dietaryAttributes).join(', '),
+                badges: (result.badges || []).join(', '),
+                imageStatus: result.images ? result.images.status.toUpperCase() : '',
+                imageCount: result.images ? result.images.count : null,
+                primaryImageAlt: result.images ? result.images.primaryAlt || '' : '',
                 status: result.success ? 'SUCCESS' : 'FAILED',
+                attempts: result.attempts || 1,
                 loadTime: result.loadTime || '',
                 error: result.error || '',
                 timestamp: new Date(result.timestamp).toLocaleString(),
                 url: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`
             });
             
+            // Prices as real numbers, so they sort, average and chart
+            const moneyFormat = this.getMoneyFormat(priceDetails.currency);
+            ['priceAmount', 'regularPrice', 'salePrice', 'primePrice', 'unitPrice'].forEach(key => {
+                row.getCell(key).numFmt = moneyFormat;
+            });
+            if (priceDetails.isOnSale) {
+                row.getCell('isOnSale').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFEB9C' }
+                };
+                row.getCell('isOnSale').font = { color: { argb: '9C5700' } };
+            }
+            
             // Color code rows based on success/failure
             if (result.success) {
                 row.getCell('status').fill = {
@@ -166,12 +397,69 @@ class ExcelExporter {
                 }
             });
             
+            row.getCell('rating').numFmt = '0.0';
+            row.getCell('reviewCount').numFmt = '#,##0';
+            
+            // Missing or placeholder hero images are what the content audit is after
+            if (result.images) {
+                const ok = result.images.status === 'ok';
+                row.getCell('imageStatus').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: ok ? 'C6EFCE' : 'FFC7CE' }
+                };
+                row.getCell('imageStatus').font = { color: { argb: ok ? '006100' : '9C0006' } };
+                if (result.images.primaryUrl) {
+                    row.getCell('primaryImage').value = { text: result.images.primaryUrl, hyperlink: result.images.primaryUrl };
+                    row.getCell('primaryImage').font = { color: { argb: '0563C1' }, underline: true };
+                }
+            }
+            if (result.imageFiles && result.imageFiles.length > 0) {
+                const imagePath = result.imageFiles[0];
+                row.getCell('imageFile').value = {
+                    text: path.basename(imagePath),
+                    hyperlink: filePath ? path.relative(path.dirname(filePath), imagePath).split(path.sep).join('/') : imagePath
+                };
+                row.getCell('imageFile').font = { color: { argb: '0563C1' }, underline: true };
+            }
+            
+            // Flag bundles that can't be bought because a component is unavailable
+            if (result.bundleUnavailableCount > 0) {
+                row.getCell('bundleUnavailableCount').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFC7CE' }
+                };
+                row.getCell('bundleUnavailableCount').font = { color: { argb: '9C0006' } };
+            }
+            
+            // Highlight items that needed more than one attempt
+            if ((result.attempts || 1) > 1) {
+                row.getCell('attempts').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFEB9C' }
+                };
+            }
+            
             // Make URL clickable
             row.getCell('url').value = {
                 text: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`,
                 hyperlink: `https://www.wholefoodsmarket.com/name/dp/${result.asin}?pd_rd_i=${result.asin}&fpw=alm&almBrandId=aNHVc2Akvg`
             };
             row.getCell('url').font = { color: { argb: '0563C1' }, underline: true };
+            
+            // Link to the evidence screenshot (relative so the workbook and evidence folder can move together)
+            if (result.screenshotPath) {
+                const link = filePath
+                    ? path.relative(path.dirname(filePath), result.screenshotPath).split(path.sep).join('/')
+                    : result.screenshotPath;
+                row.getCell('screenshot').value = {
+                    text: path.basename(result.screenshotPath),
+                    hyperlink: link
+                };
+                row.getCell('screenshot').font = { color: { argb: '0563C1' }, underline: true };
+            }
         });
         
         // Add borders to all cells
@@ -192,7 +480,19 @@ class ExcelExporter {
         console.log(`✅ Results worksheet created with ${results.length} rows`);
     }
 
-    async createSummaryWorksheet(results) {
+    numberOrNull(value) {
+        return typeof value === 'number' ? value : null;
+    }
+
+    getDietaryLabels(keys) {
+        return DIETARY_ATTRIBUTES.filter(attribute => (keys || []).includes(attribute.key)).map(attribute => attribute.label);
+    }
+
+    getMoneyFormat(currency) {
+        return !currency || currency === 'USD' ? '$#,##0.00' : `#,##0.00 "${currency}"`;
+    }
+
+    async createSummaryWorksheet(results, partial = null) {
         const worksheet = this.workbook.addWorksheet('Summary');
         
         // Calculate summary statistics
@@ -208,9 +508,19 @@ class ExcelExporter {
         const uniqueStores = new Set(results.map(r => r.store)).size;
         const scanDate = new Date().toLocaleString();
         
+        // Retry statistics
+        const retriedItems = results.filter(r => (r.attempts || 1) > 1).length;
+        const recoveredByRetry = results.filter(r => r.success && (r.attempts || 1) > 1).length;
+        const totalAttempts = results.reduce((sum, r) => sum + (r.attempts || 1), 0);
+        
         // Calculate enhanced data statistics
         const successfulResults = results.filter(r => r.success);
         const itemsWithPrice = successfulResults.filter(r => r.price && r.price !== 'N/A').length;
+        const pricedItems = successfulResults.filter(r => r.priceDetails && typeof r.priceDetails.amount === 'number');
+        const itemsOnSale = pricedItems.filter(r => r.priceDetails.isOnSale).length;
+        const avgPrice = pricedItems.length > 0
+            ? pricedItems.reduce((sum, r) => sum + r.priceDetails.amount, 0) / pricedItems.length
+            : null;
         const itemsWithNutrition = successfulResults.filter(r => r.hasNutritionFacts).length;
         const itemsWithIngredients = successfulResults.filter(r => r.hasIngredients).length;
         const itemsWithAddToCart = successfulResults.filter(r => r.hasAddToCart).length;
@@ -222,11 +532,14 @@ class ExcelExporter {
         const bundleItems = successfulResults.filter(r => r.isBundle).length;
         const totalBundleParts = successfulResults.reduce((sum, r) => sum + (r.bundlePartsCount || 0), 0);
         const avgBundlePartsPerItem = bundleItems > 0 ? (totalBundleParts / bundleItems).toFixed(1) : 0;
+        const bundlesWithUnavailableParts = successfulResults.filter(r => r.bundleUnavailableCount > 0).length;
+        const itemsWithImageIssues = successfulResults.filter(r => r.images && r.images.status !== 'ok').length;
         
         // Create summary table
         const summaryData = [
             ['Scan Summary', ''],
             ['', ''],
+            ...this.getScanStatusRows(partial),
             ['Scan Date', scanDate],
             ['Total Items Processed', totalItems],
             ['Successful Items', successfulItems],
@@ -234,10 +547,15 @@ class ExcelExporter {
             ['Success Rate', `${successRate}%`],
             ['Average Load Time', avgLoadTime > 0 ? `${Math.round(avgLoadTime)}ms` : 'N/A'],
             ['Stores Processed', uniqueStores],
+            ['Total Attempts', totalAttempts],
+            ['Items Retried', retriedItems],
+            ['Items Recovered by Retry', recoveredByRetry],
             ['', ''],
             ['Data Extraction Summary', ''],
             ['Items with Extracted Names', `${extractedNames} (${successfulItems > 0 ? ((extractedNames / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Price Data', `${itemsWithPrice} (${successfulItems > 0 ? ((itemsWithPrice / successfulItems) * 100).toFixed(1) : 0}%)`],
+            ['Average Price', avgPrice !== null ? `$${avgPrice.toFixed(2)}` : 'N/A'],
+            ['Items on Sale', `${itemsOnSale} (${pricedItems.length > 0 ? ((itemsOnSale / pricedItems.length) * 100).toFixed(1) : 0}%)`],
             ['Items with Nutrition Facts', `${itemsWithNutrition} (${successfulItems > 0 ? ((itemsWithNutrition / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Ingredients', `${itemsWithIngredients} (${successfulItems > 0 ? ((itemsWithIngredients / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Items with Add to Cart', `${itemsWithAddToCart} (${successfulItems > 0 ? ((itemsWithAddToCart / successfulItems) * 100).toFixed(1) : 0}%)`],
@@ -248,6 +566,8 @@ class ExcelExporter {
             ['Bundle Items', `${bundleItems} (${successfulItems > 0 ? ((bundleItems / successfulItems) * 100).toFixed(1) : 0}%)`],
             ['Total Bundle Parts', totalBundleParts],
             ['Avg Bundle Parts per Bundle', avgBundlePartsPerItem],
+            ['Bundles with Unavailable Components', bundlesWithUnavailableParts],
+            ['Items with Missing or Placeholder Images', itemsWithImageIssues],
             ['', ''],
             ['Status Breakdown', ''],
             ['✅ Success', successfulItems],
@@ -268,6 +588,8 @@ class ExcelExporter {
                 };
             }
             
+            this.styleScanStatusRow(wsRow, row, partial);
+            
             // Style section headers
             if (row[0] === 'Status Breakdown' || row[0] === 'Data Extraction Summary') {
                 wsRow.font = { bold: true, color: { argb: '366092' } };
@@ -279,6 +601,12 @@ class ExcelExporter {
             }
         });
         
+        // Share of each store's item pages showing each dietary badge; only results with badge data count
+        const badgeResults = successfulResults.filter(r => Array.isArray(r.dietaryAttributes) && r.mode !== 'merchandising');
+        if (badgeResults.some(r => r.dietaryAttributes.length > 0)) {
+            this.addDietaryCoverageRows(worksheet, badgeResults);
+        }
+        
         // Set column widths
         worksheet.getColumn(1).width = 25;
         worksheet.getColumn(2).width = 20;
@@ -300,6 +628,658 @@ class ExcelExporter {
         console.log('✅ Summary worksheet created');
     }
 
+    addDietaryCoverageRows(worksheet, results) {
+        const stores = Array.from(new Set(results.map(r => r.store))).sort();
+        
+        worksheet.addRow([]);
+        const titleRow = worksheet.addRow(['Dietary Attribute Coverage by Store']);
+        titleRow.font = { bold: true, color: { argb: '366092' } };
+        
+        const headerRow = worksheet.addRow(['Store', 'Items', ...DIETARY_ATTRIBUTES.map(attribute => attribute.label)]);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.eachCell((cell) => {
+            cell.fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: '366092' }
+            };
+            cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+        });
+        
+        // One row per store, then every store together
+        [...stores.map(store => [store, results.filter(r => r.store === store)]), ['All Stores', results]].forEach(([label, storeResults]) => {
+            const row = worksheet.addRow([
+                label,
+                storeResults.length,
+                ...DIETARY_ATTRIBUTES.map(attribute => {
+                    const count = storeResults.filter(r => r.dietaryAttributes.includes(attribute.key)).length;
+                    return storeResults.length > 0 ? count / storeResults.length : 0;
+                })
+            ]);
+            row.getCell(1).font = { bold: true };
+            for (let col = 3; col <= DIETARY_ATTRIBUTES.length + 2; col++) {
+                row.getCell(col).numFmt = '0%';
+            }
+            // 0% cells are bordered too (the summary's border pass skips empty-looking values)
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        for (let col = 3; col <= DIETARY_ATTRIBUTES.length + 2; col++) {
+            worksheet.getColumn(col).width = 14;
+        }
+    }
+
+    getScanStatusRows(partial) {
+        if (!partial) {
+            return [['Scan Status', 'COMPLETE']];
+        }
+        
+        return [
+            ['Scan Status', 'PARTIAL - stopped before completion'],
+            ['Stopped At', partial.stoppedAt ? new Date(partial.stoppedAt).toLocaleString() : 'N/A'],
+            ['Stores Not Attempted', partial.unattempted.stores.length],
+            ['Items Not Attempted', partial.unattempted.items.length]
+        ];
+    }
+
+    styleScanStatusRow(wsRow, row, partial) {
+        if (row[0] !== 'Scan Status') return;
+        
+        wsRow.getCell(2).font = { bold: true, color: { argb: partial ? '9C5700' : '006100' } };
+        wsRow.getCell(2).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: partial ? 'FFEB9C' : 'C6EFCE' }
+        };
+    }
+
+    async createNotAttemptedWorksheet(partial) {
+        const worksheet = this.workbook.addWorksheet('Not Attempted');
+        const { stores, items } = partial.unattempted;
+        
+        worksheet.columns = [
+            { header: 'Type', key: 'type', width: 10 },
+            { header: 'Store Code', key: 'store', width: 12 },
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 40 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        // Whole stores first, then individual items (which includes the items of those stores)
+        stores.forEach(store => {
+            worksheet.addRow({ type: 'Store', store: store, asin: '', name: '' });
+        });
+        items.forEach(item => {
+            worksheet.addRow({ type: 'Item', store: item.store, asin: item.asin, name: item.name || '' });
+        });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Freeze the header row
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+        
+        console.log(`✅ Not attempted worksheet created with ${stores.length} stores and ${items.length} items`);
+    }
+
+    async createVariationsWorksheet(results) {
+        const worksheet = this.workbook.addWorksheet('Variations');
+        
+        worksheet.columns = [
+            { header: 'Store Code', key: 'store', width: 12 },
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 35 },
+            { header: '#', key: 'index', width: 5 },
+            { header: 'Variation', key: 'variation', width: 25 },
+            { header: 'Variation ASIN', key: 'variationAsin', width: 15 },
+            { header: 'Content ID', key: 'contentId', width: 15 },
+            { header: 'Default', key: 'selected', width: 9 },
+            { header: 'Price', key: 'price', width: 12 },
+            { header: 'Price Amount', key: 'priceAmount', width: 13 },
+            { header: 'Regular Price', key: 'regularPrice', width: 13 },
+            { header: 'Sale Price', key: 'salePrice', width: 12 },
+            { header: 'Unit Price', key: 'unitPrice', width: 12 },
+            { header: 'Unit Price Per', key: 'unitPriceUnit', width: 14 },
+            { header: 'Has Add to Cart', key: 'hasAddToCart', width: 16 },
+            { header: 'Is Available', key: 'isAvailable', width: 14 },
+            { header: 'Deep Scanned', key: 'deepScanned', width: 13 },
+            { header: 'Error', key: 'error', width: 40 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        let rowCount = 0;
+        results.forEach(result => {
+            if (!result.variations || result.variations.length === 0) return;
+            
+            // Deep-scanned options carry their own price and cart state; otherwise only what the button showed
+            const deep = result.variationDetails || [];
+            result.variations.forEach(detected => {
+                const scanned = deep.find(variation => variation.index === detected.index) || null;
+                const priceDetails = (scanned && scanned.priceDetails) || {};
+                const price = scanned ? scanned.price : detected.price;
+                const readOk = scanned && !scanned.error;
+                const row = worksheet.addRow({
+                    store: result.store,
+                    asin: result.asin,
+                    name: result.extractedName || result.name,
+                    index: detected.index,
+                    variation: (scanned && scanned.name) || detected.name || '',
+                    variationAsin: scanned ? scanned.asin || '' : '',
+                    contentId: detected.contentId || '',
+                    selected: scanned ? (scanned.selected ? 'YES' : 'NO') : '',
+                    price: price || 'N/A',
+                    priceAmount: scanned ? this.numberOrNull(priceDetails.amount) : PriceParser.parse(detected.price),
+                    regularPrice: this.numberOrNull(priceDetails.regularPrice),
+                    salePrice: this.numberOrNull(priceDetails.salePrice),
+                    unitPrice: priceDetails.pricePerUnit ? priceDetails.pricePerUnit.amount : null,
+                    unitPriceUnit: priceDetails.pricePerUnit ? priceDetails.pricePerUnit.unit : '',
+                    hasAddToCart: readOk ? (scanned.hasAddToCart ? 'YES' : 'NO') : '',
+                    isAvailable: readOk ? (scanned.isAvailable ? 'YES' : 'NO') : '',
+                    deepScanned: scanned ? 'YES' : 'NO',
+                    error: scanned ? scanned.error || '' : ''
+                });
+                
+                const moneyFormat = this.getMoneyFormat(priceDetails.currency);
+                ['priceAmount', 'regularPrice', 'salePrice', 'unitPrice'].forEach(key => {
+                    row.getCell(key).numFmt = moneyFormat;
+                });
+                
+                // Color code availability of deep-scanned options
+                if (readOk) {
+                    const availabilityCell = row.getCell('isAvailable');
+                    availabilityCell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: scanned.isAvailable ? 'C6EFCE' : 'FFC7CE' }
+                    };
+                    availabilityCell.font = { color: { argb: scanned.isAvailable ? '006100' : '9C0006' } };
+                } else if (scanned) {
+                    row.getCell('error').font = { color: { argb: '9C0006' } };
+                }
+                rowCount++;
+            });
+        });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        worksheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: 1, column: worksheet.columns.length }
+        };
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+        
+        console.log(`✅ Variations worksheet created with ${rowCount} variations`);
+    }
+
+    async createBundleComponentsWorksheet(results) {
+        const worksheet = this.workbook.addWorksheet('Bundle Components');
+        
+        worksheet.columns = [
+            { header: 'Store Code', key: 'store', width: 12 },
+            { header: 'Bundle ASIN', key: 'asin', width: 15 },
+            { header: 'Bundle Name', key: 'bundleName', width: 35 },
+            { header: '#', key: 'index', width: 5 },
+            { header: 'Component', key: 'component', width: 35 },
+            { header: 'Component ASIN', key: 'componentAsin', width: 16 },
+            { header: 'Content ID', key: 'contentId', width: 15 },
+            { header: 'Quantity', key: 'quantity', width: 10 },
+            { header: 'Options', key: 'options', width: 30 },
+            { header: 'Scanned', key: 'scanned', width: 10 },
+            { header: 'Component Price', key: 'price', width: 15 },
+            { header: 'Price Amount', key: 'priceAmount', width: 13 },
+            { header: 'Has Add to Cart', key: 'hasAddToCart', width: 16 },
+            { header: 'Is Available', key: 'isAvailable', width: 14 },
+            { header: 'Error', key: 'error', width: 40 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        let rowCount = 0;
+        results.forEach(result => {
+            if (!result.isBundle || !result.bundleParts) return;
+            
+            result.bundleParts.forEach(part => {
+                const scan = part.scan || null;
+                const loaded = scan && scan.success;
+                const row = worksheet.addRow({
+                    store: result.store,
+                    asin: result.asin,
+                    bundleName: result.extractedName || result.name,
+                    index: part.index,
+                    // Results from before component resolution only have the button text
+                    component: part.name || (scan && scan.name) || part.text || '',
+                    componentAsin: part.asin || '',
+                    contentId: part.contentId || '',
+                    quantity: part.quantity || 1,
+                    options: (part.options || []).join('; '),
+                    scanned: scan ? 'YES' : 'NO',
+                    price: loaded ? scan.price || 'N/A' : '',
+                    priceAmount: loaded && scan.priceDetails ? this.numberOrNull(scan.priceDetails.amount) : null,
+                    hasAddToCart: loaded ? (scan.hasAddToCart ? 'YES' : 'NO') : '',
+                    isAvailable: loaded ? (scan.isAvailable ? 'YES' : 'NO') : '',
+                    error: scan ? scan.error || '' : (part.asin ? '' : 'No ASIN on the page for this part')
+                });
+                row.getCell('priceAmount').numFmt = this.getMoneyFormat(loaded && scan.priceDetails ? scan.priceDetails.currency : null);
+                
+                // A component missing in this store makes the whole bundle unbuyable there
+                if (loaded) {
+                    const availabilityCell = row.getCell('isAvailable');
+                    availabilityCell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: scan.isAvailable ? 'C6EFCE' : 'FFC7CE' }
+                    };
+                    availabilityCell.font = { color: { argb: scan.isAvailable ? '006100' : '9C0006' } };
+                } else if (scan) {
+                    row.getCell('error').font = { color: { argb: '9C0006' } };
+                }
+                rowCount++;
+            });
+        });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        worksheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: 1, column: worksheet.columns.length }
+        };
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+        
+        console.log(`✅ Bundle components worksheet created with ${rowCount} components`);
+    }
+
+    async createNutritionDetailWorksheet(results) {
+        const worksheet = this.workbook.addWorksheet('Nutrition Detail');
+        
+        // Amount and % Daily Value column pairs, in panel order
+        const nutrients = [
+            ['totalFat', 'Total Fat'],
+            ['saturatedFat', 'Sat Fat'],
+            ['transFat', 'Trans Fat'],
+            ['cholesterol', 'Cholesterol'],
+            ['sodium', 'Sodium'],
+            ['totalCarbohydrate', 'Total Carbs'],
+            ['dietaryFiber', 'Fiber'],
+            ['totalSugars', 'Total Sugars'],
+            ['addedSugars', 'Added Sugars'],
+            ['protein', 'Protein']
+        ];
+        
+        const columns = [
+            { header: 'Store Code', key: 'store', width: 12 },
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 35 },
+            { header: 'Serving Size', key: 'servingSize', width: 20 },
+            { header: 'Servings/Container', key: 'servingsPerContainer', width: 18 },
+            { header: 'Calories', key: 'calories', width: 10 }
+        ];
+        nutrients.forEach(([key, label]) => {
+            columns.push({ header: label, key: key, width: 12 });
+            columns.push({ header: `${label} %DV`, key: `${key}DV`, width: 12 });
+        });
+        columns.push(
+            { header: 'Allergens', key: 'allergens', width: 25 },
+            { header: 'Contains', key: 'contains', width: 30 },
+            { header: 'May Contain', key: 'mayContain', width: 30 },
+            { header: 'Facility Statement', key: 'facility', width: 35 },
+            { header: 'Ingredients', key: 'statement', width: 80 }
+        );
+        worksheet.columns = columns;
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+        
+        let itemCount = 0;
+        results.forEach(result => {
+            if (!result.nutrition && !result.ingredients) return;
+            
+            const nutrition = result.nutrition || {};
+            const ingredients = result.ingredients || {};
+            const values = {
+                store: result.store,
+                asin: result.asin,
+                name: result.extractedName || result.name,
+                servingSize: nutrition.servingSize || '',
+                servingsPerContainer: nutrition.servingsPerContainer || '',
+                calories: typeof nutrition.calories === 'number' ? nutrition.calories : null,
+                allergens: (ingredients.allergens || []).join(', '),
+                contains: ingredients.contains || '',
+                mayContain: ingredients.mayContain || '',
+                facility: ingredients.facility || '',
+                statement: ingredients.statement || ''
+            };
+            // Amounts stay numeric so they can be sorted and summed; "<1g" keeps its text
+            nutrients.forEach(([key]) => {
+                const nutrient = nutrition[key];
+                values[key] = nutrient ? (nutrient.lessThan ? nutrient.text : nutrient.amount) : null;
+                values[`${key}DV`] = nutrient && nutrient.dailyValue !== null ? nutrient.dailyValue / 100 : null;
+            });
+            
+            const row = worksheet.addRow(values);
+            nutrients.forEach(([key]) => {
+                const nutrient = nutrition[key];
+                if (nutrient && !nutrient.lessThan) {
+                    row.getCell(key).numFmt = `0.##"${nutrient.unit}"`;
+                }
+                row.getCell(`${key}DV`).numFmt = '0%';
+            });
+            
+            // A panel was found but nothing could be read from it - worth a manual look
+            if (result.nutrition && !result.nutrition.parsed) {
+                row.getCell('calories').fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFEB9C' }
+                };
+            }
+            itemCount++;
+        });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        worksheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: 1, column: columns.length }
+        };
+        worksheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 1 }];
+        
+        console.log(`✅ Nutrition detail worksheet created with ${itemCount} items`);
+    }
+
+    async createSelectorHealthWorksheet(report) {
+        const worksheet = this.workbook.addWorksheet('Selector Health');
+        
+        // Verdict and warnings above the per-field table
+        const summaryRows = [
+            ['Selector Health', ''],
+            ['Status', report.healthy ? 'HEALTHY' : 'LAYOUT DRIFT SUSPECTED'],
+            ['Item Pages Analyzed', report.itemCount],
+            ['Extraction Profile', report.profiles.join(', ') || 'N/A'],
+            ['Compared To', report.baseline ? `${report.baseline.runId} (${report.baseline.startedAt})` : 'No previous run'],
+            ...report.warnings.map(warning => ['Warning', warning.message]),
+            ['', '']
+        ];
+        summaryRows.forEach((row, index) => {
+            const wsRow = worksheet.addRow(row);
+            if (index === 0) {
+                wsRow.font = { bold: true, size: 16, color: { argb: '366092' } };
+            } else if (row[0]) {
+                wsRow.getCell(1).font = { bold: true };
+            }
+            
+            if (row[0] === 'Status' || row[0] === 'Warning') {
+                const healthy = row[0] === 'Status' && report.healthy;
+                wsRow.getCell(2).fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: healthy ? 'C6EFCE' : 'FFC7CE' }
+                };
+                wsRow.getCell(2).font = { bold: row[0] === 'Status', color: { argb: healthy ? '006100' : '9C0006' } };
+            }
+        });
+        
+        const headerRowNumber = summaryRows.length + 1;
+        const headers = ['Field', 'Extracted', 'Extraction Rate', 'Previous Run', 'Primary Selector', 'Primary Hit Rate', 'Fallback Hits', 'Matched Selectors'];
+        const headerRow = worksheet.addRow(headers);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        [26, 11, 15, 13, 50, 16, 13, 80].forEach((width, index) => {
+            worksheet.getColumn(index + 1).width = width;
+        });
+        
+        const warnedFields = new Set(report.warnings.map(warning => warning.field));
+        report.fields.forEach(field => {
+            const row = worksheet.addRow([
+                field.label,
+                field.extracted,
+                field.rate,
+                field.baselineRate,
+                field.primarySelector || 'section match',
+                field.primaryRate,
+                field.primarySelector ? field.fallbackHits : null,
+                field.selectors.map(selector => `${selector.selector} (${selector.hits})`).join('; ')
+            ]);
+            
+            [3, 4, 6].forEach(col => {
+                row.getCell(col).numFmt = '0.0%';
+            });
+            
+            if (warnedFields.has(field.field)) {
+                row.getCell(1).fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFC7CE' }
+                };
+                row.getCell(1).font = { color: { argb: '9C0006' } };
+            }
+        });
+        
+        // Add borders to the table
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber < headerRowNumber) return;
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+        
+        console.log(`✅ Selector health worksheet created (${report.warnings.length} warnings)`);
+    }
+
+    async createCompetitiveMatrixWorksheet(results) {
+        const worksheet = this.workbook.addWorksheet('Competitive Matrix');
+        const { stores, rows } = new CompetitiveAnalyzer().buildMatrix(results);
+        
+        worksheet.columns = [
+            { header: 'ASIN', key: 'asin', width: 15 },
+            { header: 'Item Name', key: 'name', width: 40 },
+            { header: 'Stores Scanned', key: 'storesScanned', width: 15 },
+            { header: 'Available In', key: 'storesAvailable', width: 13 },
+            { header: 'Min Price', key: 'minPrice', width: 11 },
+            { header: 'Median Price', key: 'medianPrice', width: 13 },
+            { header: 'Max Price', key: 'maxPrice', width: 11 },
+            ...stores.map(store => ({ header: store, key: `store_${store}`, width: 16 })),
+            { header: 'Flags', key: 'flags', width: 70 }
+        ];
+        
+        // Style the header row
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        // Fill colors per cell state: green sells, yellow listed but not buyable, red failed to scan
+        const statusColors = {
+            [CELL_STATUS.AVAILABLE]: { fill: 'C6EFCE', font: '006100' },
+            [CELL_STATUS.UNAVAILABLE]: { fill: 'FFEB9C', font: '9C5700' },
+            [CELL_STATUS.ERROR]: { fill: 'FFC7CE', font: '9C0006' },
+            [CELL_STATUS.NOT_SCANNED]: { fill: 'E7E6E6', font: '7F7F7F' }
+        };
+        
+        rows.forEach(matrixRow => {
+            const rowData = {
+                asin: matrixRow.asin,
+                name: matrixRow.name || 'N/A',
+                storesScanned: matrixRow.storesScanned,
+                storesAvailable: matrixRow.storesAvailable,
+                minPrice: matrixRow.minPrice,
+                medianPrice: matrixRow.medianPrice,
+                maxPrice: matrixRow.maxPrice,
+                flags: matrixRow.flags.join('; ')
+            };
+            stores.forEach(store => {
+                rowData[`store_${store}`] = this.formatMatrixCell(matrixRow.cells[store]);
+            });
+            
+            const row = worksheet.addRow(rowData);
+            ['minPrice', 'medianPrice', 'maxPrice'].forEach(key => {
+                row.getCell(key).numFmt = '$#,##0.00';
+            });
+            
+            stores.forEach(store => {
+                const cell = row.getCell(`store_${store}`);
+                const matrixCell = matrixRow.cells[store];
+                const colors = statusColors[matrixCell.status];
+                
+                cell.alignment = { horizontal: 'center' };
+                cell.fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: colors.fill }
+                };
+                cell.font = { color: { argb: colors.font } };
+                
+                // Flagged cells stand out from the plain status colors
+                if (matrixCell.isOutlier) {
+                    cell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: 'F8CBAD' }
+                    };
+                    cell.font = { bold: true, color: { argb: 'C65911' } };
+                }
+                if (matrixCell.isAvailabilityGap) {
+                    cell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: 'FFC7CE' }
+                    };
+                    cell.font = { bold: true, color: { argb: '9C0006' } };
+                }
+            });
+            
+            if (matrixRow.flags.length > 0) {
+                row.getCell('flags').font = { color: { argb: '9C0006' } };
+            }
+        });
+        
+        // Add borders to all cells
+        worksheet.eachRow((row) => {
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        // Freeze the header row and the ASIN/name columns
+        worksheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+        
+        const flagged = rows.filter(row => row.flags.length > 0).length;
+        console.log(`✅ Competitive matrix created with ${rows.length} ASINs across ${stores.length} stores (${flagged} flagged)`);
+    }
+
+    formatMatrixCell(cell) {
+        switch (cell.status) {
+            case CELL_STATUS.AVAILABLE:
+                return cell.priceText || 'AVAILABLE';
+            case CELL_STATUS.UNAVAILABLE:
+                return 'UNAVAILABLE';
+            case CELL_STATUS.ERROR:
+                return 'ERROR';
+            default:
+                return '-';
+        }
+    }
+
     async createStoreBreakdownWorksheet(results) {
         const worksheet = this.workbook.addWorksheet('Store Breakdown');
         
@@ -547,7 +1527,7 @@ class ExcelExporter {
         console.log(`✅ Merchandising results worksheet created with ${results.length} stores`);
     }
 
-    async createMerchandisingSummaryWorksheet(results) {
+    async createMerchandisingSummaryWorksheet(results, partial = null) {
         const worksheet = this.workbook.addWorksheet('Merchandising Summary');
         
         // Calculate summary statistics
@@ -574,6 +1554,7 @@ class ExcelExporter {
         const summaryData = [
             ['Merchandising Scan Summary', ''],
             ['', ''],
+            ...this.getScanStatusRows(partial),
             ['Scan Date', scanDate],
             ['Total Stores Processed', totalStores],
             ['Successful Stores', successfulStores],
@@ -607,6 +1588,8 @@ class ExcelExporter {
                 };
             }
             
+            this.styleScanStatusRow(wsRow, row, partial);
+            
             // Style section headers
             if (row[0] === 'Status Breakdown' || row[0] === 'Shoveler Analysis') {
                 wsRow.font = { bold: true, color: { argb: '366092' } };
@@ -718,6 +1701,106 @@ class ExcelExporter {
         const totalShovelers = results.reduce((sum, r) => sum + (r.shovelers ? r.shovelers.length : 0), 0);
         console.log(`✅ Shoveler details worksheet created with ${totalShovelers} shoveler entries`);
     }
+
+    async createPlacementChangesWorksheet(diff, labels = {}) {
+        const worksheet = this.workbook.addWorksheet('Placement Changes');
+        
+        // Comparison details above the table
+        const summaryRows = [
+            ['Merchandising Comparison', ''],
+            ['Baseline', labels.baseline || 'N/A'],
+            ['Current', labels.current || 'N/A'],
+            ['Stores In Baseline', diff.baselineCount],
+            ['Stores In Current', diff.currentCount],
+            ['Stores Changed', diff.changedStoreCount],
+            ['Stores Unchanged', diff.unchangedStores.length],
+            ['Shovelers Added / Removed', `${diff.shovelersAdded} / ${diff.shovelersRemoved}`],
+            ['ASINs Added / Removed', `${diff.asinsAdded} / ${diff.asinsRemoved}`],
+            ['', '']
+        ];
+        summaryRows.forEach((row, index) => {
+            const wsRow = worksheet.addRow(row);
+            if (index === 0) {
+                wsRow.font = { bold: true, size: 16, color: { argb: '366092' } };
+            } else if (row[0]) {
+                wsRow.getCell(1).font = { bold: true };
+            }
+        });
+        
+        const headerRowNumber = summaryRows.length + 1;
+        const headers = ['Store Code', 'Shoveler Title', 'Carousel ID', 'Change', 'ASIN', 'Before', 'After', 'Details'];
+        const headerRow = worksheet.addRow(headers);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: '366092' }
+        };
+        headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+        
+        [12, 40, 20, 24, 15, 40, 40, 50].forEach((width, index) => {
+            worksheet.getColumn(index + 1).width = width;
+        });
+        
+        // Removals in red, additions in green, moves and renames in yellow, unusable stores in grey
+        const changeColors = {
+            [PLACEMENT_CHANGE_TYPES.SHOVELER_REMOVED]: { fill: 'FFC7CE', font: '9C0006' },
+            [PLACEMENT_CHANGE_TYPES.ASIN_REMOVED]: { fill: 'FFC7CE', font: '9C0006' },
+            [PLACEMENT_CHANGE_TYPES.MISSING_STORE]: { fill: 'FFC7CE', font: '9C0006' },
+            [PLACEMENT_CHANGE_TYPES.SHOVELER_ADDED]: { fill: 'C6EFCE', font: '006100' },
+            [PLACEMENT_CHANGE_TYPES.ASIN_ADDED]: { fill: 'C6EFCE', font: '006100' },
+            [PLACEMENT_CHANGE_TYPES.NEW_STORE]: { fill: 'C6EFCE', font: '006100' },
+            [PLACEMENT_CHANGE_TYPES.STORE_NOT_COMPARABLE]: { fill: 'E7E6E6', font: '7F7F7F' }
+        };
+        
+        diff.changes.forEach(change => {
+            const row = worksheet.addRow([
+                change.store,
+                change.shoveler,
+                change.carouselId,
+                change.changeType,
+                change.asin,
+                change.before,
+                change.after,
+                change.detail
+            ]);
+            
+            const colors = changeColors[change.changeType] || { fill: 'FFEB9C', font: '9C5700' };
+            row.getCell(4).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: colors.fill }
+            };
+            row.getCell(4).font = { color: { argb: colors.font } };
+        });
+        
+        // Stores with identical placements confirm a rollout as much as the changes do
+        diff.unchangedStores.forEach(store => {
+            const row = worksheet.addRow([store, '', '', 'No Changes', '', '', '', '']);
+            row.getCell(4).font = { color: { argb: '7F7F7F' } };
+        });
+        
+        // Add borders to the table
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber < headerRowNumber) return;
+            row.eachCell((cell) => {
+                cell.border = {
+                    top: { style: 'thin' },
+                    left: { style: 'thin' },
+                    bottom: { style: 'thin' },
+                    right: { style: 'thin' }
+                };
+            });
+        });
+        
+        worksheet.autoFilter = {
+            from: { row: headerRowNumber, column: 1 },
+            to: { row: headerRowNumber, column: headers.length }
+        };
+        worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+        
+        console.log(`✅ Placement changes worksheet created with ${diff.changes.length} changes across ${diff.changedStoreCount} stores`);
+    }
 }
 
 module.exports = { ExcelExporter };
\ No newline at end of file
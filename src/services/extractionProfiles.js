@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJSONAtomic, resolveIdPath } = require('./safeFiles');
+
+// Profiles shipped with the app; read-only, copy one to change it
+const BUILT_IN_DIR = path.join(__dirname, '..', 'profiles');
+const DEFAULT_PROFILE_ID = 'wfm-default';
+
+// Fields read with selector groups, and the methods a group may use
+const GROUP_FIELDS = ['name', 'price', 'addToCart'];
+// Selector-group fields added after the first profile version; optional so older profiles still load
+const OPTIONAL_GROUP_FIELDS = ['rating', 'reviewCount'];
+const SECTION_FIELDS = ['nutrition', 'ingredients'];
+const GROUP_METHODS = ['textContent', 'innerText', 'exists', 'attribute'];
+
+// Versioned JSON "extraction profiles": the selectors used to read a product page.
+// Built-in profiles live in src/profiles, user profiles in the app's userData folder.
+class ExtractionProfileStore {
+    constructor(userDir) {
+        this.userDir = userDir;
+    }
+
+    static validate(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Profile must be a JSON object');
+        }
+        if (!/^[a-z0-9][a-z0-9-_]*$/i.test(profile.id || '')) {
+            throw new Error('Profile id is required (letters, numbers, "-" and "_" only)');
+        }
+        if (!profile.name || !profile.version) {
+            throw new Error('Profile name and version are required');
+        }
+        
+        const fields = profile.fields || {};
+        for (const field of [...GROUP_FIELDS, ...OPTIONAL_GROUP_FIELDS]) {
+            if (OPTIONAL_GROUP_FIELDS.includes(field) && !fields[field]) continue;
+            
+            const groups = fields[field] && fields[field].groups;
+            if (!Array.isArray(groups) || groups.length === 0) {
+                throw new Error(`fields.${field}.groups must list at least one selector group`);
+            }
+            groups.forEach((group, index) => {
+                if (!GROUP_METHODS.includes(group.method)) {
+                    throw new Error(`fields.${field}.groups[${index}].method must be one of ${GROUP_METHODS.join(', ')}`);
+                }
+                if (group.method === 'attribute' && !group.attribute) {
+                    throw new Error(`fields.${field}.groups[${index}] uses "attribute" but names no attribute`);
+                }
+                if (!Array.isArray(group.selectors) || group.selectors.some(selector => typeof selector !== 'string')) {
+                    throw new Error(`fields.${field}.groups[${index}].selectors must be a list of strings`);
+                }
+            });
+        }
+        
+        for (const field of SECTION_FIELDS) {
+            const section = fields[field] && fields[field].section;
+            // Profiles saved before section matching use { textSearch: { selector, text } }
+            const search = fields[field] && fields[field].textSearch;
+            if (section) {
+                if (!section.headingSelector || !Array.isArray(section.headingText) || section.headingText.length === 0) {
+                    throw new Error(`fields.${field}.section needs a headingSelector and a list of headingText phrases`);
+                }
+                if (section.contentPattern) {
+                    ExtractionProfileStore.validatePattern(section.contentPattern, `fields.${field}.section.contentPattern`);
+                }
+            } else if (!search || !search.selector || !search.text) {
+                throw new Error(`fields.${field}.section is required`);
+            }
+        }
+        
+        if (fields.price.pattern) {
+            ExtractionProfileStore.validatePattern(fields.price.pattern, 'fields.price.pattern');
+        }
+        const blockSelectors = fields.price.blockSelectors;
+        if (blockSelectors !== undefined && (!Array.isArray(blockSelectors) || blockSelectors.some(selector => typeof selector !== 'string'))) {
+            throw new Error('fields.price.blockSelectors must be a list of strings');
+        }
+        // Optional: profiles saved before image capture don't have it
+        if (fields.images) {
+            if (!Array.isArray(fields.images.selectors) || fields.images.selectors.some(selector => typeof selector !== 'string')) {
+                throw new Error('fields.images.selectors must be a list of strings');
+            }
+            (fields.images.placeholderPatterns || []).forEach((pattern, index) => {
+                ExtractionProfileStore.validatePattern(pattern, `fields.images.placeholderPatterns[${index}]`);
+            });
+        }
+        if (fields.badges && (!Array.isArray(fields.badges.selectors) || fields.badges.selectors.some(selector => typeof selector !== 'string'))) {
+            throw new Error('fields.badges.selectors must be a list of strings');
+        }
+        if (!fields.variations || !fields.variations.selector) {
+            throw new Error('fields.variations.selector is required');
+        }
+        if (!fields.bundle || !fields.bundle.headingSelector || !fields.bundle.headingText || !fields.bundle.partSelector) {
+            throw new Error('fields.bundle needs headingSelector, headingText and partSelector');
+        }
+        
+        return profile;
+    }
+
+    static validatePattern(pattern, label) {
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`${label} is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    // Reads and validates a profile file, e.g. one passed to the command-line runner
+    static async readProfileFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        let profile;
+        try {
+            profile = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${path.basename(filePath)} is not valid JSON: ${error.message}`);
+        }
+        return ExtractionProfileStore.validate(profile);
+    }
+
+    static async loadDefaultProfile() {
+        return ExtractionProfileStore.readProfileFile(path.join(BUILT_IN_DIR, `${DEFAULT_PROFILE_ID}.json`));
+    }
+
+    async listProfiles() {
+        const builtIn = await this.readProfiles(BUILT_IN_DIR, true);
+        const user = await this.readProfiles(this.userDir, false);
+        return [...builtIn, ...user].map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            version: profile.version,
+            description: profile.description || '',
+            builtIn: profile.builtIn
+        }));
+    }
+
+    async getProfile(profileId) {
+        const id = profileId || DEFAULT_PROFILE_ID;
+        for (const [dir, builtIn] of [[BUILT_IN_DIR, true], [this.userDir, false]]) {
+            try {
+                const profile = await ExtractionProfileStore.readProfileFile(this.getProfilePath(dir, id));
+                return { ...profile, builtIn };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        throw new Error(`Extraction profile not found: ${id}`);
+    }
+
+    async saveProfile(profile) {
+        ExtractionProfileStore.validate(profile);
+        if (await this.isBuiltIn(profile.id)) {
+            throw new Error(`"${profile.id}" is a built-in profile; save your changes under a new id`);
+        }
+        
+        const { builtIn, ...data } = profile;
+        await fs.mkdir(this.userDir, { recursive: true });
+        
+        await writeJSONAtomic(this.getProfilePath(this.userDir, data.id), data, 2);
+        
+        console.log(`🧩 Extraction profile saved: ${data.id} v${data.version}`);
+        return data;
+    }
+
+    async deleteProfile(profileId) {
+        if (await this.isBuiltIn(profileId)) {
+            throw new Error('Built-in profiles cannot be deleted');
+        }
+        await fs.rm(this.getProfilePath(this.userDir, profileId), { force: true });
+        console.log(`🗑️ Extraction profile deleted: ${profileId}`);
+    }
+
+    async importProfile(filePath) {
+        const profile = await ExtractionProfileStore.readProfileFile(filePath);
+        return this.saveProfile(profile);
+    }
+
+    async exportProfile(profileId, filePath) {
+        const { builtIn, ...data } = await this.getProfile(profileId);
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+        console.log(`📤 Extraction profile exported: ${profileId} -> ${filePath}`);
+        return filePath;
+    }
+
+    async isBuiltIn(profileId) {
+        try {
+            await fs.access(this.getProfilePath(BUILT_IN_DIR, profileId));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async readProfiles(dir, builtIn) {
+        let files;
+        try {
+            files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            return [];
+        }
+        
+        const profiles = [];
+        for (const file of files) {
+            try {
+                const profile = await ExtractionProfileStore.readProfileFile(path.join(dir, file));
+                profiles.push({ ...profile, builtIn });
+            } catch (error) {
+                console.warn(`⚠️ Skipping invalid extraction profile ${file}:`, error.message);
+            }
+        }
+        return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getProfilePath(dir, profileId) {
+        return resolveIdPath(dir, profileId);
+    }
+}
+
+module.exports = { ExtractionProfileStore, DEFAULT_PROFILE_ID };
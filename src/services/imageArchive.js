@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/avif': '.avif'
+};
+
+class ImageArchive {
+    constructor(rootDir, { maxImagesPerItem = 10 } = {}) {
+        this.rootDir = rootDir;
+        this.maxImagesPerItem = maxImagesPerItem;
+        this.entries = [];
+        // Stores share the same product images, so each URL is only downloaded once per scan
+        this.downloaded = new Map();
+    }
+
+    async initialize() {
+        await fs.mkdir(this.rootDir, { recursive: true });
+        console.log(`🖼️ Image archive ready: ${this.rootDir}`);
+    }
+
+    // Images are grouped per store like screenshots: <rootDir>/<STORE>/<ASIN>_<n>.<ext>
+    getImagePath(storeCode, asin, index, extension) {
+        return path.join(this.rootDir, this.sanitize(storeCode), `${this.sanitize(asin)}_${index}${extension}`);
+    }
+
+    sanitize(value) {
+        return String(value || 'UNKNOWN').replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    // Downloads an item's gallery through the page's browser context (same cookies and store session).
+    // Returns the saved file paths, primary image first; failed downloads are skipped.
+    async captureItem(page, result) {
+        const images = (result.images ? result.images.images : [])
+            .filter(image => image.url && !image.placeholder && /^https?:/i.test(image.url))
+            .slice(0, this.maxImagesPerItem);
+        const files = [];
+        
+        for (let index = 0; index < images.length; index++) {
+            const url = images[index].url;
+            if (this.downloaded.has(url)) {
+                files.push(this.downloaded.get(url));
+                continue;
+            }
+            
+            try {
+                const response = await page.context().request.get(url, { timeout: 15000 });
+                if (!response.ok()) {
+                    throw new Error(`HTTP ${response.status()}`);
+                }
+                
+                const contentType = (response.headers()['content-type'] || '').split(';')[0].trim();
+                const extension = EXTENSIONS[contentType] || path.extname(new URL(url).pathname) || '.img';
+                const filePath = this.getImagePath(result.store, result.asin, index + 1, extension);
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(filePath, await response.body());
+                
+                this.downloaded.set(url, filePath);
+                this.entries.push({
+                    store: result.store,
+                    asin: result.asin,
+                    index: index + 1,
+                    url: url,
+                    alt: images[index].alt,
+                    path: path.relative(this.rootDir, filePath),
+                    capturedAt: new Date().toISOString()
+                });
+                files.push(filePath);
+                
+            } catch (error) {
+                // A missing image is reported by the extraction; a failed download shouldn't fail the item
+                console.warn(`⚠️ Failed to download image ${index + 1} for ${result.store} - ${result.asin}: ${error.message}`);
+            }
+        }
+        
+        if (files.length > 0) {
+            console.log(`🖼️ Saved ${files.length} images for ${result.store} - ${result.asin}`);
+        }
+        return files;
+    }
+
+    async writeIndex() {
+        try {
+            const indexPath = path.join(this.rootDir, 'index.json');
+            await fs.writeFile(indexPath, JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                images: this.entries
+            }, null, 2));
+            console.log(`🖼️ Image index written with ${this.entries.length} images`);
+        } catch (error) {
+            console.error('❌ Failed to write image index:', error.message);
+        }
+    }
+}
+
+module.exports = { ImageArchive };
@@ -0,0 +1,113 @@
+// Nutrients read from an FDA-style Nutrition Facts panel: [result key, label as printed on the panel]
+const NUTRIENTS = [
+    ['totalFat', 'total fat'],
+    ['saturatedFat', 'saturated fat'],
+    ['transFat', 'trans fat'],
+    ['cholesterol', 'cholesterol'],
+    ['sodium', 'sodium'],
+    ['totalCarbohydrate', 'total carbohydrates?'],
+    ['dietaryFiber', 'dietary fiber'],
+    ['totalSugars', 'total sugars'],
+    ['protein', 'protein'],
+    ['vitaminD', 'vitamin d'],
+    ['calcium', 'calcium'],
+    ['iron', 'iron'],
+    ['potassium', 'potassium']
+];
+
+// Amount as printed ("<1g", "0.5 mg"), optionally followed by a % Daily Value
+const AMOUNT_PATTERN = '(<\\s*)?(\\d+(?:\\.\\d+)?)\\s*(mcg|mg|g)\\b(?:\\s*(\\d+(?:\\.\\d+)?)\\s*%)?';
+
+// Where the ingredient statement ends and the allergen callouts begin
+// ("Contains 2% or less of ..." is part of the ingredient list, not a callout)
+const ALLERGEN_CALLOUTS = [
+    ['contains', /\bcontains(?!\s*(?:\d|less))\s*:?\s*([^.]*)/i],
+    ['mayContain', /\b(?:may contain|may also contain)\s*:?\s*([^.]*)/i],
+    ['facility', /\b((?:manufactured|produced|processed|made|packaged|prepared) (?:in|on) (?:a )?(?:facility|shared equipment|equipment)[^.]*)/i]
+];
+
+// Turns the raw text of the product page's nutrition and ingredients sections into structured values
+class NutritionParser {
+    // { servingSize, servingsPerContainer, calories, <nutrient>: { amount, unit, dailyValue, text } }
+    static parse(text) {
+        if (!text) return null;
+        const panel = String(text).replace(/\s+/g, ' ').trim();
+        
+        const servingSize = panel.match(/serving size\s*:?\s*(.+?)(?=\s*(?:amount per serving|calories|servings? per container|%\s*daily|$))/i);
+        const servings = panel.match(/(about\s+\d+(?:\.\d+)?|varied|\d+(?:\.\d+)?)\s*servings? per container/i) ||
+            panel.match(/servings? per container\s*:?\s*(about\s+\d+(?:\.\d+)?|varied|\d+(?:\.\d+)?)/i);
+        const calories = panel.match(/\bcalories\s*:?\s*(\d+(?:\.\d+)?)/i);
+        
+        const nutrition = {
+            servingSize: servingSize ? servingSize[1].trim() : null,
+            servingsPerContainer: servings ? servings[1].trim() : null,
+            calories: calories ? parseFloat(calories[1]) : null
+        };
+        
+        for (const [key, label] of NUTRIENTS) {
+            nutrition[key] = NutritionParser.parseNutrient(panel, new RegExp(`\\b${label}\\s*:?\\s*${AMOUNT_PATTERN}`, 'i'));
+        }
+        
+        // Printed the other way round: "Includes 10g Added Sugars 20%"
+        const added = panel.match(/includes\s+(<\s*)?(\d+(?:\.\d+)?)\s*(g)\s+added sugars(?:\s*(\d+(?:\.\d+)?)\s*%)?/i);
+        nutrition.addedSugars = added
+            ? NutritionParser.toAmount(added)
+            : NutritionParser.parseNutrient(panel, new RegExp(`\\badded sugars\\s*:?\\s*${AMOUNT_PATTERN}`, 'i'));
+        
+        // A panel we couldn't read anything from is reported as such rather than as all-empty values
+        nutrition.parsed = nutrition.calories !== null || NUTRIENTS.some(([key]) => nutrition[key] !== null);
+        return nutrition;
+    }
+
+    static parseNutrient(panel, pattern) {
+        const match = panel.match(pattern);
+        return match ? NutritionParser.toAmount(match) : null;
+    }
+
+    // Match groups: 1 "<", 2 amount, 3 unit, 4 % daily value
+    static toAmount(match) {
+        return {
+            amount: parseFloat(match[2]),
+            unit: match[3].toLowerCase(),
+            lessThan: !!match[1],
+            dailyValue: match[4] !== undefined ? parseFloat(match[4]) : null,
+            text: `${match[1] ? '<' : ''}${match[2]}${match[3].toLowerCase()}`
+        };
+    }
+
+    // { statement, allergens, contains, mayContain, facility }
+    static parseIngredients(text) {
+        if (!text) return null;
+        let statement = String(text).replace(/\s+/g, ' ').trim()
+            .replace(/^ingredients\s*:?\s*/i, '');
+        
+        const callouts = { contains: null, mayContain: null, facility: null };
+        let cutAt = statement.length;
+        for (const [key, pattern] of ALLERGEN_CALLOUTS) {
+            const match = statement.match(pattern);
+            if (match && match[1].trim()) {
+                callouts[key] = match[0].trim();
+                cutAt = Math.min(cutAt, match.index);
+            }
+        }
+        
+        // "Contains: Milk, Wheat and Soy" -> ['milk', 'wheat', 'soy']
+        const allergens = callouts.contains
+            ? callouts.contains.replace(/^contains\s*:?\s*/i, '')
+                .split(/,|\band\b|&|\//i)
+                .map(allergen => allergen.trim().toLowerCase())
+                .filter(allergen => allergen && allergen.length < 40)
+            : [];
+        
+        statement = statement.slice(0, cutAt).trim().replace(/[\s.;,]+$/, '');
+        return {
+            statement: statement ? `${statement}.` : null,
+            allergens: allergens,
+            contains: callouts.contains,
+            mayContain: callouts.mayContain,
+            facility: callouts.facility
+        };
+    }
+}
+
+module.exports = { NutritionParser };
@@ -0,0 +1,121 @@
+// Currency symbols/codes as printed on a price, and the ISO code they normalize to
+const CURRENCIES = [
+    ['US$', 'USD'],
+    ['USD', 'USD'],
+    ['$', 'USD'],
+    ['CAD', 'CAD'],
+    ['£', 'GBP'],
+    ['GBP', 'GBP'],
+    ['€', 'EUR'],
+    ['EUR', 'EUR']
+];
+
+// Units a price can be quoted in ("$9.99/lb", "$0.31 per oz", "$2.50 ea"), normalized
+const UNITS = {
+    lb: 'lb', lbs: 'lb', pound: 'lb',
+    oz: 'oz', ounce: 'oz', 'fl oz': 'fl oz',
+    kg: 'kg', g: 'g',
+    ct: 'count', count: 'count',
+    ea: 'each', each: 'each',
+    serving: 'serving'
+};
+
+// One money amount with an optional unit: "$4.99", "$9.99 / lb", "USD 1,299.00", "99¢"
+const MONEY_PATTERN = /(?:(US\$|USD|CAD|GBP|EUR|\$|£|€)\s*(\d[\d,]*(?:\.\d+)?)|(\d+)\s*¢)(?:\s*(?:\/|per\b|\bea\b|\beach\b)\s*(fl oz|lbs?|pound|oz|ounce|kg|g|ct|count|ea|each|serving)?\b)?/gi;
+
+// Labels printed just before an amount that say which price it is
+const PRICE_LABELS = [
+    ['prime', /prime[^$£€\d]*$/i],
+    ['regular', /(?:regular|reg\.?|was|list|orig(?:inal)?|compare at)[^$£€\d]*$/i],
+    ['sale', /(?:sale|now|deal|special|save)[^$£€\d]*$/i]
+];
+
+class PriceParser {
+    // Numeric value of a scraped price string like "$12.99" or "$4.99 / lb" (null when there's no amount)
+    static parse(price) {
+        if (price === null || price === undefined) return null;
+        if (typeof price === 'number') return price;
+        
+        const [money] = PriceParser.findAmounts(price);
+        return money ? money.amount : null;
+    }
+
+    // Price to compare across scans and stores: the structured amount when the scan recorded one
+    static fromResult(result) {
+        if (result.priceDetails && typeof result.priceDetails.amount === 'number') {
+            return result.priceDetails.amount;
+        }
+        return PriceParser.parse(result.price);
+    }
+
+    // Every money amount in a piece of text, in order: { amount, currency, unit, inParens, label, index }
+    static findAmounts(text) {
+        const source = String(text).replace(/\s+/g, ' ');
+        const amounts = [];
+        MONEY_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = MONEY_PATTERN.exec(source)) !== null) {
+            const before = source.slice(0, match.index);
+            const label = PRICE_LABELS.find(([, pattern]) => pattern.test(before.slice(-30)));
+            const currency = match[1]
+                ? CURRENCIES.find(([symbol]) => symbol === match[1].toUpperCase())[1]
+                : 'USD';
+            amounts.push({
+                amount: match[2] !== undefined ? parseFloat(match[2].replace(/,/g, '')) : parseInt(match[3]) / 100,
+                currency: currency,
+                unit: match[4] ? UNITS[match[4].toLowerCase()] : null,
+                inParens: /\(\s*$/.test(before),
+                label: label ? label[0] : null,
+                index: match.index
+            });
+        }
+        return amounts;
+    }
+
+    // Structured price of an item page, from the displayed price and the text of the block around it:
+    // { amount, currency, unit, regularPrice, salePrice, primePrice, isOnSale, pricePerUnit, range, text }
+    static parseDetails(priceText, blockText = null) {
+        const displayed = priceText ? PriceParser.findAmounts(priceText) : [];
+        const block = blockText ? PriceParser.findAmounts(blockText) : [];
+        if (displayed.length === 0 && block.length === 0) return null;
+        
+        const amounts = block.length > 0 ? block : displayed;
+        const labelled = (label) => amounts.find(money => money.label === label) || null;
+        
+        // "($0.31/oz)" next to the shelf price is a unit price, not another price for the item
+        const isUnitPrice = (money) => money.inParens || (money.unit && money.unit !== 'each' && amounts.some(other => !other.unit));
+        const shown = displayed.find(money => !money.label && !isUnitPrice(money)) || displayed[0];
+        // The same amount found in the block also carries its label and unit ("$7 per serving")
+        const shelf = (shown && block.find(money => money.amount === shown.amount && !money.inParens)) || shown ||
+            amounts.find(money => !money.label && !isUnitPrice(money)) || amounts[0];
+        const unitPrice = amounts.find(money => money !== shelf && isUnitPrice(money)) || null;
+        
+        const sale = labelled('sale');
+        const prime = labelled('prime');
+        const regular = labelled('regular') || (sale && shelf.amount !== sale.amount ? shelf : null);
+        const amount = sale ? sale.amount : shelf.amount;
+        const unit = shelf.unit || 'each';
+        
+        // "$3.99 - $5.99" across sizes: the amount is the low end
+        const range = displayed.length >= 2 && /\d\s*(?:-|–|to)\s*(?:US\$|USD|\$|£|€)/i.test(priceText)
+            ? { min: Math.min(displayed[0].amount, displayed[1].amount), max: Math.max(displayed[0].amount, displayed[1].amount) }
+            : null;
+        
+        return {
+            amount: range ? range.min : amount,
+            currency: shelf.currency,
+            unit: unit,
+            regularPrice: regular ? regular.amount : amount,
+            salePrice: sale ? sale.amount : null,
+            primePrice: prime ? prime.amount : null,
+            isOnSale: !!sale && (!regular || sale.amount < regular.amount),
+            pricePerUnit: unitPrice
+                ? { amount: unitPrice.amount, unit: unitPrice.unit || 'each' }
+                : (unit !== 'each' ? { amount: amount, unit: unit } : null),
+            range: range,
+            text: String(priceText || blockText).replace(/\s+/g, ' ').trim()
+        };
+    }
+}
+
+module.exports = { PriceParser };
@@ -0,0 +1,528 @@
+const { NutritionParser } = require('./nutritionParser');
+const { PriceParser } = require('./priceParser');
+const { BadgeParser } = require('./badgeParser');
+
+// Reads product data from a loaded product page using the selectors of an extraction profile.
+// Shared by the single-page scan and every agent, so there is one copy of the extraction logic.
+class ProductExtractor {
+    constructor(profile) {
+        this.profile = profile;
+    }
+
+    async extract(page) {
+        const { priceText, priceBlockText, nutritionText, ingredientsText, ratingText, reviewCountText, badgeLabels, ...data } =
+            await page.evaluate(extractFromDocument, this.profile);
+        
+        // The page only hands back text; parsing happens here, outside the browser
+        data.priceDetails = PriceParser.parseDetails(priceText, priceBlockText);
+        data.nutrition = NutritionParser.parse(nutritionText);
+        data.ingredients = NutritionParser.parseIngredients(ingredientsText);
+        data.rating = BadgeParser.parseRating(ratingText);
+        data.reviewCount = BadgeParser.parseReviewCount(reviewCountText);
+        Object.assign(data, BadgeParser.parse(badgeLabels));
+        return data;
+    }
+
+    // Deep variation scan: clicks each size/flavor option in turn and re-reads the page once it has
+    // updated, so every option gets its own price and cart state. Leaves the page on the last option.
+    // options.onVariation(index) is called before each option is read.
+    async scanVariations(page, options = {}) {
+        const selector = this.profile.fields.variations.selector;
+        const settleTimeout = options.settleTimeout || 5000;
+        const count = await page.locator(selector).count();
+        const details = [];
+        
+        for (let index = 0; index < count; index++) {
+            const variation = {
+                index: index + 1,
+                name: null,
+                contentId: null,
+                asin: null,
+                selected: false,
+                price: null,
+                priceDetails: null,
+                hasAddToCart: false,
+                isAvailable: false,
+                error: null
+            };
+            details.push(variation);
+            if (options.onVariation) {
+                options.onVariation(index);
+            }
+            
+            try {
+                // Clicking an option can re-render the picker or navigate, so buttons are re-found every time
+                const button = page.locator(selector).nth(index);
+                const info = await button.evaluate(readVariationButton);
+                variation.name = info.name || info.contentId;
+                variation.contentId = info.contentId;
+                variation.selected = info.selected;
+                
+                if (!info.selected) {
+                    const url = page.url();
+                    await button.click({ timeout: settleTimeout });
+                    // Updated once the option shows as selected or the page moved to the option's own URL
+                    await page.waitForFunction(({ selector, index, url }) => {
+                        const current = document.querySelectorAll(selector)[index];
+                        const pressed = current && ['aria-pressed', 'aria-checked', 'aria-selected', 'aria-current']
+                            .some(attribute => current.getAttribute(attribute) === 'true');
+                        return location.href !== url || pressed;
+                    }, { selector, index, url }, { timeout: settleTimeout }).catch(() => {});
+                    await page.waitForLoadState('domcontentloaded');
+                    await page.waitForTimeout(options.settleDelay || 750);
+                }
+                
+                const data = await this.extract(page);
+                variation.price = data.price;
+                variation.priceDetails = data.priceDetails;
+                variation.hasAddToCart = data.hasAddToCart;
+                variation.isAvailable = data.isAvailable;
+                
+                // Option content ids are ASINs on wholefoodsmarket.com; otherwise take it from the page URL
+                const urlAsin = page.url().match(/\/dp\/([A-Z0-9]{10})/i);
+                variation.asin = /^[A-Z0-9]{10}$/i.test(info.contentId || '')
+                    ? info.contentId.toUpperCase()
+                    : (urlAsin ? urlAsin[1].toUpperCase() : null);
+            } catch (error) {
+                variation.error = error.message;
+            }
+        }
+        
+        return details;
+    }
+}
+
+// Runs inside the browser page on one variation button: its label, content id and selected state
+function readVariationButton(button) {
+    const text = (button.innerText || button.textContent || '').trim();
+    return {
+        name: text.split('\n')[0].trim() || null,
+        contentId: button.getAttribute('data-csa-c-content-id'),
+        selected: ['aria-pressed', 'aria-checked', 'aria-selected', 'aria-current']
+            .some(attribute => button.getAttribute(attribute) === 'true')
+    };
+}
+
+// Runs inside the browser page: must stay self-contained (no closures over module scope)
+function extractFromDocument(profile) {
+    const fields = profile.fields;
+    const extractionDetails = {
+        // Which profile version the recorded selectors come from
+        selectors: { profile: `${profile.id}@${profile.version}` },
+        attempts: {},
+        fallbacks: {},
+        sections: {}
+    };
+    
+    function normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+    
+    // CSS has no text matching, so 'span:has-text("$")' (or the jQuery-only 'span:contains("$")' older
+    // profiles used, which querySelectorAll rejects) is split into a CSS selector plus the text to look for
+    function parseSelector(selector) {
+        const match = selector.match(/^(.*?):(?:has-text|contains)\((["'])(.*)\2\)$/);
+        return match ? { css: match[1] || '*', text: match[3] } : { css: selector, text: null };
+    }
+    
+    // Elements matching a selector; with a text condition, the innermost elements containing the text
+    function queryAll(selector) {
+        const { css, text } = parseSelector(selector);
+        const elements = Array.from(document.querySelectorAll(css));
+        if (text === null) {
+            return elements;
+        }
+        
+        const wanted = normalize(text);
+        return elements.filter(el => normalize(el.textContent).includes(wanted) &&
+            !Array.from(el.children).some(child => normalize(child.textContent).includes(wanted)));
+    }
+    
+    // Short CSS-like description of an element, for reporting where a section was found
+    function describe(el) {
+        const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(c => c) : [];
+        return el.tagName.toLowerCase() + classes.map(c => `.${c}`).join('');
+    }
+    
+    // Helper function to try multiple selectors with fallbacks
+    function trySelectors(selectorGroups, dataType) {
+        extractionDetails.attempts[dataType] = [];
+        
+        for (const group of selectorGroups) {
+            for (const selector of group.selectors) {
+                extractionDetails.attempts[dataType].push({
+                    selector: selector,
+                    method: group.method,
+                    found: false
+                });
+                
+                try {
+                    const elements = queryAll(selector);
+                    if (elements.length > 0) {
+                        const element = elements[0];
+                        let value = null;
+                        
+                        switch (group.method) {
+                            case 'textContent':
+                                value = element.textContent?.trim();
+                                break;
+                            case 'innerText':
+                                value = element.innerText?.trim();
+                                break;
+                            case 'exists':
+                                value = true;
+                                break;
+                            case 'attribute':
+                                value = element.getAttribute(group.attribute);
+                                break;
+                        }
+                        
+                        if (value) {
+                            extractionDetails.attempts[dataType][extractionDetails.attempts[dataType].length - 1].found = true;
+                            extractionDetails.selectors[dataType] = selector;
+                            return value;
+                        }
+                    }
+                } catch (e) {
+                    console.log(`Selector failed: ${selector}`, e.message);
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Text that follows a section heading: its next siblings up to the next heading,
+    // or the next container after its parent when the heading is wrapped on its own
+    function sectionContent(heading, spec) {
+        let text = '';
+        let node = heading.nextElementSibling;
+        while (node && !node.matches(spec.headingSelector)) {
+            text += ' ' + node.textContent;
+            node = node.nextElementSibling;
+        }
+        if (!normalize(text) && heading.parentElement && heading.parentElement.nextElementSibling) {
+            text = heading.parentElement.nextElementSibling.textContent;
+        }
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+    
+    // Finds a section (e.g. "Nutrition Facts") by a dedicated container, or by a short heading that
+    // starts with one of the expected phrases and is followed by real content. Body text that merely
+    // mentions the phrase - a recipe description talking about "ingredients" - is not a section.
+    // Returns the section's text, or null when the page has no such section.
+    function findSection(spec, dataType) {
+        for (const selector of spec.selectors || []) {
+            try {
+                const container = document.querySelector(selector);
+                if (container && normalize(container.textContent).length >= (spec.minContentLength || 1)) {
+                    extractionDetails.selectors[dataType] = selector;
+                    extractionDetails.sections[dataType] = { method: 'container', selector: selector };
+                    return container.textContent.replace(/\s+/g, ' ').trim();
+                }
+            } catch (e) {
+                console.log(`Selector failed: ${selector}`, e.message);
+            }
+        }
+        
+        const phrases = spec.headingText.map(normalize);
+        const contentPattern = spec.contentPattern ? new RegExp(spec.contentPattern, 'i') : null;
+        for (const heading of document.querySelectorAll(spec.headingSelector)) {
+            const headingText = normalize(heading.textContent);
+            if (headingText.length > (spec.maxHeadingLength || 60)) continue;
+            if (!phrases.some(phrase => headingText === phrase || headingText.startsWith(`${phrase} `) || headingText.startsWith(`${phrase}:`))) continue;
+            
+            const content = sectionContent(heading, spec);
+            if (content.length < (spec.minContentLength || 1)) continue;
+            if (contentPattern && !contentPattern.test(content)) continue;
+            
+            extractionDetails.selectors[dataType] = `${describe(heading)}:has-text("${heading.textContent.trim()}")`;
+            extractionDetails.sections[dataType] = {
+                method: 'heading',
+                heading: describe(heading),
+                headingText: heading.textContent.trim(),
+                contentPreview: content.slice(0, 80)
+            };
+            return content;
+        }
+        return null;
+    }
+    
+    // Text of the block around the displayed price, where sale, regular and unit prices sit next to it.
+    // Uses the profile's block selectors, else climbs from the price element while the text stays short.
+    function priceBlock(spec) {
+        for (const selector of spec.blockSelectors || []) {
+            try {
+                const block = document.querySelector(selector);
+                if (block) return block.textContent.replace(/\s+/g, ' ').trim();
+            } catch (e) {
+                console.log(`Selector failed: ${selector}`, e.message);
+            }
+        }
+        
+        const matched = extractionDetails.selectors.price;
+        let element = matched ? queryAll(matched)[0] : null;
+        if (!element) return null;
+        for (let level = 0; level < (spec.blockDepth || 2) && element.parentElement; level++) {
+            const parentText = normalize(element.parentElement.textContent);
+            if (parentText.length > (spec.maxBlockLength || 200)) break;
+            element = element.parentElement;
+        }
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+    
+    // A "What's Included" part: "2 x Sliced Turkey\nChoose bread: Wheat" -> name, quantity and options,
+    // plus the ASIN from the part's own attributes or the product link around it
+    function bundlePart(button) {
+        const lines = (button.innerText || button.textContent || '').split('\n').map(line => line.trim()).filter(line => line);
+        let name = lines.length > 0 ? lines[0] : null;
+        let quantity = 1;
+        
+        const quantityMatch = name && (name.match(/^(\d+)\s*(?:x|×)\s+(.+)$/i) || name.match(/^(.+?)\s*(?:x|×|qty:?)\s*(\d+)$/i));
+        if (quantityMatch) {
+            const leading = /^\d+$/.test(quantityMatch[1]);
+            quantity = parseInt(leading ? quantityMatch[1] : quantityMatch[2]);
+            name = (leading ? quantityMatch[2] : quantityMatch[1]).trim();
+        }
+        const options = lines.slice(1).filter(line => {
+            const qty = line.match(/^(?:qty|quantity):?\s*(\d+)$/i);
+            if (qty) quantity = parseInt(qty[1]);
+            return !qty;
+        });
+        
+        const link = button.closest('a[href*="/dp/"]') || button.querySelector('a[href*="/dp/"]');
+        const linkAsin = link ? (link.getAttribute('href').match(/\/dp\/([A-Z0-9]{10})/i) || [])[1] : null;
+        const contentId = button.getAttribute('data-csa-c-content-id') || button.getAttribute('data-csa-c-item-id');
+        const asin = button.getAttribute('data-asin') || linkAsin ||
+            (/^[A-Z0-9]{10}$/i.test(contentId || '') ? contentId : null);
+        
+        return {
+            name: name,
+            quantity: quantity,
+            options: options,
+            asin: asin ? asin.toUpperCase() : null,
+            contentId: contentId
+        };
+    }
+    
+    // Product gallery images: primary (first) image, alt text and count. Profiles saved before image
+    // capture have no images field, so these defaults apply to them.
+    function productImages(spec) {
+        spec = spec || {
+            selectors: ['[data-testid="product-image"] img', 'img[class*="product-image"]', 'main img[src*="/images/I/"]'],
+            placeholderPatterns: ['placeholder', 'no[-_]?image', 'image[-_]?not[-_]?available'],
+            minSize: 100
+        };
+        const placeholders = (spec.placeholderPatterns || []).map(pattern => new RegExp(pattern, 'i'));
+        const images = [];
+        const seen = new Set();
+        
+        for (const selector of spec.selectors) {
+            try {
+                for (const img of document.querySelectorAll(selector)) {
+                    const url = img.currentSrc || img.getAttribute('src') || img.getAttribute('data-src') || '';
+                    const key = url || `#${images.length}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    
+                    // Icons and badges caught by a broad selector aren't gallery images
+                    const width = img.naturalWidth || 0;
+                    const height = img.naturalHeight || 0;
+                    if (width > 1 && height > 1 && Math.max(width, height) < (spec.minSize || 0)) continue;
+                    
+                    images.push({
+                        url: url || null,
+                        alt: (img.getAttribute('alt') || '').trim(),
+                        width: width,
+                        height: height,
+                        // Blank, 1px, data: URI or a known "no image" graphic
+                        placeholder: !url || url.startsWith('data:') || (img.complete && width <= 1) ||
+                            placeholders.some(pattern => pattern.test(url))
+                    });
+                }
+            } catch (e) {
+                console.log(`Selector failed: ${selector}`, e.message);
+            }
+            if (images.length > 0) {
+                extractionDetails.selectors.images = selector;
+                break;
+            }
+        }
+        
+        const primary = images.length > 0 ? images[0] : null;
+        return {
+            primaryUrl: primary && !primary.placeholder ? primary.url : null,
+            primaryAlt: primary ? primary.alt : null,
+            count: images.filter(image => !image.placeholder).length,
+            images: images,
+            status: !primary ? 'missing' : (primary.placeholder ? 'placeholder' : 'ok')
+        };
+    }
+    
+    // Labels of the badges/icons shown on the page ("USDA Organic", a vegan icon's alt text).
+    // Icons often carry their meaning only in alt, aria-label or title.
+    function badgeLabels(spec) {
+        const labels = [];
+        for (const selector of spec.selectors) {
+            try {
+                for (const el of queryAll(selector)) {
+                    const label = el.getAttribute('aria-label') || el.getAttribute('alt') || el.getAttribute('title') || el.textContent;
+                    const text = (label || '').replace(/\s+/g, ' ').trim();
+                    if (text && text.length <= (spec.maxLength || 40)) {
+                        labels.push(text);
+                    }
+                }
+            } catch (e) {
+                console.log(`Selector failed: ${selector}`, e.message);
+            }
+        }
+        if (labels.length > 0) {
+            extractionDetails.selectors.badges = spec.selectors.join(', ');
+        }
+        return labels;
+    }
+    
+    // Profiles saved before section matching only had { textSearch: { selector, text } }
+    function sectionSpec(field) {
+        if (field.section) {
+            return field.section;
+        }
+        return {
+            headingSelector: field.textSearch.selector,
+            headingText: [field.textSearch.text]
+        };
+    }
+    
+    // Extract all data
+    const productName = trySelectors(fields.name.groups, 'name');
+    const price = trySelectors(fields.price.groups, 'price');
+    const priceBlockText = price ? priceBlock(fields.price) : null;
+    const nutritionText = findSection(sectionSpec(fields.nutrition), 'nutrition');
+    const ingredientsText = findSection(sectionSpec(fields.ingredients), 'ingredients');
+    const hasAddToCart = trySelectors(fields.addToCart.groups, 'addToCart') || false;
+    const images = productImages(fields.images);
+    
+    // Ratings, reviews and badges are optional profile fields (older profiles don't have them)
+    const ratingText = fields.rating ? trySelectors(fields.rating.groups, 'rating') : null;
+    const reviewCountText = fields.reviewCount ? trySelectors(fields.reviewCount.groups, 'reviewCount') : null;
+    const badges = fields.badges ? badgeLabels(fields.badges) : [];
+    
+    // Clean up price (remove extra whitespace, ensure it matches the profile's price pattern)
+    let cleanPrice = null;
+    if (price) {
+        cleanPrice = price.replace(/\s+/g, ' ').trim();
+        if (fields.price.pattern && !new RegExp(fields.price.pattern).test(cleanPrice)) {
+            cleanPrice = null;
+        }
+    }
+    
+    // Product Variations Detection (size/flavor options)
+    const variationButtons = document.querySelectorAll(fields.variations.selector);
+    const variationCount = variationButtons.length;
+    
+    // Extract variation details if available
+    const variations = [];
+    variationButtons.forEach((button, index) => {
+        try {
+            const contentId = button.getAttribute('data-csa-c-content-id');
+            const slotId = button.getAttribute('data-csa-c-slot-id');
+            const buttonText = button.textContent?.trim();
+            
+            // Try to extract price from button if available
+            const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
+            const extractedPrice = priceMatch ? priceMatch[0] : null;
+            
+            // Try to extract size/variation name
+            const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
+            const variationName = lines && lines.length > 0 ? lines[0] : contentId;
+            
+            variations.push({
+                index: index + 1,
+                name: variationName,
+                contentId: contentId,
+                slotId: slotId,
+                price: extractedPrice,
+                fullText: buttonText
+            });
+        } catch (e) {
+            console.log(`Error extracting variation ${index + 1}:`, e.message);
+        }
+    });
+    
+    extractionDetails.variations = {
+        count: variationCount,
+        details: variations,
+        selectors: fields.variations.selector
+    };
+    
+    // Bundle Product Detection (What's Included section)
+    let isBundle = false;
+    let bundlePartsCount = 0;
+    const bundleParts = [];
+    
+    const bundleHeadings = document.querySelectorAll(fields.bundle.headingSelector);
+    for (const heading of bundleHeadings) {
+        if (heading.textContent && heading.textContent.toLowerCase().includes(fields.bundle.headingText.toLowerCase())) {
+            isBundle = true;
+            extractionDetails.selectors.bundle = `${fields.bundle.headingSelector} containing "${fields.bundle.headingText}"`;
+            
+            // Find the next sibling or parent container that contains the parts
+            let container = heading.nextElementSibling;
+            if (!container) {
+                container = heading.parentElement?.nextElementSibling;
+            }
+            
+            if (container) {
+                const bundleButtons = container.querySelectorAll(fields.bundle.partSelector);
+                bundlePartsCount = bundleButtons.length;
+                
+                // Extract bundle part details, resolved to the product behind each part where the page says
+                bundleButtons.forEach((button, index) => {
+                    try {
+                        bundleParts.push({
+                            index: index + 1,
+                            text: button.textContent?.trim(),
+                            className: button.className,
+                            id: button.id,
+                            ...bundlePart(button)
+                        });
+                    } catch (e) {
+                        console.log(`Error extracting bundle part ${index + 1}:`, e.message);
+                    }
+                });
+            }
+            break; // Found the section, no need to continue
+        }
+    }
+    
+    extractionDetails.bundle = {
+        isBundle: isBundle,
+        partsCount: bundlePartsCount,
+        parts: bundleParts,
+        selectors: isBundle ? `${fields.bundle.headingSelector} + container ${fields.bundle.partSelector}` : null
+    };
+    
+    return {
+        name: productName,
+        price: cleanPrice,
+        priceText: price,
+        priceBlockText: priceBlockText,
+        hasNutritionFacts: nutritionText !== null,
+        hasIngredients: ingredientsText !== null,
+        nutritionText: nutritionText,
+        ingredientsText: ingredientsText,
+        hasAddToCart: hasAddToCart,
+        isAvailable: hasAddToCart, // If add to cart exists, item is likely available
+        images: images,
+        ratingText: ratingText,
+        reviewCountText: reviewCountText,
+        badgeLabels: badges,
+        variationCount: variationCount,
+        variations: variations,
+        isBundle: isBundle,
+        bundlePartsCount: bundlePartsCount,
+        bundleParts: bundleParts,
+        extractionDetails: extractionDetails
+    };
+}
+
+module.exports = { ProductExtractor };
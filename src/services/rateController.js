@@ -0,0 +1,209 @@
+// HTTP statuses the site uses to push back on a scraper
+const THROTTLE_STATUSES = new Set([429, 503]);
+
+// Recent page loads the controller judges the site's health by
+const WINDOW_SIZE = 20;
+
+// Page loads to wait after an adjustment before judging again, so one burst of errors
+// reported by several agents at once only counts once
+const COOLDOWN_LOADS = 3;
+
+// Clean page loads in a row before concurrency or speed is raised again
+const HEALTHY_STREAK = 15;
+
+// Share of timed out loads in the window that counts as the site struggling
+const TIMEOUT_RATE = 0.25;
+
+// Average load time, as a multiple of the scan's early baseline, that counts as slowing down
+const SLOW_LOAD_FACTOR = 2;
+const BASELINE_LOADS = 10;
+
+const MIN_DELAY_STEP = 1000;
+const MAX_DELAY = 30000;
+
+// Adapts the number of working agents and the delays between items and stores to how the site
+// responds: backs off quickly (halves agents, doubles delays) when throttled and creeps back up
+// one step at a time while loads stay healthy. The configured values are the ceiling for agents
+// and the floor for delays.
+class RateController {
+    constructor(settings = {}) {
+        this.enabled = settings.adaptiveRateControl !== false;
+        this.maxConcurrency = Math.max(1, settings.maxConcurrentAgents || 1);
+        this.baseItemDelay = settings.delayBetweenItems || 0;
+        this.baseStoreDelay = settings.delayBetweenStores || 0;
+        
+        this.concurrency = this.maxConcurrency;
+        this.itemDelay = this.baseItemDelay;
+        this.storeDelay = this.baseStoreDelay;
+        
+        this.window = [];
+        this.loadsSinceAdjustment = COOLDOWN_LOADS;
+        this.healthyStreak = 0;
+        this.baselineSamples = [];
+        this.baselineLoadTime = null;
+        
+        this.adjustments = [];
+        this.onAdjust = null; // (adjustment) => void
+    }
+
+    // Records one page load attempt ({ success, httpStatus, error, loadTime } - an attemptHistory entry)
+    // and returns the adjustment it triggered, if any
+    observe(attempt) {
+        if (!this.enabled) return null;
+        
+        const signal = this.classify(attempt);
+        this.window.push({ signal, loadTime: attempt.loadTime });
+        if (this.window.length > WINDOW_SIZE) {
+            this.window.shift();
+        }
+        this.loadsSinceAdjustment++;
+        this.healthyStreak = signal === 'ok' ? this.healthyStreak + 1 : 0;
+        
+        if (signal === 'ok' && this.baselineLoadTime === null && attempt.loadTime) {
+            this.baselineSamples.push(attempt.loadTime);
+            if (this.baselineSamples.length >= BASELINE_LOADS) {
+                this.baselineLoadTime = this.average(this.baselineSamples);
+            }
+        }
+        
+        if (this.loadsSinceAdjustment < COOLDOWN_LOADS) {
+            return null;
+        }
+        
+        if (signal === 'throttled') {
+            return this.backOff(`site returned HTTP ${attempt.httpStatus}`, true);
+        }
+        
+        const timeouts = this.window.filter(entry => entry.signal === 'timeout').length;
+        if (this.window.length >= 5 && timeouts / this.window.length >= TIMEOUT_RATE) {
+            return this.backOff(`${timeouts} of the last ${this.window.length} page loads timed out`, false);
+        }
+        
+        const recentLoads = this.window.filter(entry => entry.signal === 'ok' && entry.loadTime).slice(-5).map(entry => entry.loadTime);
+        if (this.baselineLoadTime && recentLoads.length === 5 &&
+            this.average(recentLoads) > this.baselineLoadTime * SLOW_LOAD_FACTOR) {
+            return this.slowDown(`pages loading in ${Math.round(this.average(recentLoads))}ms (baseline ${Math.round(this.baselineLoadTime)}ms)`);
+        }
+        
+        if (this.healthyStreak >= HEALTHY_STREAK) {
+            return this.speedUp(`${this.healthyStreak} clean page loads in a row`);
+        }
+        
+        return null;
+    }
+
+    // 'throttled', 'timeout', 'ok' or 'failed' (any other failure - says nothing about the site's load)
+    classify(attempt) {
+        if (THROTTLE_STATUSES.has(attempt.httpStatus)) {
+            return 'throttled';
+        }
+        if (!attempt.success && attempt.error && attempt.error.toLowerCase().includes('timeout')) {
+            return 'timeout';
+        }
+        return attempt.success ? 'ok' : 'failed';
+    }
+
+    // Throttling halves the agents; timeouts take one away
+    backOff(reason, throttled) {
+        const concurrency = throttled ? Math.ceil(this.concurrency / 2) : this.concurrency - 1;
+        return this.adjust('down', reason, {
+            concurrency: Math.max(1, concurrency),
+            itemDelay: this.increaseDelay(this.itemDelay),
+            storeDelay: this.increaseDelay(this.storeDelay)
+        });
+    }
+
+    slowDown(reason) {
+        return this.adjust('down', reason, {
+            concurrency: this.concurrency,
+            itemDelay: this.increaseDelay(this.itemDelay),
+            storeDelay: this.storeDelay
+        });
+    }
+
+    // Delays come back down first; agents are added only once the delays are at their configured values
+    speedUp(reason) {
+        if (this.itemDelay > this.baseItemDelay || this.storeDelay > this.baseStoreDelay) {
+            return this.adjust('up', reason, {
+                concurrency: this.concurrency,
+                itemDelay: this.reduceDelay(this.itemDelay, this.baseItemDelay),
+                storeDelay: this.reduceDelay(this.storeDelay, this.baseStoreDelay)
+            });
+        }
+        
+        if (this.concurrency < this.maxConcurrency) {
+            return this.adjust('up', reason, {
+                concurrency: this.concurrency + 1,
+                itemDelay: this.itemDelay,
+                storeDelay: this.storeDelay
+            });
+        }
+        
+        // Already at the configured speed; start counting a new streak
+        this.healthyStreak = 0;
+        return null;
+    }
+
+    increaseDelay(delay) {
+        return Math.min(MAX_DELAY, Math.max(delay * 2, delay + MIN_DELAY_STEP));
+    }
+
+    // Halves the delay, snapping back to the configured value once within a step of it
+    reduceDelay(delay, baseDelay) {
+        const halved = Math.round(delay / 2);
+        return halved - baseDelay < MIN_DELAY_STEP ? baseDelay : halved;
+    }
+
+    adjust(direction, reason, next) {
+        const changes = [];
+        if (next.concurrency !== this.concurrency) {
+            changes.push(`agents ${this.concurrency} → ${next.concurrency}`);
+        }
+        if (next.itemDelay !== this.itemDelay) {
+            changes.push(`item delay ${this.itemDelay}ms → ${next.itemDelay}ms`);
+        }
+        if (next.storeDelay !== this.storeDelay) {
+            changes.push(`store delay ${this.storeDelay}ms → ${next.storeDelay}ms`);
+        }
+        
+        this.loadsSinceAdjustment = 0;
+        this.healthyStreak = 0;
+        this.window = [];
+        
+        // Nothing left to lower or raise (e.g. one agent at the maximum delay)
+        if (changes.length === 0) {
+            return null;
+        }
+        
+        this.concurrency = next.concurrency;
+        this.itemDelay = next.itemDelay;
+        this.storeDelay = next.storeDelay;
+        
+        const adjustment = {
+            timestamp: new Date().toISOString(),
+            direction,
+            reason,
+            concurrency: this.concurrency,
+            itemDelay: this.itemDelay,
+            storeDelay: this.storeDelay,
+            message: `${direction === 'down' ? '🐢' : '🐇'} Rate control: ${reason} - ${changes.join(', ')}`
+        };
+        this.adjustments.push(adjustment);
+        console.log(adjustment.message);
+        
+        if (this.onAdjust) {
+            this.onAdjust(adjustment);
+        }
+        return adjustment;
+    }
+
+    getLastAdjustment() {
+        return this.adjustments.length > 0 ? this.adjustments[this.adjustments.length - 1] : null;
+    }
+
+    average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+module.exports = { RateController };
@@ -0,0 +1,318 @@
+const { PriceParser } = require('./priceParser');
+
+// Kinds of change reported between two item-mode scans
+const CHANGE_TYPES = {
+    PRICE_CHANGED: 'Price Changed',
+    BECAME_UNAVAILABLE: 'Became Unavailable',
+    BECAME_AVAILABLE: 'Became Available',
+    ADD_TO_CART_REMOVED: 'Add to Cart Removed',
+    ADD_TO_CART_ADDED: 'Add to Cart Added',
+    NUTRITION_REMOVED: 'Nutrition Facts Removed',
+    NUTRITION_ADDED: 'Nutrition Facts Added',
+    INGREDIENTS_REMOVED: 'Ingredients Removed',
+    INGREDIENTS_ADDED: 'Ingredients Added',
+    VARIATIONS_CHANGED: 'Variation Count Changed',
+    BUNDLE_PARTS_CHANGED: 'Bundle Parts Changed',
+    SCAN_FAILED: 'Scan Failed',
+    SCAN_RECOVERED: 'Scan Recovered',
+    NEW_ITEM: 'New Item',
+    MISSING_ITEM: 'Missing From Current Scan'
+};
+
+// Kinds of change reported between two merchandising scans
+const PLACEMENT_CHANGE_TYPES = {
+    SHOVELER_ADDED: 'Shoveler Added',
+    SHOVELER_REMOVED: 'Shoveler Removed',
+    TITLE_CHANGED: 'Title Changed',
+    ASIN_ADDED: 'ASIN Added',
+    ASIN_REMOVED: 'ASIN Removed',
+    ASINS_REORDERED: 'ASINs Reordered',
+    STORE_NOT_COMPARABLE: 'Store Not Comparable',
+    NEW_STORE: 'New Store',
+    MISSING_STORE: 'Missing From Current Scan'
+};
+
+// Yes/no page features compared between scans: [field, type when lost, type when gained]
+const FLAG_FIELDS = [
+    ['isAvailable', CHANGE_TYPES.BECAME_UNAVAILABLE, CHANGE_TYPES.BECAME_AVAILABLE],
+    ['hasAddToCart', CHANGE_TYPES.ADD_TO_CART_REMOVED, CHANGE_TYPES.ADD_TO_CART_ADDED],
+    ['hasNutritionFacts', CHANGE_TYPES.NUTRITION_REMOVED, CHANGE_TYPES.NUTRITION_ADDED],
+    ['hasIngredients', CHANGE_TYPES.INGREDIENTS_REMOVED, CHANGE_TYPES.INGREDIENTS_ADDED]
+];
+
+// Counts compared between scans: [field, change type]
+const COUNT_FIELDS = [
+    ['variationCount', CHANGE_TYPES.VARIATIONS_CHANGED],
+    ['bundlePartsCount', CHANGE_TYPES.BUNDLE_PARTS_CHANGED]
+];
+
+class ResultDiff {
+    // Compare a baseline item-mode result set against a newer one, matched per (store, ASIN)
+    compare(baselineResults, currentResults) {
+        const baseline = this.indexResults(baselineResults);
+        const current = this.indexResults(currentResults);
+        const changes = [];
+        let unchanged = 0;
+        
+        for (const [key, after] of current) {
+            const before = baseline.get(key);
+            if (!before) {
+                changes.push(this.createChange(after, CHANGE_TYPES.NEW_ITEM, '', after.success ? 'SCANNED' : 'FAILED'));
+                continue;
+            }
+            
+            const itemChanges = this.compareItem(before, after);
+            if (itemChanges.length === 0) {
+                unchanged++;
+            }
+            changes.push(...itemChanges);
+        }
+        
+        for (const [key, before] of baseline) {
+            if (!current.has(key)) {
+                changes.push(this.createChange(before, CHANGE_TYPES.MISSING_ITEM, before.success ? 'SCANNED' : 'FAILED', ''));
+            }
+        }
+        
+        changes.sort((a, b) => a.store.localeCompare(b.store) || a.asin.localeCompare(b.asin));
+        
+        return {
+            mode: 'item',
+            changes: changes,
+            baselineCount: baseline.size,
+            currentCount: current.size,
+            unchangedCount: unchanged,
+            changedItemCount: new Set(changes.map(c => `${c.store}|${c.asin}`)).size
+        };
+    }
+
+    compareItem(before, after) {
+        // Only a successful scan on both sides says anything about the page itself
+        if (before.success && !after.success) {
+            return [this.createChange(after, CHANGE_TYPES.SCAN_FAILED, 'SUCCESS', after.error || 'FAILED')];
+        }
+        if (!before.success) {
+            return after.success
+                ? [this.createChange(after, CHANGE_TYPES.SCAN_RECOVERED, before.error || 'FAILED', 'SUCCESS')]
+                : [];
+        }
+        
+        const changes = [];
+        
+        const beforePrice = PriceParser.fromResult(before);
+        const afterPrice = PriceParser.fromResult(after);
+        if (beforePrice !== afterPrice) {
+            const change = this.createChange(after, CHANGE_TYPES.PRICE_CHANGED, before.price || 'N/A', after.price || 'N/A');
+            if (beforePrice !== null && afterPrice !== null) {
+                change.difference = Math.round((afterPrice - beforePrice) * 100) / 100;
+                change.percentChange = beforePrice > 0 ? (afterPrice - beforePrice) / beforePrice : null;
+            }
+            changes.push(change);
+        }
+        
+        FLAG_FIELDS.forEach(([field, lostType, gainedType]) => {
+            if (!!before[field] !== !!after[field]) {
+                const type = before[field] ? lostType : gainedType;
+                changes.push(this.createChange(after, type, before[field] ? 'YES' : 'NO', after[field] ? 'YES' : 'NO'));
+            }
+        });
+        
+        COUNT_FIELDS.forEach(([field, type]) => {
+            const beforeCount = before[field] || 0;
+            const afterCount = after[field] || 0;
+            if (beforeCount !== afterCount) {
+                const change = this.createChange(after, type, beforeCount, afterCount);
+                change.difference = afterCount - beforeCount;
+                changes.push(change);
+            }
+        });
+        
+        return changes;
+    }
+
+    createChange(result, changeType, before, after) {
+        return {
+            store: result.store,
+            asin: result.asin,
+            name: result.extractedName || result.name || '',
+            changeType: changeType,
+            before: before,
+            after: after,
+            difference: null,
+            percentChange: null
+        };
+    }
+
+    // Compare shoveler placements per store between two merchandising scans
+    compareMerchandising(baselineResults, currentResults) {
+        const baseline = this.indexMerchandisingResults(baselineResults);
+        const current = this.indexMerchandisingResults(currentResults);
+        const changes = [];
+        const unchangedStores = [];
+        
+        for (const [store, after] of current) {
+            const before = baseline.get(store);
+            if (!before) {
+                changes.push(this.createPlacementChange(store, null, PLACEMENT_CHANGE_TYPES.NEW_STORE, '', '', `${(after.shovelers || []).length} shovelers`));
+                continue;
+            }
+            
+            const storeChanges = this.compareStorePlacements(store, before, after);
+            if (storeChanges.length === 0) {
+                unchangedStores.push(store);
+            }
+            changes.push(...storeChanges);
+        }
+        
+        for (const [store, before] of baseline) {
+            if (!current.has(store)) {
+                changes.push(this.createPlacementChange(store, null, PLACEMENT_CHANGE_TYPES.MISSING_STORE, '', `${(before.shovelers || []).length} shovelers`, ''));
+            }
+        }
+        
+        const countOf = (type) => changes.filter(change => change.changeType === type).length;
+        
+        return {
+            mode: 'merchandising',
+            changes: changes,
+            baselineCount: baseline.size,
+            currentCount: current.size,
+            unchangedStores: unchangedStores,
+            changedStoreCount: new Set(changes.map(change => change.store)).size,
+            shovelersAdded: countOf(PLACEMENT_CHANGE_TYPES.SHOVELER_ADDED),
+            shovelersRemoved: countOf(PLACEMENT_CHANGE_TYPES.SHOVELER_REMOVED),
+            asinsAdded: countOf(PLACEMENT_CHANGE_TYPES.ASIN_ADDED),
+            asinsRemoved: countOf(PLACEMENT_CHANGE_TYPES.ASIN_REMOVED)
+        };
+    }
+
+    compareStorePlacements(store, before, after) {
+        // A failed store page has no placements, so comparing it would report every shoveler as removed
+        if (!before.success || !after.success) {
+            return [this.createPlacementChange(store, null, PLACEMENT_CHANGE_TYPES.STORE_NOT_COMPARABLE, '',
+                before.success ? 'SUCCESS' : 'FAILED', after.success ? 'SUCCESS' : 'FAILED', after.error || before.error || '')];
+        }
+        
+        const changes = [];
+        const { matched, added, removed } = this.matchShovelers(before.shovelers || [], after.shovelers || []);
+        
+        removed.forEach(shoveler => {
+            changes.push(this.createPlacementChange(store, shoveler, PLACEMENT_CHANGE_TYPES.SHOVELER_REMOVED, '', `${shoveler.asins.length} ASINs`, ''));
+        });
+        added.forEach(shoveler => {
+            changes.push(this.createPlacementChange(store, shoveler, PLACEMENT_CHANGE_TYPES.SHOVELER_ADDED, '', '', `${shoveler.asins.length} ASINs`));
+        });
+        
+        matched.forEach(([oldShoveler, newShoveler]) => {
+            if ((oldShoveler.title || '') !== (newShoveler.title || '')) {
+                changes.push(this.createPlacementChange(store, newShoveler, PLACEMENT_CHANGE_TYPES.TITLE_CHANGED, '', oldShoveler.title, newShoveler.title));
+            }
+            
+            const oldAsins = oldShoveler.asins || [];
+            const newAsins = newShoveler.asins || [];
+            const oldSet = new Set(oldAsins);
+            const newSet = new Set(newAsins);
+            
+            oldAsins.filter(asin => !newSet.has(asin)).forEach(asin => {
+                changes.push(this.createPlacementChange(store, newShoveler, PLACEMENT_CHANGE_TYPES.ASIN_REMOVED, asin, `#${oldAsins.indexOf(asin) + 1}`, ''));
+            });
+            newAsins.filter(asin => !oldSet.has(asin)).forEach(asin => {
+                changes.push(this.createPlacementChange(store, newShoveler, PLACEMENT_CHANGE_TYPES.ASIN_ADDED, asin, '', `#${newAsins.indexOf(asin) + 1}`));
+            });
+            
+            // Reordering only looks at ASINs on both sides, so adds/removes don't count as moves
+            const oldOrder = oldAsins.filter(asin => newSet.has(asin));
+            const newOrder = newAsins.filter(asin => oldSet.has(asin));
+            if (oldOrder.join(',') !== newOrder.join(',')) {
+                const moves = newOrder
+                    .filter((asin, index) => oldOrder[index] !== asin)
+                    .map(asin => `${asin} #${oldAsins.indexOf(asin) + 1}→#${newAsins.indexOf(asin) + 1}`);
+                changes.push(this.createPlacementChange(store, newShoveler, PLACEMENT_CHANGE_TYPES.ASINS_REORDERED, '',
+                    oldOrder.join(', '), newOrder.join(', '), moves.join('; ')));
+            }
+        });
+        
+        return changes;
+    }
+
+    // Pair shovelers across scans: by DOM id when the page gave one, otherwise by title
+    matchShovelers(oldShovelers, newShovelers) {
+        const matched = [];
+        const unmatchedOld = [...oldShovelers];
+        const unmatchedNew = [];
+        
+        const takeMatch = (predicate) => {
+            const index = unmatchedOld.findIndex(predicate);
+            return index === -1 ? null : unmatchedOld.splice(index, 1)[0];
+        };
+        
+        newShovelers.forEach(shoveler => {
+            const match = this.hasStableCarouselId(shoveler)
+                ? takeMatch(old => old.carouselId === shoveler.carouselId)
+                : null;
+            if (match) {
+                matched.push([match, shoveler]);
+            } else {
+                unmatchedNew.push(shoveler);
+            }
+        });
+        
+        const added = [];
+        unmatchedNew.forEach(shoveler => {
+            const title = this.normalizeTitle(shoveler.title);
+            const match = title ? takeMatch(old => this.normalizeTitle(old.title) === title) : null;
+            if (match) {
+                matched.push([match, shoveler]);
+            } else {
+                added.push(shoveler);
+            }
+        });
+        
+        return { matched, added, removed: unmatchedOld };
+    }
+
+    // Fallback ids ("carousel-<index>") are positional and shift whenever a shoveler is added above
+    hasStableCarouselId(shoveler) {
+        return !!shoveler.carouselId && !/^carousel-\d+$/.test(shoveler.carouselId);
+    }
+
+    normalizeTitle(title) {
+        return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    createPlacementChange(store, shoveler, changeType, asin, before, after, detail = '') {
+        return {
+            store: store,
+            shoveler: shoveler ? shoveler.title || '' : '',
+            carouselId: shoveler ? shoveler.carouselId || '' : '',
+            changeType: changeType,
+            asin: asin,
+            before: before,
+            after: after,
+            detail: detail
+        };
+    }
+
+    indexMerchandisingResults(results) {
+        const index = new Map();
+        results
+            .filter(result => result.mode === 'merchandising' && result.store)
+            .forEach(result => {
+                index.set(String(result.store).toUpperCase(), result);
+            });
+        return index;
+    }
+
+    // Merchandising rows have no ASIN and are ignored; a later duplicate replaces an earlier one
+    indexResults(results) {
+        const index = new Map();
+        results
+            .filter(result => result.asin && result.mode !== 'merchandising')
+            .forEach(result => {
+                index.set(`${String(result.store).toUpperCase()}|${String(result.asin).toUpperCase()}`, result);
+            });
+        return index;
+    }
+}
+
+module.exports = { ResultDiff, CHANGE_TYPES, PLACEMENT_CHANGE_TYPES };
@@ -0,0 +1,307 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const fs = require('fs').promises;
+const { DIETARY_ATTRIBUTES } = require('./badgeParser');
+
+// Maps "Scan Results" worksheet headers (see ExcelExporter.createResultsWorksheet) back to result fields
+const ITEM_COLUMN_MAP = {
+    'Store Code': 'store',
+    'ASIN': 'asin',
+    'Item Name': 'name',
+    'Extracted Name': 'extractedName',
+    'Price': 'price',
+    'Has Nutrition Facts': 'hasNutritionFacts',
+    'Has Ingredients': 'hasIngredients',
+    'Has Add to Cart': 'hasAddToCart',
+    'Is Available': 'isAvailable',
+    'Variations': 'variationCount',
+    'Is Bundle': 'isBundle',
+    'Bundle Parts': 'bundlePartsCount',
+    'Unavailable Components': 'bundleUnavailableCount',
+    'Rating': 'rating',
+    'Review Count': 'reviewCount',
+    'Dietary Attributes': 'dietaryAttributes',
+    'Badges': 'badges',
+    'Image File': 'imageFile',
+    'Status': 'status',
+    'Attempts': 'attempts',
+    'Load Time (ms)': 'loadTime',
+    'Error Message': 'error',
+    'Timestamp': 'timestamp',
+    'Screenshot': 'screenshotPath'
+};
+
+// Price detail columns, read back into result.priceDetails (range and the raw price text aren't exported)
+const PRICE_COLUMN_MAP = {
+    'Price Amount': 'amount',
+    'Currency': 'currency',
+    'Price Unit': 'unit',
+    'Regular Price': 'regularPrice',
+    'Sale Price': 'salePrice',
+    'Prime Price': 'primePrice',
+    'On Sale': 'isOnSale',
+    'Unit Price': 'unitPrice',
+    'Unit Price Per': 'unitPriceUnit'
+};
+
+// Image columns, read back into a result.images summary (the gallery itself isn't exported)
+const IMAGE_COLUMN_MAP = {
+    'Image Status': 'status',
+    'Image Count': 'count',
+    'Primary Image Alt': 'primaryAlt',
+    'Primary Image': 'primaryUrl'
+};
+
+// Columns holding a link, where the link rather than the shown file name is the value
+const HYPERLINK_COLUMNS = new Set(['Screenshot', 'Image File', 'Primary Image']);
+
+const BOOLEAN_FIELDS = ['hasNutritionFacts', 'hasIngredients', 'hasAddToCart', 'isAvailable', 'isBundle'];
+const NUMERIC_FIELDS = ['variationCount', 'bundlePartsCount', 'bundleUnavailableCount', 'reviewCount', 'attempts', 'loadTime'];
+
+class ResultImporter {
+    // Load results from an exported workbook or a JSON checkpoint
+    async load(filePath) {
+        console.log(`📂 Loading previous results from: ${filePath}`);
+        
+        const ext = path.extname(filePath).toLowerCase();
+        let results;
+        
+        if (ext === '.xlsx') {
+            results = await this.loadFromExcel(filePath);
+        } else if (ext === '.json') {
+            results = await this.loadFromJSON(filePath);
+        } else if (ext === '.jsonl') {
+            results = await this.loadFromJSONL(filePath);
+        } else {
+            throw new Error(`Unsupported previous results format: ${ext}. Use an exported .xlsx or a .json/.jsonl checkpoint.`);
+        }
+        
+        console.log(`✅ Loaded ${results.length} previous results`);
+        return results;
+    }
+
+    async loadFromJSON(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const parsed = JSON.parse(content);
+        const results = Array.isArray(parsed) ? parsed : parsed.results;
+        
+        if (!Array.isArray(results)) {
+            throw new Error('JSON checkpoint must be an array of results or an object with a "results" array');
+        }
+        
+        return results;
+    }
+
+    // One result per line, as written by ScanCheckpoint; a truncated final line is ignored
+    async loadFromJSONL(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const results = [];
+        
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                results.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable line ${index + 1} in ${path.basename(filePath)}`);
+            }
+        });
+        
+        return results;
+    }
+
+    async loadFromExcel(filePath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        
+        const itemSheet = workbook.getWorksheet('Scan Results');
+        if (itemSheet) {
+            return this.readItemWorksheet(itemSheet, path.dirname(filePath));
+        }
+        
+        const merchandisingSheet = workbook.getWorksheet('Merchandising Results');
+        if (merchandisingSheet) {
+            return this.readMerchandisingWorksheets(merchandisingSheet, workbook.getWorksheet('Shoveler Details'));
+        }
+        
+        throw new Error('Workbook does not contain a "Scan Results" or "Merchandising Results" worksheet');
+    }
+
+    readItemWorksheet(worksheet, baseDir) {
+        const headers = this.readHeaders(worksheet);
+        const results = [];
+        
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            
+            const result = {};
+            const price = {};
+            const images = {};
+            headers.forEach((header, colNumber) => {
+                const value = () => this.cellValue(row.getCell(colNumber), HYPERLINK_COLUMNS.has(header));
+                if (ITEM_COLUMN_MAP[header]) {
+                    result[ITEM_COLUMN_MAP[header]] = value();
+                } else if (PRICE_COLUMN_MAP[header]) {
+                    price[PRICE_COLUMN_MAP[header]] = value();
+                } else if (IMAGE_COLUMN_MAP[header]) {
+                    images[IMAGE_COLUMN_MAP[header]] = value();
+                }
+            });
+            
+            if (!result.store || !result.asin) return;
+            
+            BOOLEAN_FIELDS.forEach(field => {
+                result[field] = result[field] === 'YES';
+            });
+            NUMERIC_FIELDS.forEach(field => {
+                const value = parseInt(result[field]);
+                result[field] = isNaN(value) ? null : value;
+            });
+            
+            result.store = String(result.store).trim().toUpperCase();
+            result.asin = String(result.asin).trim().toUpperCase();
+            result.success = result.status === 'SUCCESS';
+            result.extractedName = result.extractedName === 'N/A' ? null : result.extractedName;
+            result.price = result.price === 'N/A' ? null : result.price;
+            result.priceDetails = this.readPriceDetails(price, result.price);
+            result.rating = this.numberOrNull(result.rating);
+            result.badges = this.splitList(result.badges);
+            result.dietaryAttributes = this.splitList(result.dietaryAttributes)
+                .map(label => DIETARY_ATTRIBUTES.find(attribute => attribute.label === label))
+                .filter(attribute => attribute)
+                .map(attribute => attribute.key);
+            result.images = images.status ? {
+                status: String(images.status).toLowerCase(),
+                count: this.numberOrNull(images.count) || 0,
+                primaryAlt: images.primaryAlt || null,
+                primaryUrl: images.primaryUrl || null,
+                images: []
+            } : null;
+            result.imageFiles = result.imageFile ? [path.resolve(baseDir, result.imageFile)] : [];
+            delete result.imageFile;
+            result.error = result.error || null;
+            result.timestamp = this.parseTimestamp(result.timestamp);
+            if (result.screenshotPath && !path.isAbsolute(result.screenshotPath)) {
+                result.screenshotPath = path.resolve(baseDir, result.screenshotPath);
+            }
+            result.mode = 'item';
+            result.importedFrom = 'excel';
+            delete result.status;
+            
+            results.push(result);
+        });
+        
+        return results;
+    }
+
+    // Exports written before the price columns existed have no amount, so no details
+    readPriceDetails(columns, priceText) {
+        const amount = this.numberOrNull(columns.amount);
+        if (amount === null) return null;
+        
+        const unitPrice = this.numberOrNull(columns.unitPrice);
+        return {
+            amount: amount,
+            currency: columns.currency || null,
+            unit: columns.unit || 'each',
+            regularPrice: this.numberOrNull(columns.regularPrice),
+            salePrice: this.numberOrNull(columns.salePrice),
+            primePrice: this.numberOrNull(columns.primePrice),
+            isOnSale: columns.isOnSale === 'YES',
+            pricePerUnit: unitPrice !== null ? { amount: unitPrice, unit: columns.unitPriceUnit || 'each' } : null,
+            range: null,
+            text: priceText
+        };
+    }
+
+    numberOrNull(value) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    // "a, b, c" cells back into a list
+    splitList(value) {
+        return value ? String(value).split(',').map(entry => entry.trim()).filter(entry => entry) : [];
+    }
+
+    readMerchandisingWorksheets(resultsSheet, detailsSheet) {
+        // Shoveler rows are stored separately, one row per shoveler
+        const shovelersByStore = new Map();
+        if (detailsSheet) {
+            detailsSheet.eachRow((row, rowNumber) => {
+                if (rowNumber === 1) return;
+                
+                const store = String(this.cellValue(row.getCell(1)) || '').trim().toUpperCase();
+                if (!store) return;
+                
+                const asins = String(this.cellValue(row.getCell(5)) || '')
+                    .split(',')
+                    .map(asin => asin.trim())
+                    .filter(asin => asin);
+                
+                if (!shovelersByStore.has(store)) {
+                    shovelersByStore.set(store, []);
+                }
+                shovelersByStore.get(store).push({
+                    title: this.cellValue(row.getCell(2)),
+                    carouselId: this.cellValue(row.getCell(3)),
+                    asins: asins,
+                    asinCount: asins.length
+                });
+            });
+        }
+        
+        const results = [];
+        resultsSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            
+            const store = String(this.cellValue(row.getCell(1)) || '').trim().toUpperCase();
+            if (!store) return;
+            
+            const shovelers = shovelersByStore.get(store) || [];
+            const loadTime = parseInt(this.cellValue(row.getCell(3)));
+            
+            results.push({
+                store: store,
+                success: this.cellValue(row.getCell(2)) === 'SUCCESS',
+                loadTime: isNaN(loadTime) ? null : loadTime,
+                timestamp: this.parseTimestamp(this.cellValue(row.getCell(7))),
+                error: this.cellValue(row.getCell(6)) || null,
+                mode: 'merchandising',
+                shovelers: shovelers,
+                totalASINs: shovelers.reduce((sum, s) => sum + s.asins.length, 0),
+                importedFrom: 'excel'
+            });
+        });
+        
+        return results;
+    }
+
+    readHeaders(worksheet) {
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, colNumber) => {
+            headers[colNumber] = cell.value ? cell.value.toString().trim() : '';
+        });
+        return headers;
+    }
+
+    cellValue(cell, preferHyperlink = false) {
+        const value = cell.value;
+        if (value === null || value === undefined) return null;
+        
+        if (typeof value === 'object') {
+            if (preferHyperlink && value.hyperlink) return value.hyperlink;
+            if (value.text !== undefined) return value.text;
+            if (value.result !== undefined) return value.result;
+            if (value instanceof Date) return value.toISOString();
+        }
+        
+        return value;
+    }
+
+    parseTimestamp(value) {
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString();
+    }
+}
+
+module.exports = { ResultImporter };
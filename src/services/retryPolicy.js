@@ -0,0 +1,69 @@
+// Failure categories recognised by the retry engine
+const FAILURE_CATEGORIES = {
+    NAVIGATION_TIMEOUT: 'navigation_timeout',
+    HTTP_5XX: 'http_5xx',
+    HTTP_4XX: 'http_4xx',
+    ERROR_PAGE: 'error_page',
+    EXTRACTION_EMPTY: 'extraction_empty',
+    UNKNOWN: 'unknown'
+};
+
+// Only transient failures are worth another attempt; a 404 or a script error will fail the same way again
+const RETRYABLE_CATEGORIES = new Set([
+    FAILURE_CATEGORIES.NAVIGATION_TIMEOUT,
+    FAILURE_CATEGORIES.HTTP_5XX,
+    FAILURE_CATEGORIES.ERROR_PAGE,
+    FAILURE_CATEGORIES.EXTRACTION_EMPTY
+]);
+
+class RetryPolicy {
+    constructor(settings = {}) {
+        // maxRetries counts additional attempts after the first one
+        this.maxRetries = Number.isInteger(settings.maxRetries) && settings.maxRetries >= 0 ? settings.maxRetries : 3;
+        this.baseDelay = settings.retryBaseDelay || 2000;
+        this.maxDelay = settings.retryMaxDelay || 30000;
+    }
+
+    get maxAttempts() {
+        return this.maxRetries + 1;
+    }
+
+    // Classify a single attempt result into one of FAILURE_CATEGORIES (null when the attempt is fine)
+    classify(result) {
+        if (!result.success) {
+            if (result.httpStatus >= 500) {
+                return FAILURE_CATEGORIES.HTTP_5XX;
+            }
+            if (result.httpStatus >= 400) {
+                return FAILURE_CATEGORIES.HTTP_4XX;
+            }
+            if (result.error === 'Item page not found or error page') {
+                return FAILURE_CATEGORIES.ERROR_PAGE;
+            }
+            if (result.error && result.error.toLowerCase().includes('timeout')) {
+                return FAILURE_CATEGORIES.NAVIGATION_TIMEOUT;
+            }
+            return FAILURE_CATEGORIES.UNKNOWN;
+        }
+
+        // Page loaded but the extractor came back empty - usually a half-rendered PDP
+        if (!result.extractedName || !result.price) {
+            return FAILURE_CATEGORIES.EXTRACTION_EMPTY;
+        }
+
+        return null;
+    }
+
+    shouldRetry(category, attempt) {
+        return category !== null && RETRYABLE_CATEGORIES.has(category) && attempt < this.maxAttempts;
+    }
+
+    // Exponential backoff with a little jitter so parallel agents don't retry in lockstep
+    getBackoffDelay(attempt) {
+        const exponential = this.baseDelay * Math.pow(2, attempt - 1);
+        const jitter = Math.floor(Math.random() * this.baseDelay * 0.25);
+        return Math.min(exponential + jitter, this.maxDelay);
+    }
+}
+
+module.exports = { RetryPolicy, FAILURE_CATEGORIES };
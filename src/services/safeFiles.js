@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+// File helpers shared by the stores that keep state as JSON files in the app's userData folder
+// (extraction profiles, scan history, checkpoints).
+
+// Writes to a temp file and renames it over the target, so a crash never leaves a half-written file
+async function writeJSONAtomic(filePath, data, indent = 0) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, indent || undefined));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+function writeJSONAtomicSync(filePath, data, indent = 0) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, indent || undefined));
+    fs.renameSync(tempPath, filePath);
+}
+
+// Path of the file for a stored id. Ids come back from the renderer, so never let one point outside the folder.
+function resolveIdPath(dir, id, extension = '.json') {
+    return path.join(dir, `${path.basename(String(id))}${extension}`);
+}
+
+module.exports = { writeJSONAtomic, writeJSONAtomicSync, resolveIdPath };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJSONAtomicSync } = require('./safeFiles');
+
+const MANIFEST_FILE = 'manifest.json';
+const RESULTS_FILE = 'results.jsonl';
+
+// Crash-safe record of a running scan: a manifest plus one JSON line per result.
+// Writes are synchronous on purpose so a crash right after a result is emitted loses nothing.
+class ScanCheckpoint {
+    constructor(rootDir, scanId) {
+        this.rootDir = rootDir;
+        this.scanId = scanId;
+        this.dir = path.join(rootDir, scanId);
+        this.manifestPath = path.join(this.dir, MANIFEST_FILE);
+        this.resultsPath = path.join(this.dir, RESULTS_FILE);
+        this.manifest = null;
+    }
+
+    static createScanId() {
+        return `scan-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    }
+
+    // Order-independent fingerprint of the (store, ASIN) list so a resume can tell if the list changed
+    static hashItemList(itemList) {
+        const keys = itemList.map(item => `${item.store}|${item.asin}`).sort();
+        return crypto.createHash('sha256').update(keys.join('\n')).digest('hex');
+    }
+
+    begin({ mode, config, itemListHash, totalItems, storeCodes }) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        
+        const now = new Date().toISOString();
+        this.manifest = {
+            scanId: this.scanId,
+            status: 'running',
+            mode: mode,
+            startedAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            appVersion: config.appVersion || null,
+            config: {
+                mode: mode,
+                storeMappingFile: config.storeMappingFile || null,
+                itemListFile: config.itemListFile || null,
+                settings: config.settings || {}
+            },
+            itemListHash: itemListHash,
+            totalItems: totalItems,
+            storeCodes: storeCodes,
+            completedStores: [],
+            resultCount: 0
+        };
+        
+        fs.writeFileSync(this.resultsPath, '');
+        this.writeManifest();
+        
+        console.log(`💾 Checkpoint started: ${this.dir}`);
+    }
+
+    appendResult(result) {
+        try {
+            fs.appendFileSync(this.resultsPath, JSON.stringify(result) + '\n');
+            this.manifest.resultCount++;
+        } catch (error) {
+            console.error('❌ Failed to append result to checkpoint:', error.message);
+        }
+    }
+
+    markStoreComplete(storeCode) {
+        if (!this.manifest.completedStores.includes(storeCode)) {
+            this.manifest.completedStores.push(storeCode);
+        }
+        this.writeManifest();
+    }
+
+    finish(status) {
+        this.manifest.status = status;
+        this.manifest.finishedAt = new Date().toISOString();
+        this.writeManifest();
+        console.log(`💾 Checkpoint marked as ${status}: ${this.dir}`);
+    }
+
+    writeManifest() {
+        try {
+            this.manifest.updatedAt = new Date().toISOString();
+            writeJSONAtomicSync(this.manifestPath, this.manifest, 2);
+        } catch (error) {
+            console.error('❌ Failed to write checkpoint manifest:', error.message);
+        }
+    }
+
+    discard() {
+        ScanCheckpoint.remove(this.dir);
+    }
+
+    static remove(dir) {
+        try {
+            fs.rmSync(dir, { recursive: true, force: true });
+            console.log(`🗑️ Checkpoint removed: ${dir}`);
+        } catch (error) {
+            console.warn(`⚠️ Failed to remove checkpoint ${dir}:`, error.message);
+        }
+    }
+
+    static readManifest(dir) {
+        return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+    }
+
+    // Results from a checkpoint, one per (store, ASIN). A resumed scan appends retried items after their
+    // carried-forward results, so the last line for an item wins. A line cut off by a crash is skipped
+    // rather than failing the whole load.
+    static readResults(dir) {
+        const resultsPath = path.join(dir, RESULTS_FILE);
+        if (!fs.existsSync(resultsPath)) {
+            return [];
+        }
+        
+        const results = new Map();
+        const lines = fs.readFileSync(resultsPath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const result = JSON.parse(line);
+                results.set(result.asin ? `${result.store}|${result.asin}` : result.store, result);
+            } catch (error) {
+                console.warn('⚠️ Skipping unreadable checkpoint line');
+            }
+        }
+        return Array.from(results.values());
+    }
+
+    static getResultsPath(dir) {
+        return path.join(dir, RESULTS_FILE);
+    }
+
+    // Every checkpoint still on disk belongs to a scan that crashed, was stopped, or was never exported
+    static findUnfinished(rootDir) {
+        if (!fs.existsSync(rootDir)) {
+            return [];
+        }
+        
+        const unfinished = [];
+        for (const entry of fs.readdirSync(rootDir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            
+            const dir = path.join(rootDir, entry.name);
+            try {
+                const manifest = ScanCheckpoint.readManifest(dir);
+                unfinished.push({ dir, manifest });
+            } catch (error) {
+                console.warn(`⚠️ Ignoring unreadable checkpoint ${dir}:`, error.message);
+            }
+        }
+        
+        return unfinished.sort((a, b) => a.manifest.startedAt.localeCompare(b.manifest.startedAt));
+    }
+}
+
+module.exports = { ScanCheckpoint };
@@ -0,0 +1,291 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SelectorHealthMonitor } = require('./selectorHealth');
+const { writeJSONAtomic, resolveIdPath } = require('./safeFiles');
+
+const INDEX_FILE = 'index.json';
+const RUNS_DIR = 'runs';
+const ITEMS_DIR = 'items';
+
+// Pending index writes per history folder. main.js opens a new ScanHistory for every request, so the
+// queue lives here rather than on the instance.
+const writeQueues = new Map();
+
+// Local record of every finished scan: a small index of run summaries, one JSON file per run, and one
+// file per ASIN listing its results across runs so item timelines don't have to open every run.
+// Plain files keep it dependency-free and readable, same as the config and checkpoints.
+class ScanHistory {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.indexPath = path.join(rootDir, INDEX_FILE);
+        this.runsDir = path.join(rootDir, RUNS_DIR);
+        this.itemsDir = path.join(rootDir, ITEMS_DIR);
+    }
+
+    static createRunId(startedAt) {
+        return `run-${new Date(startedAt || Date.now()).toISOString().replace(/[:.]/g, '-')}`;
+    }
+
+    async saveRun({ mode, status, startedAt, finishedAt, appVersion, config, results, exportPath, selectorHealth }) {
+        await fs.mkdir(this.runsDir, { recursive: true });
+        
+        const runId = ScanHistory.createRunId(startedAt);
+        const summary = {
+            runId: runId,
+            mode: mode,
+            status: status,
+            startedAt: startedAt,
+            finishedAt: finishedAt,
+            durationMs: startedAt && finishedAt ? new Date(finishedAt) - new Date(startedAt) : null,
+            appVersion: appVersion || null,
+            resultCount: results.length,
+            successCount: results.filter(r => r.success).length,
+            storeCount: new Set(results.map(r => r.store)).size,
+            itemListFile: config.itemListFile ? path.basename(config.itemListFile) : null,
+            storeMappingFile: config.storeMappingFile ? path.basename(config.storeMappingFile) : null,
+            exportPath: exportPath || null,
+            // Per-field extraction rates, the baseline the next scan's selector health is compared to
+            extractionRates: selectorHealth && selectorHealth.itemCount > 0
+                ? Object.fromEntries(selectorHealth.fields.map(field => [field.field, field.rate]))
+                : null,
+            selectorWarnings: selectorHealth ? selectorHealth.warnings.length : 0
+        };
+        
+        const run = {
+            ...summary,
+            config: {
+                mode: mode,
+                storeMappingFile: config.storeMappingFile || null,
+                itemListFile: config.itemListFile || null,
+                settings: config.settings || {}
+            },
+            selectorHealth: selectorHealth || null,
+            results: results
+        };
+        
+        await writeJSONAtomic(this.getRunPath(runId), run);
+        
+        await this.enqueueWrite(async () => {
+            await this.ensureItemIndex();
+            if (mode !== 'merchandising') {
+                await this.addToItemIndex(summary, results);
+            }
+            
+            const index = await this.readIndex();
+            index.push(summary);
+            await this.writeIndex(index);
+        });
+        
+        console.log(`🗄️ Scan saved to history: ${runId} (${results.length} results)`);
+        return summary;
+    }
+
+    // Newest first
+    async listRuns() {
+        const index = await this.readIndex();
+        return index.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
+
+    async getRun(runId) {
+        const content = await fs.readFile(this.getRunPath(runId), 'utf8');
+        return JSON.parse(content);
+    }
+
+    async deleteRun(runId) {
+        await this.enqueueWrite(async () => {
+            await this.ensureItemIndex();
+            
+            let results = [];
+            try {
+                results = (await this.getRun(runId)).results;
+            } catch (error) {
+                // Its index entries are ignored once the run is gone from the index
+                console.warn(`⚠️ Could not read history run ${runId} to unindex it:`, error.message);
+            }
+            await this.removeFromItemIndex(runId, results);
+            await fs.rm(this.getRunPath(runId), { force: true });
+            
+            const index = await this.readIndex();
+            await this.writeIndex(index.filter(run => run.runId !== runId));
+        });
+        
+        console.log(`🗑️ Scan removed from history: ${runId}`);
+    }
+
+    // Every recorded scan of an ASIN (optionally in one store), oldest first, for "when did this change?" questions
+    async getItemTimeline(asin, storeCode = null) {
+        const wantedAsin = String(asin).trim().toUpperCase();
+        const wantedStore = storeCode ? String(storeCode).trim().toUpperCase() : null;
+        
+        await this.enqueueWrite(() => this.ensureItemIndex());
+        const runIds = new Set((await this.readIndex()).map(run => run.runId));
+        
+        return (await this.readItemEntries(wantedAsin))
+            .filter(entry => runIds.has(entry.runId) && (!wantedStore || entry.store === wantedStore))
+            .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+    }
+
+    // Extraction rates of the most recent completed scan in this mode, for selector health comparisons
+    async getSelectorHealthBaseline(mode) {
+        const runs = (await this.listRuns()).filter(run => run.mode === mode && run.status === 'completed');
+        
+        for (const summary of runs) {
+            let rates = summary.extractionRates;
+            
+            // Runs recorded before extraction rates were kept still have their results
+            if (rates === undefined) {
+                try {
+                    rates = SelectorHealthMonitor.summarize((await this.getRun(summary.runId)).results);
+                } catch (error) {
+                    console.warn(`⚠️ Skipping unreadable history run ${summary.runId}:`, error.message);
+                    continue;
+                }
+            }
+            
+            if (rates) {
+                return { runId: summary.runId, startedAt: summary.startedAt, rates: rates };
+            }
+        }
+        return null;
+    }
+
+    getRunPath(runId) {
+        return resolveIdPath(this.runsDir, runId);
+    }
+
+    getItemIndexPath(asin) {
+        return resolveIdPath(this.itemsDir, asin);
+    }
+
+    static toTimelineEntry(summary, result) {
+        return {
+            runId: summary.runId,
+            startedAt: summary.startedAt,
+            store: result.store,
+            success: result.success,
+            price: result.price || null,
+            isAvailable: !!result.isAvailable,
+            hasAddToCart: !!result.hasAddToCart,
+            hasNutritionFacts: !!result.hasNutritionFacts,
+            hasIngredients: !!result.hasIngredients,
+            error: result.error || null
+        };
+    }
+
+    // asin -> results, skipping anything that isn't an item result
+    static groupByAsin(results) {
+        const groups = new Map();
+        results.forEach(result => {
+            if (!result.asin) return;
+            if (!groups.has(result.asin)) {
+                groups.set(result.asin, []);
+            }
+            groups.get(result.asin).push(result);
+        });
+        return groups;
+    }
+
+    async readItemEntries(asin) {
+        try {
+            const entries = JSON.parse(await fs.readFile(this.getItemIndexPath(asin), 'utf8'));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read scan history index for ${asin}:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    async addToItemIndex(summary, results) {
+        await fs.mkdir(this.itemsDir, { recursive: true });
+        for (const [asin, asinResults] of ScanHistory.groupByAsin(results)) {
+            const entries = await this.readItemEntries(asin);
+            asinResults.forEach(result => entries.push(ScanHistory.toTimelineEntry(summary, result)));
+            await writeJSONAtomic(this.getItemIndexPath(asin), entries);
+        }
+    }
+
+    async removeFromItemIndex(runId, results) {
+        for (const asin of ScanHistory.groupByAsin(results).keys()) {
+            const entries = (await this.readItemEntries(asin)).filter(entry => entry.runId !== runId);
+            if (entries.length > 0) {
+                await writeJSONAtomic(this.getItemIndexPath(asin), entries);
+            } else {
+                await fs.rm(this.getItemIndexPath(asin), { force: true });
+            }
+        }
+    }
+
+    // History recorded before the per-ASIN index existed gets indexed once, from its run files.
+    // The index is built in a temp folder and renamed into place so an interrupted build starts over.
+    async ensureItemIndex() {
+        try {
+            await fs.access(this.itemsDir);
+            return;
+        } catch (error) {
+            // Not built yet
+        }
+        
+        const tempDir = `${this.itemsDir}.tmp`;
+        await fs.rm(tempDir, { recursive: true, force: true });
+        await fs.mkdir(tempDir, { recursive: true });
+        
+        const entriesByAsin = new Map();
+        for (const summary of await this.readIndex()) {
+            if (summary.mode === 'merchandising') continue;
+            
+            let run;
+            try {
+                run = await this.getRun(summary.runId);
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable history run ${summary.runId}:`, error.message);
+                continue;
+            }
+            
+            ScanHistory.groupByAsin(run.results).forEach((asinResults, asin) => {
+                if (!entriesByAsin.has(asin)) {
+                    entriesByAsin.set(asin, []);
+                }
+                asinResults.forEach(result => entriesByAsin.get(asin).push(ScanHistory.toTimelineEntry(summary, result)));
+            });
+        }
+        
+        for (const [asin, entries] of entriesByAsin) {
+            await fs.writeFile(resolveIdPath(tempDir, asin), JSON.stringify(entries));
+        }
+        await fs.rename(tempDir, this.itemsDir);
+        
+        if (entriesByAsin.size > 0) {
+            console.log(`🗄️ Indexed ${entriesByAsin.size} ASINs from existing scan history`);
+        }
+    }
+
+    // Index updates are read-modify-write, so they run one at a time per history folder
+    enqueueWrite(task) {
+        const previous = writeQueues.get(this.rootDir) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        writeQueues.set(this.rootDir, next);
+        return next;
+    }
+
+    async readIndex() {
+        try {
+            const content = await fs.readFile(this.indexPath, 'utf8');
+            const index = JSON.parse(content);
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Could not read scan history index:', error.message);
+            }
+            return [];
+        }
+    }
+
+    async writeIndex(index) {
+        await fs.mkdir(this.rootDir, { recursive: true });
+        await writeJSONAtomic(this.indexPath, index);
+    }
+}
+
+module.exports = { ScanHistory };
@@ -0,0 +1,273 @@
+const { CronSchedule } = require('./cronSchedule');
+
+// How often due jobs are checked
+const TICK_INTERVAL = 30000;
+// A slot older than this when noticed was missed (app closed, machine asleep) rather than just due
+const MISSED_GRACE_PERIOD = 10 * 60 * 1000;
+// Run log entries kept in the config file
+const MAX_RUN_LOG_ENTRIES = 200;
+// Upper bound when walking through slots missed while the app was closed
+const MAX_MISSED_SLOTS = 10000;
+
+// Runs named scan jobs on cron-like schedules. Jobs and the run log live in the app config;
+// the actual scan is delegated to runJob so scheduled runs share the start-scan path.
+class ScanScheduler {
+    constructor({ loadState, saveState, runJob, isBusy, onChange }) {
+        this.loadState = loadState; // () => ({ jobs, runLog })
+        this.saveState = saveState; // ({ jobs, runLog }) => void
+        this.runJob = runJob; // async (job, runEntry) => { success, resultsCount, successCount, exportPath, error }
+        this.isBusy = isBusy; // () => boolean - true while any scan (manual or scheduled) is running
+        this.onChange = onChange || (() => {});
+        this.queue = [];
+        this.running = null;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        
+        console.log('⏰ Scan scheduler started');
+        this.tick();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    listJobs() {
+        const { jobs, runLog } = this.loadState();
+        return {
+            jobs: jobs.map(job => ({
+                ...job,
+                nextRunAt: job.enabled ? this.getNextRun(job) : null,
+                queued: this.queue.some(entry => entry.jobId === job.id),
+                running: this.running === job.id
+            })),
+            runLog: [...runLog].reverse()
+        };
+    }
+
+    saveJob(job) {
+        if (!job.name || !job.name.trim()) {
+            throw new Error('Job name is required');
+        }
+        // Throws with a readable message when the expression is invalid
+        new CronSchedule(job.schedule || '');
+        if (!job.storeMappingFile) {
+            throw new Error('Store mapping file is required');
+        }
+        if (job.mode !== 'merchandising' && !job.itemListFile) {
+            throw new Error('Item list file is required for item and competitive modes');
+        }
+        if (!job.outputDir) {
+            throw new Error('Output folder is required');
+        }
+        
+        const state = this.loadState();
+        const now = new Date().toISOString();
+        const existing = state.jobs.find(j => j.id === job.id);
+        const saved = {
+            id: existing ? existing.id : `job-${Date.now().toString(36)}`,
+            name: job.name.trim(),
+            enabled: job.enabled !== false,
+            schedule: job.schedule.trim(),
+            runMissed: job.runMissed !== false,
+            mode: job.mode || 'item',
+            storeMappingFile: job.storeMappingFile,
+            itemListFile: job.mode === 'merchandising' ? null : job.itemListFile,
+            settings: job.settings || {},
+            outputDir: job.outputDir,
+            createdAt: existing ? existing.createdAt : now,
+            // A new or rescheduled job starts counting from now, so it doesn't "catch up" on the past
+            lastScheduledFor: existing && existing.schedule === job.schedule.trim() ? existing.lastScheduledFor : now,
+            lastRunAt: existing ? existing.lastRunAt : null,
+            lastStatus: existing ? existing.lastStatus : null
+        };
+        
+        state.jobs = existing
+            ? state.jobs.map(j => (j.id === saved.id ? saved : j))
+            : [...state.jobs, saved];
+        this.saveState(state);
+        this.onChange();
+        
+        console.log(`⏰ Scheduled job saved: ${saved.name} (${saved.schedule})`);
+        return saved;
+    }
+
+    deleteJob(jobId) {
+        const state = this.loadState();
+        state.jobs = state.jobs.filter(job => job.id !== jobId);
+        this.saveState(state);
+        this.queue = this.queue.filter(entry => entry.jobId !== jobId);
+        this.onChange();
+    }
+
+    setJobEnabled(jobId, enabled) {
+        // Re-enabling starts from now; slots passed while disabled are not missed runs
+        this.updateJob(jobId, job => ({
+            ...job,
+            enabled: enabled,
+            lastScheduledFor: enabled && !job.enabled ? new Date().toISOString() : job.lastScheduledFor
+        }));
+        this.onChange();
+    }
+
+    runNow(jobId) {
+        this.enqueue(jobId, 'manual', new Date().toISOString());
+        this.drain();
+    }
+
+    getNextRun(job) {
+        try {
+            const next = new CronSchedule(job.schedule).next(new Date(job.lastScheduledFor || job.createdAt));
+            return next ? next.toISOString() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    tick() {
+        const now = new Date();
+        const { jobs } = this.loadState();
+        
+        for (const job of jobs) {
+            if (!job.enabled) continue;
+            
+            const slot = this.getLatestDueSlot(job, now);
+            if (!slot) continue;
+            
+            // Record the slot right away so a slow scan or a restart never fires it twice
+            this.updateJob(job.id, j => ({ ...j, lastScheduledFor: slot.latest.toISOString() }));
+            
+            const missed = now - slot.latest > MISSED_GRACE_PERIOD;
+            if (missed && !job.runMissed) {
+                this.appendRunLog({
+                    jobId: job.id,
+                    jobName: job.name,
+                    trigger: 'missed',
+                    scheduledFor: slot.latest.toISOString(),
+                    status: 'skipped',
+                    error: `${slot.count} scheduled run(s) missed while the app was closed`
+                });
+                continue;
+            }
+            
+            // Several missed slots collapse into a single catch-up run
+            this.enqueue(job.id, missed ? 'missed' : 'schedule', slot.latest.toISOString());
+        }
+        
+        this.drain();
+    }
+
+    // Most recent slot at or before now that hasn't fired yet, plus how many were skipped over
+    getLatestDueSlot(job, now) {
+        let schedule;
+        try {
+            schedule = new CronSchedule(job.schedule);
+        } catch (error) {
+            return null;
+        }
+        
+        let latest = null;
+        let count = 0;
+        let next = schedule.next(new Date(job.lastScheduledFor || job.createdAt));
+        while (next && next <= now && count < MAX_MISSED_SLOTS) {
+            latest = next;
+            count++;
+            next = schedule.next(next);
+        }
+        
+        return latest ? { latest, count } : null;
+    }
+
+    enqueue(jobId, trigger, scheduledFor) {
+        if (this.running === jobId || this.queue.some(entry => entry.jobId === jobId)) {
+            console.log(`⏰ Job ${jobId} is already queued or running`);
+            return;
+        }
+        this.queue.push({ jobId, trigger, scheduledFor });
+        this.onChange();
+    }
+
+    // One scan at a time; anything queued behind a manual scan waits for the next tick
+    async drain() {
+        if (this.running || this.queue.length === 0 || this.isBusy()) {
+            return;
+        }
+        
+        const entry = this.queue.shift();
+        const job = this.loadState().jobs.find(j => j.id === entry.jobId);
+        if (!job) {
+            this.drain();
+            return;
+        }
+        
+        this.running = job.id;
+        const runEntry = this.appendRunLog({
+            jobId: job.id,
+            jobName: job.name,
+            trigger: entry.trigger,
+            scheduledFor: entry.scheduledFor,
+            status: 'running'
+        });
+        console.log(`⏰ Running scheduled job "${job.name}" (${entry.trigger})`);
+        
+        let outcome;
+        try {
+            const result = await this.runJob(job, runEntry);
+            outcome = {
+                status: !result.success ? 'failed' : (result.stopped ? 'stopped' : 'completed'),
+                resultsCount: result.resultsCount || 0,
+                successCount: result.successCount || 0,
+                exportPath: result.exportPath || null,
+                error: result.error || null,
+                warning: result.warnings && result.warnings.length > 0 ? result.warnings.join('; ') : null
+            };
+        } catch (error) {
+            outcome = { status: 'failed', error: error.message };
+        }
+        
+        const finishedAt = new Date().toISOString();
+        this.updateRunLog(runEntry.id, { ...outcome, finishedAt });
+        this.updateJob(job.id, j => ({ ...j, lastRunAt: finishedAt, lastStatus: outcome.status }));
+        console.log(`⏰ Scheduled job "${job.name}" finished: ${outcome.status}`);
+        
+        this.running = null;
+        this.onChange();
+        this.drain();
+    }
+
+    updateJob(jobId, update) {
+        const state = this.loadState();
+        state.jobs = state.jobs.map(job => (job.id === jobId ? update(job) : job));
+        this.saveState(state);
+    }
+
+    appendRunLog(entry) {
+        const state = this.loadState();
+        const now = new Date().toISOString();
+        const logEntry = {
+            id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            startedAt: now,
+            finishedAt: entry.status === 'running' ? null : now,
+            ...entry
+        };
+        
+        state.runLog = [...state.runLog, logEntry].slice(-MAX_RUN_LOG_ENTRIES);
+        this.saveState(state);
+        this.onChange();
+        return logEntry;
+    }
+
+    updateRunLog(entryId, changes) {
+        const state = this.loadState();
+        state.runLog = state.runLog.map(entry => (entry.id === entryId ? { ...entry, ...changes } : entry));
+        this.saveState(state);
+    }
+}
+
+module.exports = { ScanScheduler };
@@ -3,6 +3,33 @@ const fs = require('fs').promises;
 const path = require('path');
 const csv = require('csv-parser');
 const ExcelJS = require('exceljs');
+const { RetryPolicy } = require('./retryPolicy');
+const { EvidenceArchive } = require('./evidenceArchive');
+const { ImageArchive } = require('./imageArchive');
+const { ResultImporter } = require('./resultImporter');
+const { ScanCheckpoint } = require('./scanCheckpoint');
+const { ExtractionProfileStore } = require('./extractionProfiles');
+const { ProductExtractor } = require('./productExtractor');
+const { SelectorHealthMonitor } = require('./selectorHealth');
+const { StoreWorkQueue } = require('./storeWorkQueue');
+const { RateController } = require('./rateController');
+const { AgentTelemetry } = require('./agentTelemetry');
+const { AgentWatchdog } = require('./agentWatchdog');
+
+// Send a live selector health report every this many item pages (and whenever a new warning appears)
+const SELECTOR_HEALTH_UPDATE_INTERVAL = 25;
+
+// Telemetry id of the main page, which does the work when the scan runs with a single agent
+const MAIN_AGENT_ID = 'Main';
+
+// Watchdog limits: how often one agent is rebuilt, how often an item can take an agent down with it
+// before it's recorded as failed, and how often a dead browser is relaunched within one scan
+const MAX_AGENT_RECOVERIES = 3;
+const MAX_ITEM_RECOVERIES = 2;
+const MAX_BROWSER_RELAUNCHES = 2;
+
+// How long a deep variation scan waits for the page to react to clicking an option
+const VARIATION_SETTLE_TIMEOUT = 5000;
 
 class ScannerService {
     constructor(config) {
@@ -11,12 +38,14 @@ class ScannerService {
         this.page = null;
         this.isRunning = false;
         this.shouldStop = false;
+        this.pauseGate = null; // { promise, release } while the scan is paused
+        this.pausedAt = null;
         this.storeMappings = new Map();
         this.itemList = [];
         this.results = [];
         this.csrfToken = null;
         this.csrfTokenFile = 'csrf_token.json'; // File to persist CSRF token
-        this.mode = config.mode || 'item'; // 'item' or 'merchandising'
+        this.mode = config.mode || 'item'; // 'item', 'merchandising' or 'competitive'
         this.currentProgress = {
             currentStore: null,
             itemsProcessed: 0,
@@ -29,18 +58,69 @@ class ScannerService {
         this.agents = [];
         this.activeAgents = 0;
         this.maxConcurrentAgents = config.settings?.maxConcurrentAgents || 1;
-        this.agentQueue = [];
-        this.processingQueue = [];
+        this.agentWatchdog = null;
+        this.browserRelaunch = null; // In-flight relaunch shared by every agent that finds the browser gone
+        this.browserRelaunches = 0;
+        
+        // Lowers the working agents and raises the delays when the site pushes back (settings.adaptiveRateControl)
+        this.rateController = new RateController(config.settings || {});
+        this.rateController.onAdjust = (adjustment) => {
+            this.emitProgress();
+            if (this.onRateAdjustment) {
+                this.onRateAdjustment(adjustment);
+            }
+        };
+        
+        // Live state of each agent (idle, navigating, extracting, ...) so a stuck tab can be spotted
+        this.agentTelemetry = new AgentTelemetry();
+        this.agentTelemetry.onChange = (snapshot) => {
+            if (this.onAgentTelemetry) {
+                this.onAgentTelemetry(snapshot);
+            }
+        };
+        
+        // Per-item retry engine driven by settings.maxRetries
+        this.retryPolicy = new RetryPolicy(config.settings || {});
+        
+        // Screenshot evidence archive (only created when captureScreenshots is on)
+        this.evidenceArchive = null;
+        this.imageArchive = null;
+        
+        // Results carried over from a previous run when skipExistingResults is on
+        this.priorResults = [];
+        
+        // Reads product pages using the selectors of the scan's extraction profile
+        this.productExtractor = null;
+        
+        // Selector hit rates for item-level scans; the caller may pass the previous run's rates as a baseline
+        this.selectorHealth = null;
+        
+        // Crash-safe checkpoint (only created when the caller provides checkpointDir)
+        this.checkpoint = null;
+        this.itemListHash = null;
+        
+        // How the last run ended: 'completed', 'stopped' or 'failed'
+        this.outcome = null;
+        this.stoppedAt = null;
+        this.startedAt = null;
+        this.finishedAt = null;
         
         // Callbacks for progress and results
         this.onProgress = null;
         this.onResult = null;
+        this.onSelectorHealth = null; // (report, newWarnings) => void
+        this.onRateAdjustment = null; // (adjustment) => void
+        this.onAgentTelemetry = null; // (snapshot) => void
     }
 
     async startScan() {
         try {
             this.isRunning = true;
             this.shouldStop = false;
+            this.outcome = null;
+            this.stoppedAt = null;
+            this.startedAt = new Date().toISOString();
+            this.finishedAt = null;
             this.results = [];
             
             console.log('🚀 Starting WFM Scanner Service...');
@@ -48,11 +128,48 @@ class ScannerService {
             // Load persisted CSRF token
             await this.loadPersistedCSRFToken();
             
-            // Load store mappings and item list (item list only needed for item mode)
+            // Load the selectors used to read product pages
+            await this.loadExtractionProfile();
+            
+            // Load store mappings and item list (item list only needed for item and competitive modes)
             await this.loadStoreMappings();
-            if (this.mode === 'item') {
+            if (this.isItemLevelMode()) {
                 await this.loadItemList();
             }
+            if (this.mode === 'competitive') {
+                this.expandCompetitiveItemList();
+            }
+            this.itemListHash = ScanCheckpoint.hashItemList(this.itemList);
+            
+            this.selectorHealth = this.isItemLevelMode()
+                ? new SelectorHealthMonitor({ baseline: this.config.selectorHealthBaseline || null })
+                : null;
+            
+            // Resume from a previous run by dropping work that already succeeded
+            if (this.config.settings.skipExistingResults || this.config.resumeCheckpointDir) {
+                await this.applyPriorResults();
+            }
+            
+            // Record progress to disk so a crash or closed window doesn't lose the run
+            if (this.config.checkpointDir) {
+                this.startCheckpoint();
+            }
+            
+            // Prepare the screenshot evidence folder for this scan
+            if (this.config.settings.captureScreenshots) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const evidenceDir = this.config.evidenceDir || path.join(process.cwd(), `WFM_Scan_Evidence_${timestamp}`);
+                this.evidenceArchive = new EvidenceArchive(evidenceDir);
+                await this.evidenceArchive.initialize();
+            }
+            
+            // Product images are downloaded into their own per-scan asset folder
+            if (this.config.settings.downloadImages && this.isItemLevelMode()) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const imageDir = this.config.imageDir || path.join(process.cwd(), `WFM_Scan_Images_${timestamp}`);
+                this.imageArchive = new ImageArchive(imageDir);
+                await this.imageArchive.initialize();
+            }
             
             // Initialize browser with proper positioning
             await this.initializeBrowser();
@@ -60,13 +177,38 @@ class ScannerService {
             // Start the scanning process
             await this.performScan();
             
-            console.log('✅ Scan completed successfully');
-            return this.results;
+            if (this.shouldStop) {
+                this.outcome = 'stopped';
+                console.log(`🛑 Scan stopped with ${this.results.length} results`);
+            } else {
+                this.outcome = 'completed';
+                console.log('✅ Scan completed successfully');
+            }
+            return this.getMergedResults();
             
         } catch (error) {
+            // Closing the browser on stop can make in-flight navigation throw - that's a stop, not a failure
+            if (this.shouldStop) {
+                this.outcome = 'stopped';
+                console.log(`🛑 Scan interrupted by stop request: ${error.message}`);
+                return this.getMergedResults();
+            }
+            
+            this.outcome = 'failed';
             console.error('❌ Scan failed:', error);
             throw error;
         } finally {
+            this.finishedAt = new Date().toISOString();
+            if (this.checkpoint) {
+                this.checkpoint.finish(this.outcome || 'failed');
+            }
+            if (this.evidenceArchive) {
+                await this.evidenceArchive.writeIndex();
+            }
+            if (this.imageArchive) {
+                await this.imageArchive.writeIndex();
+            }
+            this.agentTelemetry.flush();
             await this.cleanup();
             this.isRunning = false;
         }
@@ -75,10 +217,219 @@ class ScannerService {
     async stopScan() {
         console.log('🛑 Stopping scan...');
         this.shouldStop = true;
+        this.stoppedAt = new Date().toISOString();
+        
+        // Let anything held by a pause see the stop
+        if (this.pauseGate) {
+            this.pauseGate.release();
+            this.pauseGate = null;
+            this.pausedAt = null;
+        }
         await this.cleanup();
         this.isRunning = false;
     }
 
+    // Holds the store loop and agent queue once the items in flight are done. The browser, store
+    // sessions and CSRF token are left alone, so the scan picks up where it was on resume.
+    pauseScan() {
+        if (!this.isRunning || this.shouldStop || this.pauseGate) {
+            return false;
+        }
+        
+        let release;
+        const promise = new Promise(resolve => {
+            release = resolve;
+        });
+        this.pauseGate = { promise, release };
+        this.pausedAt = new Date().toISOString();
+        
+        console.log('⏸️ Scan paused - finishing items in progress');
+        this.emitProgress();
+        return true;
+    }
+
+    resumeScan() {
+        if (!this.pauseGate) {
+            return false;
+        }
+        
+        const { release } = this.pauseGate;
+        this.pauseGate = null;
+        this.pausedAt = null;
+        release();
+        
+        console.log('▶️ Scan resumed');
+        this.emitProgress();
+        return true;
+    }
+
+    isPaused() {
+        return this.pauseGate !== null;
+    }
+
+    // Called between items and stores; agentId shows the wait in the agent table
+    async waitIfPaused(agentId = null) {
+        if (!this.pauseGate) {
+            return;
+        }
+        
+        if (agentId) {
+            this.agentTelemetry.setState(agentId, 'paused');
+        }
+        while (this.pauseGate) {
+            await this.pauseGate.promise;
+        }
+        if (agentId) {
+            this.agentTelemetry.setState(agentId, 'idle');
+        }
+    }
+
+    async applyPriorResults() {
+        let previousFile = this.config.previousResultsFile;
+        
+        // Resuming an unfinished scan reads straight from its checkpoint
+        if (this.config.resumeCheckpointDir) {
+            previousFile = ScanCheckpoint.getResultsPath(this.config.resumeCheckpointDir);
+            const manifest = ScanCheckpoint.readManifest(this.config.resumeCheckpointDir);
+            if (this.isItemLevelMode() && manifest.itemListHash !== this.itemListHash) {
+                console.warn('⚠️ Item list has changed since the checkpoint was written - resuming with the current list');
+            }
+        }
+        
+        if (!previousFile) {
+            console.log('⏭️ Skip existing results is on, but no previous results file was selected - scanning everything');
+            return;
+        }
+        
+        // Item and competitive results are interchangeable - both are one result per (store, ASIN)
+        const importer = new ResultImporter();
+        const loaded = (await importer.load(previousFile))
+            .filter(result => this.isItemLevelMode()
+                ? (result.mode || 'item') !== 'merchandising'
+                : result.mode === this.mode);
+        
+        // One prior result per item; as in getMergedResults, the last one recorded wins
+        const latest = new Map();
+        loaded.forEach(result => latest.set(this.getResultKey(result.store, result.asin), result));
+        const previousResults = Array.from(latest.values());
+        
+        if (this.isItemLevelMode()) {
+            const succeeded = new Set(
+                previousResults.filter(r => r.success).map(r => this.getResultKey(r.store, r.asin))
+            );
+            const before = this.itemList.length;
+            this.itemList = this.itemList.filter(item => !succeeded.has(this.getResultKey(item.store, item.asin)));
+            console.log(`⏭️ Skipping ${before - this.itemList.length} items that already succeeded in ${path.basename(previousFile)}`);
+        } else if (this.mode === 'merchandising') {
+            const succeededStores = new Set(previousResults.filter(r => r.success).map(r => r.store));
+            let skipped = 0;
+            for (const storeCode of succeededStores) {
+                if (this.storeMappings.delete(storeCode)) {
+                    skipped++;
+                }
+            }
+            console.log(`⏭️ Skipping ${skipped} stores that already succeeded in ${path.basename(previousFile)}`);
+        }
+        
+        this.priorResults = previousResults;
+    }
+
+    // The caller passes the profile chosen for this scan; without one the built-in default is used
+    async loadExtractionProfile() {
+        const profile = this.config.extractionProfile || await ExtractionProfileStore.loadDefaultProfile();
+        this.productExtractor = new ProductExtractor(profile);
+        console.log(`🧩 Using extraction profile: ${profile.name} (${profile.id} v${profile.version})`);
+    }
+
+    startCheckpoint() {
+        const storeCodes = this.isItemLevelMode()
+            ? Array.from(new Set(this.itemList.map(item => item.store)))
+            : Array.from(this.storeMappings.keys());
+        
+        // Prior results for work that is scanned again (earlier failures) are already counted in this run's list
+        const scanKeys = new Set(this.isItemLevelMode()
+            ? this.itemList.map(item => this.getResultKey(item.store, item.asin))
+            : storeCodes);
+        const carriedOver = this.priorResults.filter(result => !scanKeys.has(this.getResultKey(result.store, result.asin))).length;
+        
+        this.checkpoint = new ScanCheckpoint(this.config.checkpointDir, ScanCheckpoint.createScanId());
+        this.checkpoint.begin({
+            mode: this.mode,
+            config: this.config,
+            itemListHash: this.itemListHash,
+            totalItems: (this.isItemLevelMode() ? this.itemList.length : storeCodes.length) + carriedOver,
+            storeCodes: storeCodes
+        });
+        
+        // Carry prior results forward so the new checkpoint alone is enough to recover this run
+        this.priorResults.forEach(result => this.checkpoint.appendResult(result));
+        
+        // The resumed checkpoint has been folded into this one
+        if (this.config.resumeCheckpointDir) {
+            ScanCheckpoint.remove(this.config.resumeCheckpointDir);
+        }
+    }
+
+    // Work this run never got to - only meaningful after a stop (or skipped store switches)
+    getUnattemptedWork() {
+        const attempted = new Set(this.results.map(r => this.getResultKey(r.store, r.asin)));
+        
+        if (this.mode === 'merchandising') {
+            const stores = Array.from(this.storeMappings.keys()).filter(storeCode => !attempted.has(storeCode));
+            return { stores, items: [] };
+        }
+        
+        const items = this.itemList
+            .filter(item => !attempted.has(this.getResultKey(item.store, item.asin)))
+            .map(item => ({ store: item.store, asin: item.asin, name: item.name }));
+        const attemptedStores = new Set(this.results.map(r => r.store));
+        const stores = Array.from(new Set(items.map(item => item.store))).filter(storeCode => !attemptedStores.has(storeCode));
+        
+        return { stores, items };
+    }
+
+    // Item and competitive modes both scan individual product pages per (store, ASIN)
+    isItemLevelMode() {
+        return this.mode === 'item' || this.mode === 'competitive';
+    }
+
+    // Competitive mode checks every ASIN in every mapped store, whatever store the list row named
+    expandCompetitiveItemList() {
+        const asins = new Map();
+        this.itemList.forEach(item => {
+            if (!asins.has(item.asin)) {
+                asins.set(item.asin, item.name);
+            }
+        });
+        
+        const storeCodes = Array.from(this.storeMappings.keys());
+        this.itemList = [];
+        for (const storeCode of storeCodes) {
+            for (const [asin, name] of asins) {
+                this.itemList.push({ store: storeCode, asin: asin, name: name });
+            }
+        }
+        
+        console.log(`🏆 Competitive mode: ${asins.size} ASINs x ${storeCodes.length} stores = ${this.itemList.length} item checks`);
+    }
+
+    getResultKey(storeCode, asin) {
+        return asin ? `${storeCode}|${asin}` : storeCode;
+    }
+
+    // Prior results first, then anything rescanned in this run replaces its older entry
+    getMergedResults() {
+        if (this.priorResults.length === 0) {
+            return this.results;
+        }
+        
+        const merged = new Map();
+        for (const result of [...this.priorResults, ...this.results]) {
+            merged.set(this.getResultKey(result.store, result.asin), result);
+        }
+        return Array.from(merged.values());
+    }
+
     async loadPersistedCSRFToken() {
         try {
             const tokenData = await fs.readFile(this.csrfTokenFile, 'utf8');
@@ -353,7 +704,7 @@ class ScannerService {
     async performScan() {
         console.log(`🔍 Starting ${this.mode} mode scan process...`);
         
-        if (this.mode === 'item') {
+        if (this.isItemLevelMode()) {
             return await this.performItemScan();
         } else if (this.mode === 'merchandising') {
             return await this.performMerchandisingScan();
@@ -410,13 +761,16 @@ class ScannerService {
             }
         }
         
-        // Initialize agents once at the beginning (they'll be reused across all stores)
-        if (this.maxConcurrentAgents > 1) {
-            await this.initializePersistentAgents();
+        // Several agents: each one runs in its own browser context and store session, so they can
+        // work on different stores at the same time
+        if (this.maxConcurrentAgents > 1 && await this.processItemsWithAgentPool()) {
+            console.log('✅ Scan process completed');
+            return;
         }
         
-        // Process each store sequentially (agents work in parallel within each store)
+        // Single agent: process each store in turn on the main page
         for (const [storeCode, items] of itemsByStore) {
+            await this.waitIfPaused(MAIN_AGENT_ID);
             if (this.shouldStop) {
                 console.log('🛑 Scan stopped by user');
                 return;
@@ -426,7 +780,6 @@ class ScannerService {
             this.currentProgress.currentStore = storeCode;
             this.emitProgress();
             
-            // Switch to store using main browser context (this affects all tabs via cookies)
             const success = await this.switchToStore(storeCode);
             if (!success) {
                 console.warn(`⚠️ Failed to switch to store ${storeCode}, skipping...`);
@@ -435,20 +788,18 @@ class ScannerService {
             
             // Wait between store switches
             if (!this.shouldStop) {
-                await this.delay(this.config.settings.delayBetweenStores);
+                await this.delay(this.rateController.storeDelay);
             }
             
-            // Process all items in this store with parallel agents (reusing existing tabs)
-            await this.processStoreItemsParallel(items, storeCode);
+            await this.processStoreItemsSequential(items, storeCode);
+            
+            if (this.checkpoint && !this.shouldStop) {
+                this.checkpoint.markStoreComplete(storeCode);
+            }
             
             console.log(`✅ Completed all items for store: ${storeCode}`);
         }
         
-        // Cleanup agents after all stores are processed
-        if (this.maxConcurrentAgents > 1) {
-            await this.cleanupAgents();
-        }
-        
         console.log('✅ Scan process completed');
     }
 
@@ -496,6 +847,7 @@ class ScannerService {
         
         // Process each store sequentially
         for (const storeCode of stores) {
+            await this.waitIfPaused();
             if (this.shouldStop) {
                 console.log('🛑 Scan stopped by user');
                 return;
@@ -508,6 +860,11 @@ class ScannerService {
             // Switch to store using main browser context
             const success = await this.switchToStore(storeCode);
             if (!success) {
+                if (this.shouldStop) {
+                    console.log('🛑 Scan stopped by user');
+                    return;
+                }
+                
                 console.warn(`⚠️ Failed to switch to store ${storeCode}, skipping...`);
                 
                 // Create error result for this store
@@ -531,12 +888,16 @@ class ScannerService {
             
             // Wait between store switches
             if (!this.shouldStop) {
-                await this.delay(this.config.settings.delayBetweenStores);
+                await this.delay(this.rateController.storeDelay);
             }
             
             // Extract merchandising data for this store
             await this.extractMerchandisingData(storeCode);
             
+            if (this.checkpoint) {
+                this.checkpoint.markStoreComplete(storeCode);
+            }
+            
             console.log(`✅ Completed merchandising analysis for store: ${storeCode}`);
         }
         
@@ -589,6 +950,12 @@ class ScannerService {
             console.log(`❌ ${storeCode} - Error extracting merchandising data: ${error.message}`);
         }
         
+        // A store cut off by a stop request is reported as not attempted rather than failed
+        if (this.shouldStop && !result.success) {
+            console.log(`⏭️ ${storeCode} interrupted by stop, listing as not attempted`);
+            return;
+        }
+        
         // Update progress
         this.currentProgress.itemsProcessed++;
         if (result.success) {
@@ -1046,46 +1413,6 @@ class ScannerService {
         }
     }
 
-    async processStoreItemsParallel(items, storeCode) {
-        console.log(`🚀 Processing ${items.length} items for store ${storeCode} with ${this.maxConcurrentAgents} parallel agents (reusing tabs)`);
-        
-        if (this.maxConcurrentAgents === 1) {
-            // Sequential processing for single agent
-            return await this.processStoreItemsSequential(items, storeCode);
-        }
-        
-        // Agents are already initialized and will be reused
-        // Just update their store context (they inherit new store via cookies)
-        for (const agent of this.agents) {
-            agent.storeCode = storeCode;
-        }
-        
-        // Create processing queue for this store only
-        this.processingQueue = items.map((item, index) => ({
-            item,
-            storeCode,
-            processed: false,
-            index
-        }));
-        
-        console.log(`📦 Created processing queue with ${this.processingQueue.length} items for store ${storeCode}`);
-        
-        // Start parallel processing with all agents working on the same store
-        const processingPromises = [];
-        const activeAgentCount = Math.min(this.maxConcurrentAgents, items.length, this.agents.length);
-        
-        for (let i = 0; i < activeAgentCount; i++) {
-            processingPromises.push(this.processStoreQueueWithAgent(i, storeCode));
-        }
-        
-        console.log(`🤖 Started ${activeAgentCount} agents for store ${storeCode} (reusing existing tabs)`);
-        
-        // Wait for all agents to complete processing this store
-        await Promise.all(processingPromises);
-        
-        console.log(`✅ All agents completed processing ${items.length} items for store ${storeCode}`);
-    }
-
     async processStoreItemsSequential(items, storeCode) {
         console.log(`🔄 Processing ${items.length} items for store ${storeCode} sequentially`);
         
@@ -1102,6 +1429,7 @@ class ScannerService {
             
             // Process batch items sequentially
             for (const item of batch) {
+                await this.waitIfPaused(MAIN_AGENT_ID);
                 if (this.shouldStop) {
                     console.log('🛑 Scan stopped by user during item processing');
                     return;
@@ -1109,8 +1437,8 @@ class ScannerService {
                 
                 await this.processItem(item);
                 
-                if (!this.shouldStop && this.config.settings.delayBetweenItems > 0) {
-                    await this.delay(this.config.settings.delayBetweenItems);
+                if (!this.shouldStop && this.rateController.itemDelay > 0) {
+                    await this.delay(this.rateController.itemDelay);
                 }
             }
             
@@ -1121,197 +1449,396 @@ class ScannerService {
         }
     }
 
-    async initializePersistentAgents() {
-        console.log(`🤖 Initializing ${this.maxConcurrentAgents} persistent agents (will be reused across all stores)...`);
-        
-        this.agents = [];
-        this.activeAgents = 0;
+    async processItemsWithAgentPool() {
+        const queue = new StoreWorkQueue(this.itemList);
+        const agentCount = Math.min(this.maxConcurrentAgents, this.itemList.length);
         
-        for (let i = 0; i < this.maxConcurrentAgents; i++) {
-            const agent = await this.createPersistentAgent(`Agent-${i + 1}`);
-            if (agent) {
-                this.agents.push(agent);
-                console.log(`✅ Agent ${agent.id} initialized (persistent tab)`);
-            } else {
-                console.error(`❌ Failed to initialize Agent-${i + 1}`);
-            }
+        await this.initializeAgents(agentCount);
+        if (this.agents.length === 0) {
+            console.warn('⚠️ No agents could be created, falling back to sequential processing');
+            return false;
         }
         
-        console.log(`🚀 ${this.agents.length} persistent agents ready (will be reused across all stores)`);
-    }
-
-    async createPersistentAgent(agentId) {
-        console.log(`🤖 Creating persistent agent ${agentId} using shared browser context...`);
+        console.log(`🚀 ${this.agents.length} agents working through ${this.itemList.length} items across ${queue.pending.size} stores`);
+        
+        // Items whose agent crashed or hung, with the number of times it happened
+        const itemRecoveries = new Map();
+        this.startAgentWatchdog();
         
         try {
-            // Use the same browser context to share cookies and session state
-            const context = this.page.context();
-            
-            // Create a new tab (page) within the same context
-            const page = await context.newPage();
-            page.setDefaultTimeout(this.config.settings.pageTimeout);
-            
-            // Set up network interception for this agent
-            await this.setupNetworkInterceptionForAgent(page, agentId);
-            
-            const agent = {
-                id: agentId,
-                context: null, // Don't store context since we're sharing it
-                page,
-                isActive: false,
-                storeCode: null, // Will be updated for each store
-                csrfToken: this.csrfToken, // Share the main CSRF token initially
-                isSharedContext: true, // Flag to indicate this is using shared context
-                isPersistent: true // Flag to indicate this agent persists across stores
-            };
-            
-            // Navigate agent to WFM catering page to establish session
-            console.log(`🌐 ${agentId} navigating to WFM catering page (persistent tab)...`);
-            await page.goto('https://www.wholefoodsmarket.com/catering', {
-                waitUntil: 'networkidle'
+            await Promise.all(this.agents.map(agent => this.runAgentQueue(agent, queue, itemRecoveries)));
+        } finally {
+            this.agentWatchdog.stop();
+            await this.cleanupAgents();
+        }
+        
+        // Every agent is gone (retired after failures, or shut out of a store) but items are still waiting.
+        // After a stop they're listed as not attempted instead.
+        if (!this.shouldStop) {
+            const stranded = queue.drainPending();
+            if (stranded.length > 0) {
+                console.warn(`⚠️ ${stranded.length} items were left without an agent to scan them, recording as failed`);
+            }
+            stranded.forEach(({ item, storeCode }) => {
+                this.recordItemResult(this.createAgentErrorResult(null, item, storeCode, 'No agent was left to scan this item'));
+                this.completeQueueItem(queue, storeCode);
             });
-            
-            // Small delay to let page settle
-            await this.delay(2000);
-            
-            console.log(`✅ Persistent agent ${agentId} created and ready (will inherit store context via cookies)`);
-            return agent;
-            
-        } catch (error) {
-            console.error(`❌ Failed to create persistent agent ${agentId}:`, error);
-            return null;
         }
+        
+        this.currentProgress.currentStore = null;
+        this.emitProgress();
+        return true;
     }
 
-    async processStoreQueueWithAgent(agentIndex, storeCode) {
-        const agent = this.agents[agentIndex];
-        if (!agent) {
-            console.error(`❌ Agent ${agentIndex} not available for store ${storeCode}`);
-            return;
-        }
+    async initializeAgents(count) {
+        console.log(`🤖 Initializing ${count} agents with isolated browser contexts...`);
         
-        console.log(`🤖 ${agent.id} starting processing for store ${storeCode}...`);
+        this.agents = [];
+        this.activeAgents = 0;
+        
+        const agents = await Promise.all(
+            Array.from({ length: count }, (_, index) => this.createAgent(`Agent-${index + 1}`))
+        );
+        this.agents = agents.filter(agent => agent !== null);
+        
+        console.log(`🚀 ${this.agents.length} of ${count} agents ready`);
+    }
+
+    // One agent's loop: keep claiming items from the global queue, switching the agent's own store
+    // session whenever the queue moves it to another store
+    async runAgentQueue(agent, queue, itemRecoveries) {
+        const agentId = agent.id;
+        console.log(`🤖 ${agentId} joining the work queue...`);
+        this.agentTelemetry.register(agentId);
         
         let processedCount = 0;
+        const failedStores = new Set(); // Stores this agent couldn't switch to
         
         while (!this.shouldStop) {
-            // Find next unprocessed item for this store
-            const queueItem = this.processingQueue.find(qi => !qi.processed && qi.storeCode === storeCode);
-            if (!queueItem) {
-                break; // No more items to process for this store
+            await this.waitIfPaused(agent.id);
+            if (this.shouldStop) {
+                break;
             }
             
-            // Mark as being processed
-            queueItem.processed = true;
-            processedCount++;
+            // Agents above the rate controller's current limit sit out until it's raised again
+            if (!this.hasAgentSlot(agent)) {
+                if (queue.pendingCount === 0 && queue.inFlightCount === 0) {
+                    break;
+                }
+                queue.release(agent.id);
+                await this.waitForAgentSlot(agent, queue);
+                continue;
+            }
             
-            try {
-                console.log(`🤖 ${agent.id} processing item ${processedCount}: ${queueItem.item.asin} for store ${storeCode}`);
-                await this.processItemWithAgent(agent, queueItem.item, queueItem.storeCode);
+            const claim = queue.claim(agent.id, failedStores);
+            if (!claim) {
+                // Nothing for this agent right now, but an item another agent holds comes back to the
+                // queue if that agent fails, so stay around until every item is done
+                if (queue.inFlightCount > 0) {
+                    await this.delay(1000);
+                    continue;
+                }
+                break;
+            }
+            
+            const { item, storeCode } = claim;
+            
+            // An agent that waited for work may be handed its own store again; its session is still there
+            if (claim.switchStore && agent.storeCode !== storeCode) {
+                this.updateActiveStores(queue);
+                console.log(`🏪 ${agent.id} switching to store ${storeCode}...`);
+                this.agentTelemetry.setState(agent.id, 'switching', { store: storeCode });
                 
-                // Add delay between items if configured
-                if (!this.shouldStop && this.config.settings.delayBetweenItems > 0) {
-                    await this.delay(this.config.settings.delayBetweenItems);
+                const success = await this.switchToStore(storeCode, agent.page);
+                if (!success) {
+                    agent.storeCode = null; // A half-finished switch leaves the session on no known store
+                    queue.release(agent.id, item);
+                    
+                    // The switch failed because the agent itself went down, not the store
+                    if (agent.failure) {
+                        agent = await this.recoverAgent(agent);
+                        if (!agent) break;
+                        continue;
+                    }
+                    
+                    failedStores.add(storeCode);
+                    
+                    // Agents already on the store can still finish it; otherwise nobody will get in
+                    if (queue.getAgentsOnStore(storeCode) === 0) {
+                        const dropped = queue.dropStore(storeCode);
+                        console.warn(`⚠️ Failed to switch to store ${storeCode}, skipping ${dropped.length} items...`);
+                    }
+                    
+                    this.agentTelemetry.setState(agent.id, 'idle', { store: null });
+                    this.updateActiveStores(queue);
+                    continue;
                 }
                 
-            } catch (error) {
-                console.error(`❌ ${agent.id} error processing item ${queueItem.item.asin}:`, error);
+                agent.storeCode = storeCode;
                 
-                // Create error result
-                const result = {
-                    store: queueItem.storeCode,
-                    asin: queueItem.item.asin,
-                    name: queueItem.item.name,
-                    success: false,
-                    loadTime: null,
-                    timestamp: new Date().toISOString(),
-                    error: error.message,
-                    extractedName: null,
-                    price: null,
-                    hasNutritionFacts: false,
-                    hasIngredients: false,
-                    hasAddToCart: false,
-                    isAvailable: false,
-                    variationCount: 0,
-                    variations: [],
-                    extractionDetails: null,
-                    agent: agent.id
-                };
+                // Wait between store switches
+                if (!this.shouldStop) {
+                    await this.delay(this.rateController.storeDelay);
+                }
+            }
+            
+            processedCount++;
+            
+            try {
+                console.log(`🤖 ${agent.id} processing item ${processedCount}: ${item.asin} for store ${storeCode}`);
+                await this.processItemWithAgent(agent, item, storeCode);
                 
-                this.results.push(result);
-                this.currentProgress.itemsProcessed++;
-                this.currentProgress.errorCount++;
-                this.emitProgress();
-                this.emitResult(result);
+            } catch (error) {
+                // A failed agent's item goes back on the queue below instead of being recorded
+                if (!agent.failure) {
+                    console.error(`❌ ${agent.id} error processing item ${item.asin}:`, error);
+                    this.recordItemResult(this.createAgentErrorResult(agent, item, storeCode, error.message));
+                }
+            }
+            
+            if (agent.failure) {
+                this.requeueItem(queue, agent, item, storeCode, itemRecoveries);
+                agent = await this.recoverAgent(agent);
+                if (!agent) break;
+                continue;
+            }
+            
+            this.agentTelemetry.setState(agent.id, 'idle');
+            this.completeQueueItem(queue, storeCode);
+            
+            // Add delay between items if configured
+            if (!this.shouldStop && this.rateController.itemDelay > 0) {
+                await this.delay(this.rateController.itemDelay);
             }
         }
         
-        console.log(`🏁 ${agent.id} finished processing ${processedCount} items for store ${storeCode}`);
+        queue.release(agentId);
+        if (agent) {
+            agent.finished = true;
+        }
+        this.agentTelemetry.setState(agentId, 'finished', { store: null });
+        this.updateActiveStores(queue);
+        console.log(`🏁 ${agentId} finished after processing ${processedCount} items`);
     }
 
-    async cleanupAgents() {
-        console.log('🧹 Cleaning up agents...');
-        
-        for (const agent of this.agents) {
-            try {
-                if (agent.page) {
-                    await agent.page.close();
-                }
-                // Only close context if it's not shared (old agents)
-                if (agent.context && !agent.isSharedContext) {
-                    await agent.context.close();
-                }
-                console.log(`✅ ${agent.id} cleaned up successfully (persistent: ${agent.isPersistent || false}, shared context: ${agent.isSharedContext || false})`);
-            } catch (error) {
-                console.error(`❌ Error cleaning up ${agent.id}:`, error);
+    completeQueueItem(queue, storeCode) {
+        if (queue.complete(storeCode)) {
+            if (this.checkpoint && !this.shouldStop) {
+                this.checkpoint.markStoreComplete(storeCode);
             }
+            console.log(`✅ Completed all items for store: ${storeCode}`);
         }
-        
-        this.agents = [];
-        this.activeAgents = 0;
-        console.log('✅ All agents cleaned up');
     }
 
-    async createAgent(agentId) {
-        console.log(`🤖 Creating agent ${agentId}...`);
-        
-        try {
-            const context = await this.browser.newContext({
-                viewport: { width: 1280, height: 720 },
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            });
-            
-            const page = await context.newPage();
-            page.setDefaultTimeout(this.config.settings.pageTimeout);
-            
-            // Set up network interception for this agent
-            await this.setupNetworkInterceptionForAgent(page, agentId);
-            
-            const agent = {
-                id: agentId,
-                context,
-                page,
-                isActive: false,
-                csrfToken: this.csrfToken // Share the main CSRF token initially
-            };
-            
-            console.log(`✅ Agent ${agentId} created successfully`);
-            return agent;
-            
+    // The item a failed agent was working on goes back to the front of its store's queue, unless it
+    // has already taken agents down before - then it's recorded as failed so it can't stall the scan
+    requeueItem(queue, agent, item, storeCode, itemRecoveries) {
+        const key = this.getResultKey(storeCode, item.asin);
+        const recoveries = (itemRecoveries.get(key) || 0) + 1;
+        itemRecoveries.set(key, recoveries);
+        
+        if (recoveries > MAX_ITEM_RECOVERIES) {
+            console.error(`❌ ${storeCode} - ${item.asin} failed ${recoveries} agents, recording as failed`);
+            this.recordItemResult(this.createAgentErrorResult(agent, item, storeCode, `Agent ${agent.failure} ${recoveries} times on this item`));
+            queue.release(agent.id);
+            this.completeQueueItem(queue, storeCode);
+        } else {
+            console.log(`♻️ Returning ${storeCode} - ${item.asin} to the queue (${agent.id} ${agent.failure})`);
+            queue.release(agent.id, item);
+        }
+    }
+
+    createAgentErrorResult(agent, item, storeCode, message) {
+        return {
+            store: storeCode,
+            asin: item.asin,
+            name: item.name,
+            success: false,
+            loadTime: null,
+            timestamp: new Date().toISOString(),
+            error: message,
+            extractedName: null,
+            price: null,
+            priceDetails: null,
+            hasNutritionFacts: false,
+            hasIngredients: false,
+            nutrition: null,
+            ingredients: null,
+            hasAddToCart: false,
+            isAvailable: false,
+            images: null,
+            rating: null,
+            reviewCount: null,
+            badges: [],
+            dietaryAttributes: [],
+            variationCount: 0,
+            variations: [],
+            variationDetails: null,
+            bundleUnavailableCount: null,
+            extractionDetails: null,
+            agent: agent ? agent.id : null
+        };
+    }
+
+    startAgentWatchdog() {
+        // Long enough for a page load with all its retries; deep variation and bundle scans report activity per page
+        const stallTimeout = Math.max(this.config.settings.pageTimeout * 4, 120000);
+        
+        this.agentWatchdog = new AgentWatchdog(this.agentTelemetry, { stallTimeout });
+        this.agentWatchdog.onFailure = (agent, reason) => this.handleAgentFailure(agent, reason);
+        this.agentWatchdog.watchBrowser(this.browser);
+        this.agents.forEach(agent => this.agentWatchdog.watchAgent(agent));
+        this.agentWatchdog.start();
+    }
+
+    // Closing the failed agent's context makes whatever it's waiting on throw, which hands
+    // control back to its queue loop for recovery
+    handleAgentFailure(agent, reason) {
+        // Stopping the scan closes the browser too; that's not a failure
+        if (this.shouldStop) {
+            return;
+        }
+        
+        agent.failure = reason;
+        agent.context.close().catch(() => {});
+    }
+
+    // Replaces a failed agent with a fresh one under the same id (relaunching the browser first if it died).
+    // Returns null when the agent is retired instead; the other agents carry on with the queue.
+    async recoverAgent(agent) {
+        this.agentWatchdog.unwatchAgent(agent);
+        this.agentTelemetry.setState(agent.id, 'recovering', { store: null });
+        
+        const recoveries = (agent.recoveries || 0) + 1;
+        
+        try {
+            await agent.context.close();
         } catch (error) {
-            console.error(`❌ Failed to create agent ${agentId}:`, error);
+            // Already closed along with the page or browser
+        }
+        
+        if (this.shouldStop || recoveries > MAX_AGENT_RECOVERIES) {
+            if (!this.shouldStop) {
+                console.error(`❌ ${agent.id} failed ${recoveries} times, retiring it`);
+            }
+            this.retireAgent(agent);
             return null;
         }
+        
+        console.log(`♻️ Recovering ${agent.id} (${agent.failure}, recovery ${recoveries}/${MAX_AGENT_RECOVERIES})...`);
+        
+        try {
+            await this.relaunchBrowserIfNeeded();
+        } catch (error) {
+            console.error(`❌ ${agent.id} can't recover without a browser:`, error.message);
+            this.retireAgent(agent);
+            return null;
+        }
+        
+        const replacement = await this.createAgent(agent.id);
+        if (!replacement || this.shouldStop) {
+            if (replacement) {
+                await replacement.context.close().catch(() => {});
+            }
+            this.retireAgent(agent);
+            return null;
+        }
+        
+        // Other agents recovering at the same time may have retired since, so the position is looked up now
+        replacement.recoveries = recoveries;
+        this.agents[this.agents.indexOf(agent)] = replacement;
+        this.agentWatchdog.watchAgent(replacement);
+        this.agentTelemetry.setState(replacement.id, 'idle');
+        console.log(`✅ ${replacement.id} recovered`);
+        return replacement;
+    }
+
+    retireAgent(agent) {
+        const index = this.agents.indexOf(agent);
+        if (index !== -1) {
+            this.agents.splice(index, 1);
+        }
+    }
+
+    async relaunchBrowserIfNeeded() {
+        if (this.browserRelaunch) {
+            return await this.browserRelaunch;
+        }
+        if (this.browser && this.browser.isConnected()) {
+            return;
+        }
+        
+        if (this.browserRelaunches >= MAX_BROWSER_RELAUNCHES) {
+            throw new Error(`Browser disconnected again after ${this.browserRelaunches} relaunches`);
+        }
+        this.browserRelaunches++;
+        
+        console.warn(`🔁 Browser disconnected, relaunching (${this.browserRelaunches}/${MAX_BROWSER_RELAUNCHES})...`);
+        this.browserRelaunch = this.initializeBrowser().then(() => {
+            this.agentWatchdog.watchBrowser(this.browser);
+        });
+        
+        try {
+            await this.browserRelaunch;
+        } finally {
+            this.browserRelaunch = null;
+        }
+    }
+
+    // Agents that have left the queue don't hold a slot
+    hasAgentSlot(agent) {
+        return this.agents.filter(other => !other.finished).indexOf(agent) < this.rateController.concurrency;
+    }
+
+    async waitForAgentSlot(agent, queue) {
+        console.log(`⏸️ ${agent.id} paused by rate control (${this.rateController.concurrency} agents allowed)`);
+        this.agentTelemetry.setState(agent.id, 'paused', { store: null });
+        this.updateActiveStores(queue);
+        
+        while (!this.hasAgentSlot(agent) && !this.shouldStop && (queue.pendingCount > 0 || queue.inFlightCount > 0)) {
+            await this.delay(1000);
+        }
+        
+        if (this.hasAgentSlot(agent)) {
+            console.log(`▶️ ${agent.id} resumed by rate control`);
+            this.agentTelemetry.setState(agent.id, 'idle');
+        }
+    }
+
+    // With agents spread over several stores, the progress shows every store currently being worked on
+    updateActiveStores(queue) {
+        const stores = queue.getActiveStores();
+        this.currentProgress.currentStore = stores.length > 0 ? stores.join(', ') : null;
+        this.emitProgress();
+    }
+
+    async cleanupAgents() {
+        console.log('🧹 Cleaning up agents...');
+        
+        for (const agent of this.agents) {
+            try {
+                // Closing the agent's context also closes its page and drops its store session
+                await agent.context.close();
+                console.log(`✅ ${agent.id} cleaned up successfully`);
+            } catch (error) {
+                console.error(`❌ Error cleaning up ${agent.id}:`, error);
+            }
+        }
+        
+        this.agents = [];
+        this.activeAgents = 0;
+        console.log('✅ All agents cleaned up');
     }
 
-    async createAgentForStore(agentId, storeCode) {
-        console.log(`🤖 Creating agent ${agentId} for store ${storeCode} using shared browser context...`);
+    async createAgent(agentId) {
+        console.log(`🤖 Creating agent ${agentId}...`);
         
         try {
-            // Use the same browser context to share cookies and session state
-            const context = this.page.context();
+            const context = await this.browser.newContext({
+                viewport: { width: 1280, height: 720 },
+                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+            });
             
-            // Create a new tab (page) within the same context
             const page = await context.newPage();
             page.setDefaultTimeout(this.config.settings.pageTimeout);
             
@@ -1320,16 +1847,14 @@ class ScannerService {
             
             const agent = {
                 id: agentId,
-                context: null, // Don't store context since we're sharing it
+                context,
                 page,
                 isActive: false,
-                storeCode: storeCode, // Track which store this agent is working on
-                csrfToken: this.csrfToken, // Share the main CSRF token initially
-                isSharedContext: true // Flag to indicate this is using shared context
+                storeCode: null // Store this agent's session is switched to
             };
             
-            // Navigate agent to WFM catering page to establish session
-            console.log(`🌐 ${agentId} navigating to WFM catering page for store ${storeCode} (shared context)...`);
+            // Navigate agent to WFM catering page to establish its own session
+            console.log(`🌐 ${agentId} navigating to WFM catering page...`);
             await page.goto('https://www.wholefoodsmarket.com/catering', {
                 waitUntil: 'networkidle'
             });
@@ -1337,11 +1862,11 @@ class ScannerService {
             // Small delay to let page settle
             await this.delay(2000);
             
-            console.log(`✅ Agent ${agentId} created as new tab for store ${storeCode} (cookies shared)`);
+            console.log(`✅ Agent ${agentId} created successfully`);
             return agent;
             
         } catch (error) {
-            console.error(`❌ Failed to create agent ${agentId} for store ${storeCode}:`, error);
+            console.error(`❌ Failed to create agent ${agentId}:`, error);
             return null;
         }
     }
@@ -1378,6 +1903,42 @@ class ScannerService {
     }
 
     async processItemWithAgent(agent, item, storeCode) {
+        let result = null;
+        
+        try {
+            agent.isActive = true;
+            this.activeAgents++;
+            
+            const label = `${agent.id} - ${storeCode} - ${item.asin}`;
+            result = await this.runItemWithRetries(
+                () => this.attemptItemWithAgent(agent, item, storeCode),
+                label,
+                (attempt) => this.agentTelemetry.setState(agent.id, 'retrying', { attempt })
+            );
+            
+            if (!agent.failure) {
+                await this.captureEvidence(agent.page, result);
+                await this.captureImages(agent.page, result);
+                await this.scanItemDetails(agent.page, result, label, agent.id);
+            }
+            
+            // Whatever the attempt reports after its agent went down is about the agent, not the item
+            if (agent.failure) {
+                result = null;
+                throw new Error(`${agent.id} ${agent.failure}`);
+            }
+            this.observeAttempts(result);
+        } finally {
+            agent.isActive = false;
+            this.activeAgents--;
+            
+            if (result) {
+                this.recordItemResult(result);
+            }
+        }
+    }
+
+    async attemptItemWithAgent(agent, item, storeCode) {
         const startTime = Date.now();
         let result = {
             store: storeCode,
@@ -1387,33 +1948,43 @@ class ScannerService {
             loadTime: null,
             timestamp: new Date().toISOString(),
             error: null,
+            httpStatus: null,
             // Enhanced data fields
             extractedName: null,
             price: null,
+            priceDetails: null,
             hasNutritionFacts: false,
             hasIngredients: false,
+            nutrition: null,
+            ingredients: null,
             hasAddToCart: false,
             isAvailable: false,
+            images: null,
+            rating: null,
+            reviewCount: null,
+            badges: [],
+            dietaryAttributes: [],
             variationCount: 0,
             variations: [],
+            variationDetails: null,
+            bundleUnavailableCount: null,
             extractionDetails: null,
             agent: agent.id
         };
         
         try {
-            agent.isActive = true;
-            this.activeAgents++;
-            
             console.log(`🤖 ${agent.id} processing: ${storeCode} - ${item.asin}`);
             
             // Construct item URL with new required parameters
-            const itemUrl = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
+            const itemUrl = this.getItemUrl(item.asin);
             
             // Navigate to item page
+            this.agentTelemetry.setState(agent.id, 'navigating', { store: storeCode, asin: item.asin });
             const response = await agent.page.goto(itemUrl, {
                 waitUntil: 'networkidle',
                 timeout: this.config.settings.pageTimeout
             });
+            result.httpStatus = response ? response.status() : null;
             
             // Check if page loaded successfully
             if (response && response.ok()) {
@@ -1431,15 +2002,24 @@ class ScannerService {
                     result.loadTime = Date.now() - startTime;
                     
                     // Extract comprehensive product data using agent's page
-                    const productData = await this.extractProductDataWithAgent(agent);
+                    this.agentTelemetry.setState(agent.id, 'extracting');
+                    const productData = await this.productExtractor.extract(agent.page);
                     
                     // Add extracted data to result
                     result.extractedName = productData.name;
                     result.price = productData.price;
+                    result.priceDetails = productData.priceDetails;
                     result.hasNutritionFacts = productData.hasNutritionFacts;
                     result.hasIngredients = productData.hasIngredients;
+                    result.nutrition = productData.nutrition;
+                    result.ingredients = productData.ingredients;
                     result.hasAddToCart = productData.hasAddToCart;
                     result.isAvailable = productData.isAvailable;
+                    result.images = productData.images;
+                    result.rating = productData.rating;
+                    result.reviewCount = productData.reviewCount;
+                    result.badges = productData.badges || [];
+                    result.dietaryAttributes = productData.dietaryAttributes || [];
                     result.variationCount = productData.variationCount || 0;
                     result.variations = productData.variations || [];
                     result.isBundle = productData.isBundle || false;
@@ -1461,343 +2041,212 @@ class ScannerService {
         } catch (error) {
             result.error = error.message;
             console.log(`❌ ${agent.id} - ${storeCode} - ${item.asin} - Error: ${error.message}`);
-        } finally {
-            agent.isActive = false;
-            this.activeAgents--;
-            
-            // Update progress
-            this.currentProgress.itemsProcessed++;
-            if (result.success) {
-                this.currentProgress.successCount++;
-            } else {
-                this.currentProgress.errorCount++;
-            }
-            
-            // Store result
-            this.results.push(result);
-            
-            // Emit progress and result
-            this.emitProgress();
-            this.emitResult(result);
         }
+        
+        return result;
     }
 
-    async extractProductDataWithAgent(agent) {
-        return await agent.page.evaluate(() => {
-            const extractionDetails = {
-                selectors: {},
-                attempts: {},
-                fallbacks: {}
-            };
-            
-            // Helper function to try multiple selectors with fallbacks
-            function trySelectors(selectorGroups, dataType) {
-                extractionDetails.attempts[dataType] = [];
-                
-                for (const group of selectorGroups) {
-                    for (const selector of group.selectors) {
-                        extractionDetails.attempts[dataType].push({
-                            selector: selector,
-                            method: group.method,
-                            found: false
-                        });
-                        
-                        try {
-                            const elements = document.querySelectorAll(selector);
-                            if (elements.length > 0) {
-                                const element = elements[0];
-                                let value = null;
-                                
-                                switch (group.method) {
-                                    case 'textContent':
-                                        value = element.textContent?.trim();
-                                        break;
-                                    case 'innerText':
-                                        value = element.innerText?.trim();
-                                        break;
-                                    case 'exists':
-                                        value = true;
-                                        break;
-                                    case 'attribute':
-                                        value = element.getAttribute(group.attribute);
-                                        break;
-                                }
-                                
-                                if (value) {
-                                    extractionDetails.attempts[dataType][extractionDetails.attempts[dataType].length - 1].found = true;
-                                    extractionDetails.selectors[dataType] = selector;
-                                    return value;
-                                }
-                            }
-                        } catch (e) {
-                            console.log(`Selector failed: ${selector}`, e.message);
-                        }
-                    }
-                }
-                return null;
-            }
-            
-            // Product Name Extraction (multiple strategies)
-            const nameSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'div.bds--heading-1.my-2.text-squid-ink', // Exact match from example
-                        'div[class*="bds--heading-1"][class*="text-squid-ink"]', // Partial class match
-                        'h1[class*="bds--heading-1"]',
-                        'div[class*="heading-1"]',
-                        'h1[class*="product-title"]',
-                        'h1[class*="item-title"]',
-                        '.product-title h1',
-                        '.item-title h1',
-                        'h1:first-of-type',
-                        '[data-testid="product-title"]',
-                        '[data-testid="item-title"]'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="heading"][class*="squid-ink"]',
-                        'div[class*="product-name"]',
-                        'div[class*="item-name"]'
-                    ]
-                }
-            ];
-            
-            // Price Extraction (multiple strategies)
-            const priceSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'span.text-left.bds--heading-5', // Exact match from example
-                        'span[class*="bds--heading-5"]', // Partial class match
-                        'span[class*="heading-5"]',
-                        'span[class*="price"]',
-                        '.price span',
-                        '[data-testid="price"]',
-                        '[class*="price"][class*="current"]',
-                        'span:contains("$")',
-                        'div[class*="price"] span',
-                        '.product-price span',
-                        '.item-price span'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="price"]',
-                        '.price-container',
-                        '.current-price'
-                    ]
-                }
-            ];
-            
-            // Nutrition Facts Detection
-            const nutritionSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]', // Partial match
-                        'h4:contains("Nutrition Facts")',
-                        'h3:contains("Nutrition Facts")',
-                        'h2:contains("Nutrition Facts")',
-                        '[data-testid="nutrition-facts"]',
-                        '.nutrition-facts',
-                        '.nutritional-info',
-                        'div:contains("Nutrition Facts")',
-                        'section:contains("Nutrition Facts")'
-                    ]
-                }
-            ];
-            
-            // Ingredients Detection
-            const ingredientsSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.mb-2.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]',
-                        'h4:contains("Ingredients")',
-                        'h3:contains("Ingredients")',
-                        'h2:contains("Ingredients")',
-                        '[data-testid="ingredients"]',
-                        '.ingredients',
-                        '.ingredient-list',
-                        'div:contains("Ingredients")',
-                        'section:contains("Ingredients")'
-                    ]
-                }
-            ];
-            
-            // Add to Cart Button Detection
-            const addToCartSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'button[data-csa-c-type="addToCart"]', // Exact match from example
-                        'button:contains("Add to Cart")',
-                        'button[class*="addToCart"]',
-                        'button[data-testid="add-to-cart"]',
-                        '.add-to-cart button',
-                        '.add-to-basket button',
-                        'button[aria-label*="Add to Cart"]',
-                        'button[title*="Add to Cart"]',
-                        'input[type="submit"][value*="Add to Cart"]'
-                    ]
-                }
-            ];
-            
-            // Extract all data
-            const productName = trySelectors(nameSelectors, 'name');
-            const price = trySelectors(priceSelectors, 'price');
-            
-            // For nutrition and ingredients, we need to check text content
-            let hasNutritionFacts = false;
-            let hasIngredients = false;
-            
-            // Check for nutrition facts by looking for text content
-            const nutritionElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of nutritionElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('nutrition facts')) {
-                    hasNutritionFacts = true;
-                    extractionDetails.selectors.nutrition = 'text-content-search';
-                    break;
-                }
-            }
-            
-            // Check for ingredients by looking for text content
-            const ingredientElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of ingredientElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('ingredients')) {
-                    hasIngredients = true;
-                    extractionDetails.selectors.ingredients = 'text-content-search';
-                    break;
-                }
+    // Deep scans of a loaded item, run once its evidence and images are captured: the variation scan
+    // leaves the page on the last option, not the default one the result row describes
+    async scanItemDetails(page, result, label, agentId) {
+        if (!result.success) {
+            return;
+        }
+        await this.scanItemVariations(page, result, label, agentId);
+        await this.scanBundleComponents(page, result, label, agentId);
+    }
+
+    // Deep mode: click through every size/flavor option for its own price and cart state.
+    // A failure here never fails the item; the options just keep what the page showed up front.
+    // Each option counts as agent activity, so a long scan isn't mistaken for a hung agent.
+    async scanItemVariations(page, result, label, agentId) {
+        if (!this.config.settings.deepScanVariations || result.variationCount < 2) {
+            return;
+        }
+        
+        try {
+            result.variationDetails = await this.productExtractor.scanVariations(page, {
+                settleTimeout: VARIATION_SETTLE_TIMEOUT,
+                onVariation: () => this.agentTelemetry.touch(agentId)
+            });
+            const priced = result.variationDetails.filter(variation => variation.price).length;
+            console.log(`🔀 ${label} - scanned ${result.variationDetails.length} variations (${priced} priced)`);
+        } catch (error) {
+            console.log(`⚠️ ${label} - variation scan failed: ${error.message}`);
+        }
+    }
+
+    // Optional bundle mode: open each "What's Included" part's own page in the same store session,
+    // so a bundle is flagged when one of its components can't be bought there
+    async scanBundleComponents(page, result, label, agentId) {
+        if (!this.config.settings.scanBundleComponents || !result.isBundle) {
+            return;
+        }
+        
+        const scanned = new Map();
+        for (const part of result.bundleParts) {
+            if (this.shouldStop) break;
+            if (!part.asin) {
+                part.scan = null;
+                continue;
             }
             
-            const hasAddToCart = trySelectors(addToCartSelectors, 'addToCart') || false;
-            
-            // Clean up price (remove extra whitespace, ensure $ format)
-            let cleanPrice = null;
-            if (price) {
-                cleanPrice = price.replace(/\s+/g, ' ').trim();
-                // Ensure it looks like a price
-                if (!/\$\d+\.?\d*/.test(cleanPrice)) {
-                    cleanPrice = null;
-                }
+            // The same component listed twice (e.g. two sandwich choices) is only loaded once
+            if (!scanned.has(part.asin)) {
+                this.agentTelemetry.touch(agentId);
+                scanned.set(part.asin, await this.scanBundlePart(page.context(), part.asin));
             }
-            
-            // Product Variations Detection (size/flavor options)
-            const variationButtons = document.querySelectorAll('button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]');
-            const variationCount = variationButtons.length;
-            
-            // Extract variation details if available
-            const variations = [];
-            variationButtons.forEach((button, index) => {
-                try {
-                    const contentId = button.getAttribute('data-csa-c-content-id');
-                    const slotId = button.getAttribute('data-csa-c-slot-id');
-                    const buttonText = button.textContent?.trim();
-                    
-                    // Try to extract price from button if available
-                    const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
-                    const extractedPrice = priceMatch ? priceMatch[0] : null;
-                    
-                    // Try to extract size/variation name
-                    const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
-                    const variationName = lines && lines.length > 0 ? lines[0] : contentId;
-                    
-                    variations.push({
-                        index: index + 1,
-                        name: variationName,
-                        contentId: contentId,
-                        slotId: slotId,
-                        price: extractedPrice,
-                        fullText: buttonText
-                    });
-                } catch (e) {
-                    console.log(`Error extracting variation ${index + 1}:`, e.message);
-                }
+            part.scan = scanned.get(part.asin);
+        }
+        
+        // A component whose page failed to load says nothing about its availability
+        const resolved = result.bundleParts.filter(part => part.scan);
+        result.bundleUnavailableCount = resolved.filter(part => part.scan.success && !part.scan.isAvailable).length;
+        const failed = resolved.filter(part => !part.scan.success).length;
+        console.log(`🧺 ${label} - scanned ${scanned.size} bundle components, ${result.bundleUnavailableCount} unavailable${failed > 0 ? `, ${failed} failed to load` : ''}`);
+        if (result.bundleParts.length > resolved.length) {
+            console.log(`⚠️ ${label} - ${result.bundleParts.length - resolved.length} bundle parts have no ASIN and were not scanned`);
+        }
+    }
+
+    async scanBundlePart(context, asin) {
+        const scan = { success: false, name: null, price: null, priceDetails: null, hasAddToCart: false, isAvailable: false, error: null };
+        const page = await context.newPage();
+        try {
+            const response = await page.goto(this.getItemUrl(asin), {
+                waitUntil: 'domcontentloaded',
+                timeout: this.config.settings.pageTimeout
             });
+            if (!response || !response.ok()) {
+                scan.error = `HTTP ${response ? response.status() : 'unknown'} error`;
+                return scan;
+            }
             
-            extractionDetails.variations = {
-                count: variationCount,
-                details: variations,
-                selectors: 'button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]'
+            const data = await this.productExtractor.extract(page);
+            scan.success = true;
+            scan.name = data.name;
+            scan.price = data.price;
+            scan.priceDetails = data.priceDetails;
+            scan.hasAddToCart = data.hasAddToCart;
+            scan.isAvailable = data.isAvailable;
+        } catch (error) {
+            scan.error = error.message;
+        } finally {
+            await page.close().catch(() => {});
+        }
+        return scan;
+    }
+
+    getItemUrl(asin) {
+        return `https://www.wholefoodsmarket.com/name/dp/${asin}?pd_rd_i=${asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
+    }
+
+    // onRetry(nextAttempt, backoffMs) is called before waiting out the backoff
+    async runItemWithRetries(attemptFn, label, onRetry = null) {
+        const attemptHistory = [];
+        let result = null;
+        
+        for (let attempt = 1; attempt <= this.retryPolicy.maxAttempts; attempt++) {
+            result = await attemptFn(attempt);
+            
+            const category = this.retryPolicy.classify(result);
+            const historyEntry = {
+                attempt,
+                timestamp: result.timestamp,
+                success: result.success,
+                category,
+                error: result.error,
+                httpStatus: result.httpStatus,
+                loadTime: result.loadTime,
+                backoffMs: null
             };
+            attemptHistory.push(historyEntry);
             
-            // Bundle Product Detection (What's Included section)
-            let isBundle = false;
-            let bundlePartsCount = 0;
-            let bundleParts = [];
-            
-            // Look for "What's Included" heading
-            const whatsIncludedHeadings = document.querySelectorAll('h4.bds--heading-4');
-            for (const heading of whatsIncludedHeadings) {
-                if (heading.textContent && heading.textContent.toLowerCase().includes("what's included")) {
-                    isBundle = true;
-                    extractionDetails.selectors.bundle = 'h4.bds--heading-4 containing "What\'s Included"';
-                    
-                    // Find the next sibling or parent container that contains buttons
-                    let container = heading.nextElementSibling;
-                    if (!container) {
-                        container = heading.parentElement?.nextElementSibling;
-                    }
-                    
-                    if (container) {
-                        // Look for buttons in the container
-                        const bundleButtons = container.querySelectorAll('button');
-                        bundlePartsCount = bundleButtons.length;
-                        
-                        // Extract bundle part details
-                        bundleButtons.forEach((button, index) => {
-                            try {
-                                const buttonText = button.textContent?.trim();
-                                const buttonClass = button.className;
-                                const buttonId = button.id;
-                                
-                                bundleParts.push({
-                                    index: index + 1,
-                                    text: buttonText,
-                                    className: buttonClass,
-                                    id: buttonId
-                                });
-                            } catch (e) {
-                                console.log(`Error extracting bundle part ${index + 1}:`, e.message);
-                            }
-                        });
-                    }
-                    break; // Found the section, no need to continue
-                }
+            if (this.shouldStop || !this.retryPolicy.shouldRetry(category, attempt)) {
+                break;
             }
             
-            extractionDetails.bundle = {
-                isBundle: isBundle,
-                partsCount: bundlePartsCount,
-                parts: bundleParts,
-                selectors: isBundle ? 'h4.bds--heading-4 + container buttons' : null
-            };
-            
-            return {
-                name: productName,
-                price: cleanPrice,
-                hasNutritionFacts: hasNutritionFacts,
-                hasIngredients: hasIngredients,
-                hasAddToCart: hasAddToCart,
-                isAvailable: hasAddToCart, // If add to cart exists, item is likely available
-                variationCount: variationCount,
-                variations: variations,
-                isBundle: isBundle,
-                bundlePartsCount: bundlePartsCount,
-                bundleParts: bundleParts,
-                extractionDetails: extractionDetails
-            };
-        });
+            const backoff = this.retryPolicy.getBackoffDelay(attempt);
+            historyEntry.backoffMs = backoff;
+            console.log(`🔁 ${label} - ${category} on attempt ${attempt}/${this.retryPolicy.maxAttempts}, retrying in ${backoff}ms`);
+            if (onRetry) {
+                onRetry(attempt + 1, backoff);
+            }
+            await this.delay(backoff);
+        }
+        
+        const lastAttempt = attemptHistory[attemptHistory.length - 1];
+        result.attempts = attemptHistory.length;
+        result.attemptHistory = attemptHistory;
+        result.failureCategory = result.success ? null : lastAttempt.category;
+        
+        if (result.attempts > 1) {
+            console.log(`🔁 ${label} - finished after ${result.attempts} attempts (${result.success ? 'success' : result.failureCategory})`);
+        }
+        
+        return result;
+    }
+
+    // Every attempt counts, including the ones a retry recovered from - they show how the site is coping
+    observeAttempts(result) {
+        (result.attemptHistory || []).forEach(attempt => this.rateController.observe(attempt));
+    }
+
+    async captureEvidence(page, result) {
+        if (!this.evidenceArchive || !page) {
+            return;
+        }
+        
+        // Failed items are always captured; successful ones only when explicitly requested
+        if (result.success && !this.config.settings.screenshotAllItems) {
+            return;
+        }
+        
+        result.screenshotPath = await this.evidenceArchive.captureItem(page, result);
+    }
+
+    async captureImages(page, result) {
+        if (!this.imageArchive || !page || !result.success) {
+            return;
+        }
+        result.imageFiles = await this.imageArchive.captureItem(page, result);
+    }
+
+    recordItemResult(result) {
+        // Items cut off by a stop request are reported as not attempted rather than failed
+        if (this.shouldStop && !result.success) {
+            console.log(`⏭️ ${result.store} - ${result.asin} interrupted by stop, listing as not attempted`);
+            return;
+        }
+        
+        // Tag competitive results so exports know to build the cross-store matrix
+        if (this.mode === 'competitive') {
+            result.mode = 'competitive';
+        }
+        
+        // Items recorded after the agent pool is gone (agent: null) have no agent to count them against
+        if (result.agent !== null) {
+            this.agentTelemetry.recordItem(result.agent || MAIN_AGENT_ID, result);
+        }
+        
+        // Update progress
+        this.currentProgress.itemsProcessed++;
+        if (result.success) {
+            this.currentProgress.successCount++;
+        } else {
+            this.currentProgress.errorCount++;
+        }
+        
+        // Store result
+        this.results.push(result);
+        
+        // Emit progress and result
+        this.emitProgress();
+        this.emitResult(result);
     }
 
-    async switchToStore(storeCode) {
+    // Switches the store session of the given page's browser context (the main page by default)
+    async switchToStore(storeCode, page = this.page) {
         try {
             const storeId = this.storeMappings.get(storeCode);
             if (!storeId) {
@@ -1808,11 +2257,11 @@ class ScannerService {
             console.log(`🔄 Switching to store ${storeCode} (ID: ${storeId})`);
             
             // Check current cookies and session state
-            const cookies = await this.page.context().cookies();
+            const cookies = await page.context().cookies();
             console.log(`🍪 Current cookies count: ${cookies.length}`);
             
             // Use enhanced CSRF token acquisition method
-            let csrfToken = await this.ensureCSRFToken(this.page);
+            let csrfToken = await this.ensureCSRFToken(page);
             
             if (!csrfToken) {
                 console.warn('⚠️ Enhanced CSRF token acquisition failed, trying fallback');
@@ -1820,13 +2269,13 @@ class ScannerService {
                 if (!fallbackToken) {
                     console.error('❌ No CSRF token available (including fallback)');
                     // Try alternative method without token
-                    return await this.alternativeStoreSwitch(storeId, storeCode);
+                    return await this.alternativeStoreSwitch(storeId, storeCode, page);
                 }
                 csrfToken = fallbackToken;
             }
             
             console.log(`✅ CSRF token acquired: ${csrfToken.substring(0, 20)}...`);
-            return await this.performStoreSwitch(storeId, storeCode, csrfToken);
+            return await this.performStoreSwitch(storeId, storeCode, csrfToken, page);
             
         } catch (error) {
             console.error(`❌ Error switching to store ${storeCode}:`, error);
@@ -1835,7 +2284,7 @@ class ScannerService {
             // Final fallback - try alternative method
             console.log(`🔄 Attempting final fallback store switch...`);
             const storeId = this.storeMappings.get(storeCode);
-            return await this.alternativeStoreSwitch(storeId, storeCode);
+            return await this.alternativeStoreSwitch(storeId, storeCode, page);
         }
     }
 
@@ -1892,7 +2341,7 @@ class ScannerService {
             
             if (!storeSelectorButton) {
                 console.log('❌ Store selector button not found');
-                return await this.extractCSRFToken();
+                return await this.extractCSRFToken(page);
             }
             
             console.log('✅ Found store selector button, clicking...');
@@ -1907,7 +2356,7 @@ class ScannerService {
             
             if (!makeStoreButton) {
                 console.log('❌ "Make this my store" button not found');
-                return await this.extractCSRFToken();
+                return await this.extractCSRFToken(page);
             }
             
             console.log('✅ Found "Make this my store" button, clicking...');
@@ -1946,17 +2395,17 @@ class ScannerService {
             } else {
                 console.log('⚠️ No token captured from network request, trying fallback extraction...');
                 await this.delay(3000); // Wait for page to update
-                return await this.extractCSRFToken();
+                return await this.extractCSRFToken(page);
             }
             
         } catch (error) {
             console.error('❌ Error in enhanced CSRF token acquisition:', error);
-            return await this.extractCSRFToken();
+            return await this.extractCSRFToken(page);
         }
     }
 
-    async extractCSRFToken() {
-        return await this.page.evaluate(() => {
+    async extractCSRFToken(page = this.page) {
+        return await page.evaluate(() => {
             console.log("=== CSRF Token Extraction Debug ===");
             console.log("Page readyState:", document.readyState);
             console.log("URL:", window.location.href);
@@ -2106,13 +2555,13 @@ class ScannerService {
         return fallbackToken;
     }
 
-    async performStoreSwitch(storeId, storeCode, csrfToken) {
+    async performStoreSwitch(storeId, storeCode, csrfToken, page = this.page) {
         try {
             console.log(`🔄 Attempting store switch with token: ${csrfToken.substring(0, 20)}...`);
             console.log(`🔄 Target store: ${storeCode} (ID: ${storeId})`);
             
             // Make store switch request using the exact pattern from WtsMain.js
-            const response = await this.page.evaluate(async ({ storeId, token }) => {
+            const response = await page.evaluate(async ({ storeId, token }) => {
                 try {
                     console.log("🌐 Making store switch API call...");
                     console.log("📍 Store ID (5-digit):", storeId);
@@ -2189,7 +2638,7 @@ class ScannerService {
                 
                 // Verify the store switch by checking current page state
                 await this.delay(2000);
-                const verificationResult = await this.verifyStoreSwitch(storeCode, storeId);
+                const verificationResult = await this.verifyStoreSwitch(storeCode, storeId, page);
                 
                 if (verificationResult.success) {
                     console.log(`✅ Store switch verified: ${verificationResult.message}`);
@@ -2207,7 +2656,7 @@ class ScannerService {
                 
                 // Try alternative store switching method
                 console.log(`🔄 Trying alternative store switch method...`);
-                return await this.alternativeStoreSwitch(storeId, storeCode);
+                return await this.alternativeStoreSwitch(storeId, storeCode, page);
             }
             
         } catch (error) {
@@ -2216,14 +2665,14 @@ class ScannerService {
             
             // Try alternative method as fallback
             console.log(`🔄 Trying alternative store switch method due to error...`);
-            return await this.alternativeStoreSwitch(storeId, storeCode);
+            return await this.alternativeStoreSwitch(storeId, storeCode, page);
         }
     }
 
-    async verifyStoreSwitch(expectedStoreCode, expectedStoreId) {
+    async verifyStoreSwitch(expectedStoreCode, expectedStoreId, page = this.page) {
         try {
             // Check if the page shows the expected store
-            const currentStoreInfo = await this.page.evaluate(() => {
+            const currentStoreInfo = await page.evaluate(() => {
                 // Look for store information in various places
                 const storeSelectors = [
                     '[data-testid="store-selector"]',
@@ -2286,7 +2735,7 @@ class ScannerService {
         }
     }
 
-    async alternativeStoreSwitch(storeId, storeCode) {
+    async alternativeStoreSwitch(storeId, storeCode, page = this.page) {
         try {
             console.log(`🔄 Attempting alternative store switch method...`);
             
@@ -2294,7 +2743,7 @@ class ScannerService {
             const storeUrl = `https://www.wholefoodsmarket.com/stores/${storeId}`;
             console.log(`🔄 Navigating to store URL: ${storeUrl}`);
             
-            const response = await this.page.goto(storeUrl, {
+            const response = await page.goto(storeUrl, {
                 waitUntil: 'networkidle',
                 timeout: 30000
             });
@@ -2304,7 +2753,7 @@ class ScannerService {
                 await this.delay(3000);
                 
                 // Navigate back to catering page to continue scanning
-                await this.page.goto('https://www.wholefoodsmarket.com/catering', {
+                await page.goto('https://www.wholefoodsmarket.com/catering', {
                     waitUntil: 'networkidle'
                 });
                 
@@ -2321,6 +2770,22 @@ class ScannerService {
     }
 
     async processItem(item) {
+        const label = `${item.store} - ${item.asin}`;
+        const result = await this.runItemWithRetries(
+            () => this.attemptItem(item),
+            label,
+            (attempt) => this.agentTelemetry.setState(MAIN_AGENT_ID, 'retrying', { attempt })
+        );
+        this.observeAttempts(result);
+        
+        await this.captureEvidence(this.page, result);
+        await this.captureImages(this.page, result);
+        await this.scanItemDetails(this.page, result, label, MAIN_AGENT_ID);
+        this.recordItemResult(result);
+        this.agentTelemetry.setState(MAIN_AGENT_ID, 'idle');
+    }
+
+    async attemptItem(item) {
         const startTime = Date.now();
         let result = {
             store: item.store,
@@ -2330,15 +2795,26 @@ class ScannerService {
             loadTime: null,
             timestamp: new Date().toISOString(),
             error: null,
+            httpStatus: null,
             // Enhanced data fields
             extractedName: null,
             price: null,
+            priceDetails: null,
             hasNutritionFacts: false,
             hasIngredients: false,
+            nutrition: null,
+            ingredients: null,
             hasAddToCart: false,
             isAvailable: false,
+            images: null,
+            rating: null,
+            reviewCount: null,
+            badges: [],
+            dietaryAttributes: [],
             variationCount: 0,
             variations: [],
+            variationDetails: null,
+            bundleUnavailableCount: null,
             extractionDetails: null
         };
         
@@ -2346,13 +2822,15 @@ class ScannerService {
             console.log(`🔍 Processing item: ${item.store} - ${item.asin}`);
             
             // Construct item URL with new required parameters
-            const itemUrl = `https://www.wholefoodsmarket.com/name/dp/${item.asin}?pd_rd_i=${item.asin}&fpw=alm&almBrandId=aNHVc2Akvg`;
+            const itemUrl = this.getItemUrl(item.asin);
             
             // Navigate to item page
+            this.agentTelemetry.setState(MAIN_AGENT_ID, 'navigating', { store: item.store, asin: item.asin });
             const response = await this.page.goto(itemUrl, {
                 waitUntil: 'networkidle',
                 timeout: this.config.settings.pageTimeout
             });
+            result.httpStatus = response ? response.status() : null;
             
             // Check if page loaded successfully
             if (response && response.ok()) {
@@ -2370,15 +2848,24 @@ class ScannerService {
                     result.loadTime = Date.now() - startTime;
                     
                     // Extract comprehensive product data
-                    const productData = await this.extractProductData();
+                    this.agentTelemetry.setState(MAIN_AGENT_ID, 'extracting');
+                    const productData = await this.productExtractor.extract(this.page);
                     
                     // Add extracted data to result
                     result.extractedName = productData.name;
                     result.price = productData.price;
+                    result.priceDetails = productData.priceDetails;
                     result.hasNutritionFacts = productData.hasNutritionFacts;
                     result.hasIngredients = productData.hasIngredients;
+                    result.nutrition = productData.nutrition;
+                    result.ingredients = productData.ingredients;
                     result.hasAddToCart = productData.hasAddToCart;
                     result.isAvailable = productData.isAvailable;
+                    result.images = productData.images;
+                    result.rating = productData.rating;
+                    result.reviewCount = productData.reviewCount;
+                    result.badges = productData.badges || [];
+                    result.dietaryAttributes = productData.dietaryAttributes || [];
                     result.variationCount = productData.variationCount || 0;
                     result.variations = productData.variations || [];
                     result.isBundle = productData.isBundle || false;
@@ -2402,335 +2889,7 @@ class ScannerService {
             console.log(`❌ ${item.store} - ${item.asin} - Error: ${error.message}`);
         }
         
-        // Update progress
-        this.currentProgress.itemsProcessed++;
-        if (result.success) {
-            this.currentProgress.successCount++;
-        } else {
-            this.currentProgress.errorCount++;
-        }
-        
-        // Store result
-        this.results.push(result);
-        
-        // Emit progress and result
-        this.emitProgress();
-        this.emitResult(result);
-    }
-
-    async extractProductData() {
-        return await this.page.evaluate(() => {
-            const extractionDetails = {
-                selectors: {},
-                attempts: {},
-                fallbacks: {}
-            };
-            
-            // Helper function to try multiple selectors with fallbacks
-            function trySelectors(selectorGroups, dataType) {
-                extractionDetails.attempts[dataType] = [];
-                
-                for (const group of selectorGroups) {
-                    for (const selector of group.selectors) {
-                        extractionDetails.attempts[dataType].push({
-                            selector: selector,
-                            method: group.method,
-                            found: false
-                        });
-                        
-                        try {
-                            const elements = document.querySelectorAll(selector);
-                            if (elements.length > 0) {
-                                const element = elements[0];
-                                let value = null;
-                                
-                                switch (group.method) {
-                                    case 'textContent':
-                                        value = element.textContent?.trim();
-                                        break;
-                                    case 'innerText':
-                                        value = element.innerText?.trim();
-                                        break;
-                                    case 'exists':
-                                        value = true;
-                                        break;
-                                    case 'attribute':
-                                        value = element.getAttribute(group.attribute);
-                                        break;
-                                }
-                                
-                                if (value) {
-                                    extractionDetails.attempts[dataType][extractionDetails.attempts[dataType].length - 1].found = true;
-                                    extractionDetails.selectors[dataType] = selector;
-                                    return value;
-                                }
-                            }
-                        } catch (e) {
-                            console.log(`Selector failed: ${selector}`, e.message);
-                        }
-                    }
-                }
-                return null;
-            }
-            
-            // Product Name Extraction (multiple strategies)
-            const nameSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'div.bds--heading-1.my-2.text-squid-ink', // Exact match from example
-                        'div[class*="bds--heading-1"][class*="text-squid-ink"]', // Partial class match
-                        'h1[class*="bds--heading-1"]',
-                        'div[class*="heading-1"]',
-                        'h1[class*="product-title"]',
-                        'h1[class*="item-title"]',
-                        '.product-title h1',
-                        '.item-title h1',
-                        'h1:first-of-type',
-                        '[data-testid="product-title"]',
-                        '[data-testid="item-title"]'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="heading"][class*="squid-ink"]',
-                        'div[class*="product-name"]',
-                        'div[class*="item-name"]'
-                    ]
-                }
-            ];
-            
-            // Price Extraction (multiple strategies)
-            const priceSelectors = [
-                {
-                    method: 'textContent',
-                    selectors: [
-                        'span.text-left.bds--heading-5', // Exact match from example
-                        'span[class*="bds--heading-5"]', // Partial class match
-                        'span[class*="heading-5"]',
-                        'span[class*="price"]',
-                        '.price span',
-                        '[data-testid="price"]',
-                        '[class*="price"][class*="current"]',
-                        'span:contains("$")',
-                        'div[class*="price"] span',
-                        '.product-price span',
-                        '.item-price span'
-                    ]
-                },
-                {
-                    method: 'innerText',
-                    selectors: [
-                        'div[class*="price"]',
-                        '.price-container',
-                        '.current-price'
-                    ]
-                }
-            ];
-            
-            // Nutrition Facts Detection
-            const nutritionSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]', // Partial match
-                        'h4:contains("Nutrition Facts")',
-                        'h3:contains("Nutrition Facts")',
-                        'h2:contains("Nutrition Facts")',
-                        '[data-testid="nutrition-facts"]',
-                        '.nutrition-facts',
-                        '.nutritional-info',
-                        'div:contains("Nutrition Facts")',
-                        'section:contains("Nutrition Facts")'
-                    ]
-                }
-            ];
-            
-            // Ingredients Detection
-            const ingredientsSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'h4.bds--heading-4.mb-2.w-full.text-squid-ink', // Exact match, check content separately
-                        'h4[class*="bds--heading-4"][class*="text-squid-ink"]',
-                        'h4:contains("Ingredients")',
-                        'h3:contains("Ingredients")',
-                        'h2:contains("Ingredients")',
-                        '[data-testid="ingredients"]',
-                        '.ingredients',
-                        '.ingredient-list',
-                        'div:contains("Ingredients")',
-                        'section:contains("Ingredients")'
-                    ]
-                }
-            ];
-            
-            // Add to Cart Button Detection
-            const addToCartSelectors = [
-                {
-                    method: 'exists',
-                    selectors: [
-                        'button[data-csa-c-type="addToCart"]', // Exact match from example
-                        'button:contains("Add to Cart")',
-                        'button[class*="addToCart"]',
-                        'button[data-testid="add-to-cart"]',
-                        '.add-to-cart button',
-                        '.add-to-basket button',
-                        'button[aria-label*="Add to Cart"]',
-                        'button[title*="Add to Cart"]',
-                        'input[type="submit"][value*="Add to Cart"]'
-                    ]
-                }
-            ];
-            
-            // Extract all data
-            const productName = trySelectors(nameSelectors, 'name');
-            const price = trySelectors(priceSelectors, 'price');
-            
-            // For nutrition and ingredients, we need to check text content
-            let hasNutritionFacts = false;
-            let hasIngredients = false;
-            
-            // Check for nutrition facts by looking for text content
-            const nutritionElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of nutritionElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('nutrition facts')) {
-                    hasNutritionFacts = true;
-                    extractionDetails.selectors.nutrition = 'text-content-search';
-                    break;
-                }
-            }
-            
-            // Check for ingredients by looking for text content
-            const ingredientElements = document.querySelectorAll('h4, h3, h2, div, section');
-            for (const el of ingredientElements) {
-                if (el.textContent && el.textContent.toLowerCase().includes('ingredients')) {
-                    hasIngredients = true;
-                    extractionDetails.selectors.ingredients = 'text-content-search';
-                    break;
-                }
-            }
-            
-            const hasAddToCart = trySelectors(addToCartSelectors, 'addToCart') || false;
-            
-            // Clean up price (remove extra whitespace, ensure $ format)
-            let cleanPrice = null;
-            if (price) {
-                cleanPrice = price.replace(/\s+/g, ' ').trim();
-                // Ensure it looks like a price
-                if (!/\$\d+\.?\d*/.test(cleanPrice)) {
-                    cleanPrice = null;
-                }
-            }
-            
-            // Product Variations Detection (size/flavor options)
-            const variationButtons = document.querySelectorAll('button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]');
-            const variationCount = variationButtons.length;
-            
-            // Extract variation details if available
-            const variations = [];
-            variationButtons.forEach((button, index) => {
-                try {
-                    const contentId = button.getAttribute('data-csa-c-content-id');
-                    const slotId = button.getAttribute('data-csa-c-slot-id');
-                    const buttonText = button.textContent?.trim();
-                    
-                    // Try to extract price from button if available
-                    const priceMatch = buttonText?.match(/\$\d+\.?\d*/);
-                    const extractedPrice = priceMatch ? priceMatch[0] : null;
-                    
-                    // Try to extract size/variation name
-                    const lines = buttonText?.split('\n').map(line => line.trim()).filter(line => line);
-                    const variationName = lines && lines.length > 0 ? lines[0] : contentId;
-                    
-                    variations.push({
-                        index: index + 1,
-                        name: variationName,
-                        contentId: contentId,
-                        slotId: slotId,
-                        price: extractedPrice,
-                        fullText: buttonText
-                    });
-                } catch (e) {
-                    console.log(`Error extracting variation ${index + 1}:`, e.message);
-                }
-            });
-            
-            extractionDetails.variations = {
-                count: variationCount,
-                details: variations,
-                selectors: 'button[data-csa-c-slot-id*="PDPInfo_selectionslot_"]'
-            };
-            
-            // Bundle Product Detection (What's Included section)
-            let isBundle = false;
-            let bundlePartsCount = 0;
-            let bundleParts = [];
-            
-            // Look for "What's Included" heading
-            const whatsIncludedHeadings = document.querySelectorAll('h4.bds--heading-4');
-            for (const heading of whatsIncludedHeadings) {
-                if (heading.textContent && heading.textContent.toLowerCase().includes("what's included")) {
-                    isBundle = true;
-                    extractionDetails.selectors.bundle = 'h4.bds--heading-4 containing "What\'s Included"';
-                    
-                    // Find the next sibling or parent container that contains buttons
-                    let container = heading.nextElementSibling;
-                    if (!container) {
-                        container = heading.parentElement?.nextElementSibling;
-                    }
-                    
-                    if (container) {
-                        // Look for buttons in the container
-                        const bundleButtons = container.querySelectorAll('button');
-                        bundlePartsCount = bundleButtons.length;
-                        
-                        // Extract bundle part details
-                        bundleButtons.forEach((button, index) => {
-                            try {
-                                const buttonText = button.textContent?.trim();
-                                const buttonClass = button.className;
-                                const buttonId = button.id;
-                                
-                                bundleParts.push({
-                                    index: index + 1,
-                                    text: buttonText,
-                                    className: buttonClass,
-                                    id: buttonId
-                                });
-                            } catch (e) {
-                                console.log(`Error extracting bundle part ${index + 1}:`, e.message);
-                            }
-                        });
-                    }
-                    break; // Found the section, no need to continue
-                }
-            }
-            
-            extractionDetails.bundle = {
-                isBundle: isBundle,
-                partsCount: bundlePartsCount,
-                parts: bundleParts,
-                selectors: isBundle ? 'h4.bds--heading-4 + container buttons' : null
-            };
-            
-            return {
-                name: productName,
-                price: cleanPrice,
-                hasNutritionFacts: hasNutritionFacts,
-                hasIngredients: hasIngredients,
-                hasAddToCart: hasAddToCart,
-                isAvailable: hasAddToCart, // If add to cart exists, item is likely available
-                variationCount: variationCount,
-                variations: variations,
-                isBundle: isBundle,
-                bundlePartsCount: bundlePartsCount,
-                bundleParts: bundleParts,
-                extractionDetails: extractionDetails
-            };
-        });
+        return result;
     }
 
     async delay(ms) {
@@ -2739,14 +2898,38 @@ class ScannerService {
 
     emitProgress() {
         if (this.onProgress) {
-            this.onProgress({ ...this.currentProgress });
+            const lastAdjustment = this.rateController.getLastAdjustment();
+            this.onProgress({
+                ...this.currentProgress,
+                activeAgents: this.activeAgents,
+                agentLimit: this.rateController.concurrency,
+                paused: this.isPaused(),
+                rateAdjustment: lastAdjustment ? lastAdjustment.message : null
+            });
         }
     }
 
     emitResult(result) {
+        if (this.checkpoint) {
+            this.checkpoint.appendResult(result);
+        }
+        
         if (this.onResult) {
             this.onResult(result);
         }
+        
+        // Watch selector hit rates as results come in so layout drift shows up mid-scan
+        if (this.selectorHealth) {
+            const countBefore = this.selectorHealth.itemCount;
+            const newWarnings = this.selectorHealth.record(result);
+            newWarnings.forEach(warning => console.warn(`⚠️ Selector health: ${warning.message}`));
+            
+            const counted = this.selectorHealth.itemCount > countBefore;
+            if (this.onSelectorHealth && (newWarnings.length > 0 ||
+                (counted && this.selectorHealth.itemCount % SELECTOR_HEALTH_UPDATE_INTERVAL === 0))) {
+                this.onSelectorHealth(this.selectorHealth.getReport(), newWarnings);
+            }
+        }
     }
 
     async cleanup() {
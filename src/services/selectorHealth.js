@@ -0,0 +1,181 @@
+// Fields tracked per item: the result property that holds the value, and the extractionDetails.attempts
+// key for fields read with selector groups (nutrition and ingredients are matched as sections, so have none)
+const HEALTH_FIELDS = [
+    { field: 'name', label: 'Name', resultKey: 'extractedName', attemptsKey: 'name' },
+    { field: 'price', label: 'Price', resultKey: 'price', attemptsKey: 'price' },
+    { field: 'nutrition', label: 'Nutrition Facts', resultKey: 'hasNutritionFacts', attemptsKey: null },
+    { field: 'ingredients', label: 'Ingredients', resultKey: 'hasIngredients', attemptsKey: null },
+    { field: 'addToCart', label: 'Add to Cart', resultKey: 'hasAddToCart', attemptsKey: 'addToCart' }
+];
+
+const WARNING_TYPES = {
+    FALLBACK_TAKEOVER: 'fallback_takeover',
+    PRIMARY_SELECTOR_LOW: 'primary_selector_low',
+    EXTRACTION_DROP: 'extraction_drop'
+};
+
+// Aggregates selector hit rates across a scan's item pages to spot site layout drift:
+// the primary selector of a field failing (fallbacks take over) or a field's extraction rate
+// falling sharply against the previous run. Fed live, one result at a time.
+class SelectorHealthMonitor {
+    constructor({ baseline = null, primaryThreshold = 0.8, dropThreshold = 0.2, minSamples = 20 } = {}) {
+        this.baseline = baseline; // { runId, startedAt, rates: { field: rate } } from the previous run
+        this.primaryThreshold = primaryThreshold;
+        this.dropThreshold = dropThreshold;
+        this.minSamples = minSamples;
+        this.itemCount = 0;
+        this.profiles = new Set();
+        this.fields = new Map(HEALTH_FIELDS.map(def => [def.field, {
+            extracted: 0,
+            primarySelector: null,
+            primaryHits: 0,
+            selectorHits: new Map()
+        }]));
+        this.raisedWarnings = new Set();
+    }
+
+    // Per-field extraction rates of a finished result set, used as the next scan's baseline
+    static summarize(results) {
+        const monitor = new SelectorHealthMonitor();
+        results.forEach(result => monitor.record(result));
+        return monitor.itemCount > 0 ? monitor.getRates() : null;
+    }
+
+    // Returns warnings raised for the first time by this result, so live callers only hear about each once
+    record(result) {
+        // Only loaded item pages say anything about the selectors
+        if (!result.success || !result.extractionDetails || result.mode === 'merchandising') {
+            return [];
+        }
+        
+        this.itemCount++;
+        const details = result.extractionDetails;
+        if (details.selectors && details.selectors.profile) {
+            this.profiles.add(details.selectors.profile);
+        }
+        
+        for (const def of HEALTH_FIELDS) {
+            const stats = this.fields.get(def.field);
+            if (result[def.resultKey]) {
+                stats.extracted++;
+            }
+            
+            const attempts = def.attemptsKey && details.attempts ? details.attempts[def.attemptsKey] : null;
+            if (!attempts || attempts.length === 0) continue;
+            
+            // The first selector tried is the profile's primary one for this field
+            stats.primarySelector = stats.primarySelector || attempts[0].selector;
+            const matched = attempts.find(attempt => attempt.found);
+            if (matched) {
+                stats.selectorHits.set(matched.selector, (stats.selectorHits.get(matched.selector) || 0) + 1);
+                if (matched.selector === stats.primarySelector) {
+                    stats.primaryHits++;
+                }
+            }
+        }
+        
+        const newWarnings = this.getWarnings().filter(warning => !this.raisedWarnings.has(warning.key));
+        newWarnings.forEach(warning => this.raisedWarnings.add(warning.key));
+        return newWarnings;
+    }
+
+    getRates() {
+        const rates = {};
+        for (const def of HEALTH_FIELDS) {
+            rates[def.field] = this.rate(this.fields.get(def.field).extracted);
+        }
+        return rates;
+    }
+
+    getWarnings() {
+        if (this.itemCount < this.minSamples) {
+            return [];
+        }
+        
+        const warnings = [];
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        
+        for (const def of HEALTH_FIELDS) {
+            const stats = this.fields.get(def.field);
+            const rate = this.rate(stats.extracted);
+            
+            if (stats.primarySelector) {
+                const primaryRate = this.rate(stats.primaryHits);
+                const fallbackHits = this.sumHits(stats) - stats.primaryHits;
+                if (primaryRate < this.primaryThreshold) {
+                    const takeover = fallbackHits > stats.primaryHits;
+                    warnings.push({
+                        key: `${def.field}:primary`,
+                        field: def.field,
+                        type: takeover ? WARNING_TYPES.FALLBACK_TAKEOVER : WARNING_TYPES.PRIMARY_SELECTOR_LOW,
+                        message: takeover
+                            ? `${def.label}: primary selector "${stats.primarySelector}" matched only ${percent(primaryRate)} of items; fallback selectors matched ${fallbackHits}`
+                            : `${def.label}: primary selector "${stats.primarySelector}" matched only ${percent(primaryRate)} of items`
+                    });
+                }
+            }
+            
+            const baselineRate = this.baseline && this.baseline.rates ? this.baseline.rates[def.field] : undefined;
+            if (typeof baselineRate === 'number' && baselineRate - rate >= this.dropThreshold) {
+                warnings.push({
+                    key: `${def.field}:drop`,
+                    field: def.field,
+                    type: WARNING_TYPES.EXTRACTION_DROP,
+                    message: `${def.label}: extracted for ${percent(rate)} of items, down from ${percent(baselineRate)} in the previous run`
+                });
+            }
+        }
+        
+        return warnings;
+    }
+
+    getReport() {
+        const baselineRates = this.baseline && this.baseline.rates ? this.baseline.rates : {};
+        const warnings = this.getWarnings();
+        
+        return {
+            itemCount: this.itemCount,
+            profiles: Array.from(this.profiles),
+            baseline: this.baseline ? { runId: this.baseline.runId, startedAt: this.baseline.startedAt } : null,
+            thresholds: {
+                primary: this.primaryThreshold,
+                drop: this.dropThreshold,
+                minSamples: this.minSamples
+            },
+            fields: HEALTH_FIELDS.map(def => {
+                const stats = this.fields.get(def.field);
+                const selectors = Array.from(stats.selectorHits.entries())
+                    .map(([selector, hits]) => ({ selector, hits, primary: selector === stats.primarySelector }))
+                    .sort((a, b) => b.hits - a.hits);
+                return {
+                    field: def.field,
+                    label: def.label,
+                    extracted: stats.extracted,
+                    rate: this.rate(stats.extracted),
+                    baselineRate: typeof baselineRates[def.field] === 'number' ? baselineRates[def.field] : null,
+                    primarySelector: stats.primarySelector,
+                    primaryHits: stats.primaryHits,
+                    primaryRate: stats.primarySelector ? this.rate(stats.primaryHits) : null,
+                    fallbackHits: this.sumHits(stats) - stats.primaryHits,
+                    selectors: selectors
+                };
+            }),
+            warnings: warnings,
+            healthy: warnings.length === 0
+        };
+    }
+
+    rate(count) {
+        return this.itemCount > 0 ? count / this.itemCount : 0;
+    }
+
+    sumHits(stats) {
+        let total = 0;
+        stats.selectorHits.forEach(hits => {
+            total += hits;
+        });
+        return total;
+    }
+}
+
+module.exports = { SelectorHealthMonitor, WARNING_TYPES };
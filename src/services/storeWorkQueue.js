@@ -0,0 +1,130 @@
+// Global item queue for the agent pool. Every agent has its own browser context and store session,
+// so it keeps taking items from the store it is already switched to (no switch cost), and when that
+// store runs dry it moves to the store with the most work per agent - an untouched store first,
+// otherwise it joins ("steals from") the busiest one.
+class StoreWorkQueue {
+    constructor(items) {
+        this.pending = new Map(); // storeCode -> items not yet handed out, in list order
+        this.unfinished = new Map(); // storeCode -> items handed out or pending, not yet completed
+        this.assignments = new Map(); // agentId -> storeCode the agent's session is on
+        this.dropped = new Set();
+        
+        items.forEach(item => {
+            if (!this.pending.has(item.store)) {
+                this.pending.set(item.store, []);
+                this.unfinished.set(item.store, 0);
+            }
+            this.pending.get(item.store).push(item);
+            this.unfinished.set(item.store, this.unfinished.get(item.store) + 1);
+        });
+    }
+
+    // Next item for an agent: { item, storeCode, switchStore } or null when there's nothing worth taking.
+    // skipStores are stores the agent shouldn't switch to (e.g. its switch to them failed).
+    claim(agentId, skipStores = null) {
+        const current = this.assignments.get(agentId) || null;
+        if (current && this.pending.has(current) && this.pending.get(current).length > 0) {
+            return { item: this.pending.get(current).shift(), storeCode: current, switchStore: false };
+        }
+        
+        const storeCode = this.pickStore(agentId, skipStores);
+        if (!storeCode) {
+            this.assignments.delete(agentId);
+            return null;
+        }
+        
+        this.assignments.set(agentId, storeCode);
+        return { item: this.pending.get(storeCode).shift(), storeCode, switchStore: true };
+    }
+
+    // A store is worth switching to when it has more pending items than agents already on it;
+    // otherwise those agents will get to the items before a switch would pay off
+    pickStore(agentId, skipStores = null) {
+        let best = null;
+        let bestScore = 0;
+        
+        for (const [storeCode, items] of this.pending) {
+            if (items.length === 0 || (skipStores && skipStores.has(storeCode))) continue;
+            
+            const agentsOnStore = this.getAgentsOnStore(storeCode, agentId);
+            if (agentsOnStore > 0 && items.length <= agentsOnStore) continue;
+            
+            const score = items.length / (agentsOnStore + 1);
+            if (score > bestScore) {
+                best = storeCode;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    getAgentsOnStore(storeCode, exceptAgentId = null) {
+        let count = 0;
+        this.assignments.forEach((assigned, agentId) => {
+            if (assigned === storeCode && agentId !== exceptAgentId) count++;
+        });
+        return count;
+    }
+
+    // Returns true when this was the store's last outstanding item
+    complete(storeCode) {
+        const left = (this.unfinished.get(storeCode) || 0) - 1;
+        this.unfinished.set(storeCode, left);
+        return left === 0 && this.pending.get(storeCode).length === 0 && !this.dropped.has(storeCode);
+    }
+
+    // Takes an agent off its store, e.g. when it couldn't switch to it; an item it claimed but
+    // didn't process goes back to the front of the store's queue for the other agents
+    release(agentId, item = null) {
+        const storeCode = this.assignments.get(agentId);
+        this.assignments.delete(agentId);
+        if (item && storeCode) {
+            if (this.dropped.has(storeCode)) {
+                this.unfinished.set(storeCode, this.unfinished.get(storeCode) - 1);
+            } else {
+                this.pending.get(storeCode).unshift(item);
+            }
+        }
+    }
+
+    // Stops handing out a store's items (e.g. every attempt to switch to it failed); returns the dropped items
+    dropStore(storeCode) {
+        const dropped = this.pending.get(storeCode) || [];
+        this.dropped.add(storeCode);
+        this.pending.set(storeCode, []);
+        this.unfinished.set(storeCode, (this.unfinished.get(storeCode) || 0) - dropped.length);
+        return dropped;
+    }
+
+    // Takes every item still waiting off the queue, e.g. when no agent is left to process them
+    drainPending() {
+        const items = [];
+        this.pending.forEach((storeItems, storeCode) => {
+            storeItems.splice(0).forEach(item => items.push({ item, storeCode }));
+        });
+        return items;
+    }
+
+    getActiveStores() {
+        return Array.from(new Set(this.assignments.values()));
+    }
+
+    get pendingCount() {
+        let total = 0;
+        this.pending.forEach(items => {
+            total += items.length;
+        });
+        return total;
+    }
+
+    // Items claimed by an agent and not yet completed; any of them can still come back to the queue
+    get inFlightCount() {
+        let total = 0;
+        this.unfinished.forEach((count, storeCode) => {
+            total += count - this.pending.get(storeCode).length;
+        });
+        return total;
+    }
+}
+
+module.exports = { StoreWorkQueue };